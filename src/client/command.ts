@@ -0,0 +1,71 @@
+/**
+ * How the Mistral CLI is started.
+ *
+ * The CLI is always run directly, never through a shell, so paths with
+ * spaces work and settings cannot smuggle in shell syntax.
+ */
+
+/**
+ * Executable, arguments and environment for the CLI.
+ */
+export interface CliCommand {
+  /** Executable name (looked up on PATH) or absolute path */
+  command: string;
+  /** Arguments placed before the subcommand, e.g. `server` or `--version` */
+  args: string[];
+  /** Variables added to the extension host's environment */
+  env: Record<string, string>;
+  /** Working directory; the extension host's when unset */
+  cwd?: string;
+}
+
+/**
+ * Split a command line into words. Single or double quotes group words
+ * with spaces; nothing else is interpreted, so backslashes in Windows paths
+ * are kept as they are.
+ */
+export function parseCommandLine(line: string): string[] {
+  const words: string[] = [];
+  let word = "";
+  let inWord = false;
+  let quote: string | null = null;
+
+  for (const char of line) {
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      } else {
+        word += char;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      inWord = true;
+    } else if (/\s/.test(char)) {
+      if (inWord) {
+        words.push(word);
+        word = "";
+        inWord = false;
+      }
+    } else {
+      word += char;
+      inWord = true;
+    }
+  }
+
+  if (quote) {
+    throw new Error(`Unterminated ${quote} quote in command: ${line}`);
+  }
+  if (inWord) {
+    words.push(word);
+  }
+  return words;
+}
+
+/**
+ * Readable form of a command for logs and messages.
+ */
+export function describeCommand(cli: CliCommand, extraArgs: string[] = []): string {
+  return [cli.command, ...cli.args, ...extraArgs]
+    .map((word) => (/[\s"']/.test(word) || word === "" ? JSON.stringify(word) : word))
+    .join(" ");
+}
@@ -0,0 +1,113 @@
+/**
+ * Message framing for the Mistral CLI JSON-RPC connection.
+ *
+ * Two framings are understood:
+ * - newline: one compact JSON message per line (the original protocol)
+ * - content-length: LSP-style `Content-Length: N\r\n\r\n<N bytes of JSON>`,
+ *   which allows pretty-printed JSON and embedded newlines
+ *
+ * The reader detects the framing of every incoming message, so a server may
+ * switch framing at any message boundary.
+ */
+
+/**
+ * How messages are delimited on the wire.
+ */
+export type MessageFraming = "newline" | "content-length";
+
+const HEADER_PREFIX = "content-length:";
+const HEADER_TERMINATOR = Buffer.from("\r\n\r\n");
+
+/**
+ * Encode one serialized JSON-RPC message for the wire.
+ */
+export function encodeMessage(json: string, framing: MessageFraming): string {
+  if (framing === "content-length") {
+    return `Content-Length: ${Buffer.byteLength(json, "utf8")}\r\n\r\n${json}`;
+  }
+  return json + "\n";
+}
+
+/**
+ * Incrementally splits received bytes into message bodies.
+ */
+export class MessageReader {
+  private buffer: Buffer = Buffer.alloc(0);
+
+  /**
+   * Add received bytes and return every message body now complete.
+   * Lines that are not JSON (stray log output) are returned as-is for the
+   * caller to report.
+   */
+  push(chunk: Buffer): string[] {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+    const messages: string[] = [];
+    let message: string | null;
+    while ((message = this.next()) !== null) {
+      if (message.trim()) {
+        messages.push(message);
+      }
+    }
+    return messages;
+  }
+
+  /**
+   * Drop any partially received message.
+   */
+  reset(): void {
+    this.buffer = Buffer.alloc(0);
+  }
+
+  private next(): string | null {
+    if (!this.buffer.length) {
+      return null;
+    }
+
+    const head = this.buffer.subarray(0, HEADER_PREFIX.length).toString("latin1").toLowerCase();
+    if (head === HEADER_PREFIX) {
+      return this.nextFramed();
+    }
+    if (head.length < HEADER_PREFIX.length && HEADER_PREFIX.startsWith(head)) {
+      // Could still become a header; wait for more bytes
+      return null;
+    }
+    return this.nextLine();
+  }
+
+  private nextLine(): string | null {
+    const newline = this.buffer.indexOf(0x0a);
+    if (newline === -1) {
+      return null;
+    }
+
+    const line = this.buffer.subarray(0, newline).toString("utf8").replace(/\r$/, "");
+    this.buffer = this.buffer.subarray(newline + 1);
+    return line;
+  }
+
+  private nextFramed(): string | null {
+    const headerEnd = this.buffer.indexOf(HEADER_TERMINATOR);
+    if (headerEnd === -1) {
+      return null;
+    }
+
+    const headers = this.buffer.subarray(0, headerEnd).toString("latin1").split("\r\n");
+    const lengthHeader = headers.find((h) => h.toLowerCase().startsWith(HEADER_PREFIX));
+    const length = Number(lengthHeader?.slice(HEADER_PREFIX.length).trim());
+
+    const bodyStart = headerEnd + HEADER_TERMINATOR.length;
+    if (!Number.isInteger(length) || length < 0) {
+      // Unusable header block; skip it and hand it back as stray output
+      this.buffer = this.buffer.subarray(bodyStart);
+      return headers.join(" ");
+    }
+    if (this.buffer.length < bodyStart + length) {
+      return null;
+    }
+
+    const body = this.buffer.subarray(bodyStart, bodyStart + length).toString("utf8");
+    this.buffer = this.buffer.subarray(bodyStart + length);
+    return body;
+  }
+}
@@ -0,0 +1,42 @@
+/**
+ * Fixed-size buffer that keeps the most recent items.
+ */
+
+/**
+ * Holds up to `capacity` items; pushing onto a full buffer drops the oldest.
+ */
+export class RingBuffer<T> {
+  private items: T[] = [];
+  /** Index of the oldest item once the buffer is full */
+  private start = 0;
+
+  constructor(private readonly capacity: number) {}
+
+  get size(): number {
+    return this.items.length;
+  }
+
+  push(item: T): void {
+    if (this.capacity <= 0) {
+      return;
+    }
+    if (this.items.length < this.capacity) {
+      this.items.push(item);
+      return;
+    }
+    this.items[this.start] = item;
+    this.start = (this.start + 1) % this.capacity;
+  }
+
+  /**
+   * Items from oldest to newest.
+   */
+  toArray(): T[] {
+    return [...this.items.slice(this.start), ...this.items.slice(0, this.start)];
+  }
+
+  clear(): void {
+    this.items = [];
+    this.start = 0;
+  }
+}
@@ -1,13 +1,36 @@
 /**
  * JSON-RPC Client for Mistral CLI server communication.
  *
- * Manages the subprocess lifecycle and provides a typed interface
- * for RPC method calls and event subscriptions.
+ * Manages the connection lifecycle and provides a typed interface
+ * for RPC method calls and event subscriptions. The wire (spawned CLI,
+ * TCP or WebSocket) is provided by a Transport.
  */
 
-import { ChildProcess, spawn } from "child_process";
 import { EventEmitter } from "events";
-import * as readline from "readline";
+import { CliCommand, describeCommand } from "./command";
+import { encodeMessage, MessageFraming, MessageReader } from "./framing";
+import { RingBuffer } from "./ringBuffer";
+import { createTransport, describeEndpoint, Transport, TransportCloseInfo } from "./transport";
+import {
+  ChatTurn,
+  ContextAddResult,
+  ContextListResult,
+  ContextRemoveResult,
+  GenerationParams,
+  InitializeResult,
+  MethodParams,
+  MethodResults,
+  ModelGetResult,
+  ModelListResult,
+  Notifications,
+  ServerCapabilities,
+  ServerRequestParams,
+  ServerRequestResults,
+  TokensCountResult,
+} from "../protocol/types";
+import { check, describeProblems } from "../protocol/validate";
+
+export type { ChatTurn, ServerCapabilities };
 
 /**
  * Connection state of the RPC client.
@@ -16,6 +39,8 @@ export enum ConnectionState {
   Disconnected = "disconnected",
   Connecting = "connecting",
   Connected = "connected",
+  /** Connected, but recent health checks went unanswered */
+  Degraded = "degraded",
   Reconnecting = "reconnecting",
   Error = "error",
 }
@@ -27,9 +52,47 @@ interface JsonRpcRequest {
   jsonrpc: "2.0";
   id: number;
   method: string;
+  params: object;
+}
+
+/**
+ * JSON-RPC notification structure (no id, no response expected).
+ */
+interface JsonRpcNotification {
+  jsonrpc: "2.0";
+  method: string;
   params: Record<string, unknown>;
 }
 
+/**
+ * JSON-RPC response we send back for a server-initiated request.
+ */
+interface JsonRpcReply {
+  jsonrpc: "2.0";
+  id: number | string | null;
+  result?: unknown;
+  error?: {
+    code: number;
+    message: string;
+    data?: unknown;
+  };
+}
+
+/**
+ * Any single message we send.
+ */
+type JsonRpcOutgoing = JsonRpcRequest | JsonRpcNotification | JsonRpcReply;
+
+/**
+ * Request sent by the server to the client, e.g. to read an editor buffer.
+ */
+interface JsonRpcServerRequest {
+  jsonrpc: "2.0";
+  id: number | string;
+  method: string;
+  params?: Record<string, unknown>;
+}
+
 /**
  * JSON-RPC response structure.
  */
@@ -50,58 +113,368 @@ interface JsonRpcResponse {
  * Pending request awaiting response.
  */
 interface PendingRequest {
+  method: string;
   resolve: (result: unknown) => void;
   reject: (error: Error) => void;
   timeout: NodeJS.Timeout;
+  /** Idle budget in milliseconds; the timer restarts on every progress notification */
+  timeoutMs: number;
+  /** Detaches the abort listener, if the call was given a signal */
+  detachSignal?: () => void;
+  /** Receives notifications tagged with this request's id */
+  onEvent?: (event: RpcStreamEvent) => void;
+  /** When the request was sent, for response timing */
+  startedAt: number;
+}
+
+/**
+ * Call options used inside the client only.
+ */
+interface InternalCallOptions extends CallOptions {
+  /** Overrides the configured idle timeout */
+  timeoutMs?: number;
+}
+
+/**
+ * Error response returned by the server for a request.
+ */
+export class RpcError extends Error {
+  constructor(
+    readonly code: number,
+    readonly rawMessage: string,
+    readonly data?: unknown
+  ) {
+    super(`RPC Error ${code}: ${rawMessage}`);
+    this.name = "RpcError";
+  }
+}
+
+/**
+ * A message from the server that does not match the protocol schema.
+ */
+export class ProtocolError extends Error {
+  constructor(
+    message: string,
+    /** One line per mismatch, e.g. `result.content must be a string, got number` */
+    readonly problems: string[]
+  ) {
+    super(message);
+    this.name = "ProtocolError";
+  }
+}
+
+/**
+ * Handles a request the server sends to the client. The return value becomes
+ * the response result; throw an RpcError to answer with a specific error code.
+ * Params of requests in the protocol schema are validated before the handler runs.
+ */
+export type RequestHandler<M extends string = string> = (
+  params: M extends keyof ServerRequestParams ? ServerRequestParams[M] : Record<string, unknown>
+) => M extends keyof ServerRequestResults
+  ? ServerRequestResults[M] | Promise<ServerRequestResults[M]>
+  : unknown;
+
+/**
+ * A single call in a batch.
+ */
+export interface BatchCall {
+  method: string;
+  params: Record<string, unknown>;
+}
+
+/**
+ * Per-call options accepted by every public RPC method.
+ */
+export interface CallOptions {
+  /** Abandons the request when aborted and asks the server to stop work on it */
+  signal?: AbortSignal;
+  /** Called for each notification the server tags with this request's id */
+  onEvent?: (event: RpcStreamEvent) => void;
+}
+
+/**
+ * Fields the server adds to notifications to tie them to a request.
+ */
+export interface NotificationScope {
+  /** Id of the request whose work produced the notification */
+  request_id?: number;
+}
+
+/**
+ * One unit of wire traffic, emitted as a "trace" event while anything listens.
+ */
+export interface RpcTraceEntry {
+  /** Milliseconds since the epoch */
+  time: number;
+  /** "send" and "receive" carry a message; "stderr" and unparsable output carry text */
+  direction: "send" | "receive" | "stderr";
+  /** A single JSON-RPC message; batches are traced one message per entry */
+  message?: unknown;
+  /** Raw text that was not a JSON-RPC message */
+  text?: string;
+  /** For responses, time since the request was sent */
+  durationMs?: number;
 }
 
 /**
- * RPC Event types emitted by the server.
+ * A connection that ended without `disconnect()`: the CLI exited, the
+ * socket closed, or the server was restarted for not answering pings.
+ */
+export interface ExitRecord extends TransportCloseInfo {
+  /** Milliseconds since the epoch */
+  time: number;
+}
+
+/**
+ * Recent activity of a client, for crash reports. Environment variable
+ * values and endpoint credentials are left out.
+ */
+export interface ClientDiagnostics {
+  /** When the snapshot was taken, in milliseconds since the epoch */
+  time: number;
+  state: ConnectionState;
+  /** Command line that starts the CLI */
+  command: string;
+  /** Names of the variables added to the CLI's environment */
+  env: string[];
+  cwd?: string;
+  /** Server URL without credentials, query or fragment */
+  endpoint?: string;
+  framing: MessageFraming | "auto";
+  reconnectAttempts: number;
+  maxReconnectAttempts: number;
+  /** The server of the last successful connection */
+  lastServer: ServerInfo | null;
+  /** Unexpected exits, oldest first */
+  exits: ExitRecord[];
+  /** Last lines the CLI wrote to stderr, oldest first */
+  stderr: string[];
+  /** Last protocol messages in either direction, oldest first */
+  messages: RpcTraceEntry[];
+}
+
+/**
+ * RPC Event types emitted by the server, from the protocol schema.
+ */
+export type RpcEvents = Notifications;
+
+/**
+ * A server notification delivered to a single request's listener.
+ */
+export type RpcStreamEvent = {
+  [K in keyof RpcEvents]: { method: K; params: RpcEvents[K] };
+}[keyof RpcEvents];
+
+/**
+ * Protocol version spoken by this client. Servers with another major are rejected.
+ */
+export const PROTOCOL_VERSION = "1.0";
+
+/**
+ * Error code a server returns on initialize when it cannot speak our protocol major.
+ */
+const UNSUPPORTED_PROTOCOL = -32001;
+
+/**
+ * Standard JSON-RPC error codes used when answering server requests.
+ */
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+
+/**
+ * Optional protocol features this client supports, sent on initialize.
+ */
+const CLIENT_CAPABILITIES = {
+  cancellation: true,
+  request_correlation: true,
+  batch: true,
+};
+
+/**
+ * What the server reported about itself during initialize.
  */
-export interface RpcEvents {
-  "content.delta": { text: string };
-  "content.done": { full_text: string };
-  "thinking.update": { thought: string };
-  "tool.pending": { tool_call_id: string; tool: string; arguments: Record<string, unknown> };
-  "tool.result": { tool_call_id: string; success: boolean; output: string };
-  "token.usage": { prompt: number; completion: number; total: number };
-  error: { code: string; message: string };
+export interface ServerInfo {
+  /** Server implementation version */
+  version: string;
+  /** Protocol version the server speaks */
+  protocolVersion: string;
+  /** Negotiated capability set */
+  capabilities: ServerCapabilities;
+  /** Framing used for messages sent to the server */
+  framing: MessageFraming;
 }
 
+/**
+ * Cancelled requests whose late notifications are still dropped. A server that
+ * never answers a cancelled request would otherwise grow the set for the
+ * lifetime of the connection; the oldest are forgotten first.
+ */
+const MAX_CANCELLED_REQUESTS = 256;
+
+/**
+ * Notifications that show a streaming request is still making progress.
+ */
+const PROGRESS_NOTIFICATIONS = new Set<string>([
+  "content.delta",
+  "content.done",
+  "thinking.update",
+  "tool.pending",
+  "tool.result",
+  "token.usage",
+]);
+
+/**
+ * Methods whose idle timer is reset by progress notifications.
+ */
+const STREAMING_METHODS = new Set<string>(["chat", "agent.run"]);
+
+/**
+ * Default idle timeouts per method, in milliseconds.
+ */
+export const DEFAULT_METHOD_TIMEOUTS: Readonly<Record<string, number>> = {
+  chat: 60000,
+  "agent.run": 300000,
+  "context.add": 10000,
+  "context.remove": 10000,
+  "context.list": 10000,
+  "context.clear": 10000,
+};
+
+/**
+ * Typed event yielded by streaming methods such as `streamChat`.
+ * The last event of a successful stream is always `result`.
+ */
+export type ChatStreamEvent =
+  | { type: "delta"; text: string }
+  | { type: "thinking"; thought: string }
+  | {
+      type: "toolPending";
+      toolCallId: string;
+      tool: string;
+      arguments: Record<string, unknown>;
+    }
+  | { type: "toolResult"; toolCallId: string; success: boolean; output: string }
+  | { type: "usage"; prompt: number; completion: number; total: number }
+  | { type: "error"; code: string; message: string }
+  | { type: "result"; content: string };
+
 /**
  * Configuration for the RPC client.
  */
 export interface RpcClientConfig {
-  /** Path to the CLI executable */
-  cliPath: string;
-  /** Request timeout in milliseconds */
+  /** How to start the CLI for the stdio transport */
+  cli: CliCommand;
+  /**
+   * Address of an already running server (`tcp://host:port`, `ws://...`, `wss://...`).
+   * When set, the CLI is not spawned.
+   */
+  endpoint?: string;
+  /** Idle timeout in milliseconds for methods without their own budget */
   timeout?: number;
+  /** Idle timeouts in milliseconds keyed by method name */
+  methodTimeouts?: Record<string, number>;
   /** Maximum reconnection attempts */
   maxReconnectAttempts?: number;
   /** Initial reconnection delay in milliseconds */
   reconnectDelay?: number;
+  /** Name and version reported to the server on initialize */
+  clientInfo?: { name: string; version: string };
+  /**
+   * Framing for outgoing messages. "auto" starts with newline framing and
+   * switches to Content-Length if the server agrees on initialize.
+   * Incoming messages are accepted in either framing regardless.
+   */
+  framing?: MessageFraming | "auto";
+  /** Milliseconds between `ping` health checks; 0 turns them off */
+  healthCheckInterval?: number;
+  /** Milliseconds to wait for a `ping` response */
+  healthCheckTimeout?: number;
+  /**
+   * Consecutive unanswered pings after which the server is treated as hung
+   * and the connection is restarted. The first miss marks it degraded.
+   */
+  maxMissedHealthChecks?: number;
+  /** Lines of CLI stderr kept for crash reports */
+  stderrBufferLines?: number;
+  /** Protocol messages kept for crash reports */
+  messageBufferSize?: number;
 }
 
+/**
+ * Exits within this many milliseconds of each other count as a crash loop,
+ * reported by the "crashed" event's `recentCrashes`.
+ */
+export const CRASH_WINDOW_MS = 5 * 60 * 1000;
+
+/**
+ * Unexpected exits kept for diagnostics.
+ */
+const MAX_EXITS = 10;
+
+/**
+ * Longest stderr line kept for diagnostics; the rest is cut off.
+ */
+const MAX_STDERR_LINE = 1000;
+
+/**
+ * Health check settings, as accepted by `setHealthCheck`.
+ */
+export type HealthCheckConfig = Pick<
+  RpcClientConfig,
+  "healthCheckInterval" | "healthCheckTimeout" | "maxMissedHealthChecks"
+>;
+
 /**
  * JSON-RPC client for communicating with the Mistral CLI server.
  */
 export class MistralRpcClient extends EventEmitter {
-  private process: ChildProcess | null = null;
-  private readline: readline.Interface | null = null;
+  private transport: Transport | null = null;
+  private reader = new MessageReader();
+  /** Framing for outgoing messages on the current connection */
+  private outboundFraming: MessageFraming;
   private requestId = 0;
   private pendingRequests = new Map<number, PendingRequest>();
+  private cancelledRequests = new Set<number>();
+  private requestHandlers = new Map<string, RequestHandler>();
   private _state: ConnectionState = ConnectionState.Disconnected;
   private reconnectAttempts = 0;
+  /** Next reconnect attempt, until it starts or disconnect() cancels it */
+  private reconnectTimer: NodeJS.Timeout | null = null;
   private config: Required<RpcClientConfig>;
+  private _serverInfo: ServerInfo | null = null;
+  private healthTimer: NodeJS.Timeout | null = null;
+  private healthCheckInFlight = false;
+  private missedHealthChecks = 0;
+  /** Server of the last successful connection, kept after it closes */
+  private lastServerInfo: ServerInfo | null = null;
+  private exits = new RingBuffer<ExitRecord>(MAX_EXITS);
+  private stderrLines: RingBuffer<string>;
+  /** Stderr output after the last newline */
+  private stderrPartial = "";
+  private recentMessages: RingBuffer<RpcTraceEntry>;
 
   constructor(config: RpcClientConfig) {
     super();
     this.config = {
-      cliPath: config.cliPath,
+      cli: config.cli,
+      endpoint: config.endpoint ?? "",
       timeout: config.timeout ?? 30000,
+      methodTimeouts: { ...DEFAULT_METHOD_TIMEOUTS, ...config.methodTimeouts },
       maxReconnectAttempts: config.maxReconnectAttempts ?? 5,
       reconnectDelay: config.reconnectDelay ?? 1000,
+      clientInfo: config.clientInfo ?? { name: "mistral-vscode", version: "0.0.0" },
+      framing: config.framing ?? "auto",
+      healthCheckInterval: config.healthCheckInterval ?? 15000,
+      healthCheckTimeout: config.healthCheckTimeout ?? 5000,
+      maxMissedHealthChecks: config.maxMissedHealthChecks ?? 2,
+      stderrBufferLines: config.stderrBufferLines ?? 200,
+      messageBufferSize: config.messageBufferSize ?? 50,
     };
+    this.outboundFraming = this.initialFraming();
+    this.stderrLines = new RingBuffer(this.config.stderrBufferLines);
+    this.recentMessages = new RingBuffer(this.config.messageBufferSize);
   }
 
   /**
@@ -112,117 +485,245 @@ export class MistralRpcClient extends EventEmitter {
   }
 
   /**
-   * Whether the client is connected.
+   * Whether the client is connected. A degraded connection still counts,
+   * since a slow server may yet answer.
    */
   get isConnected(): boolean {
-    return this._state === ConnectionState.Connected;
+    return this._state === ConnectionState.Connected || this._state === ConnectionState.Degraded;
+  }
+
+  /**
+   * Server version and negotiated capabilities, once connected.
+   */
+  get serverInfo(): ServerInfo | null {
+    return this._serverInfo;
+  }
+
+  /**
+   * Whether the connected server advertised a capability.
+   */
+  supports(capability: keyof ServerCapabilities): boolean {
+    return this._serverInfo?.capabilities[capability] ?? false;
+  }
+
+  /**
+   * Snapshot of recent stderr, protocol messages and exits, for crash reports.
+   */
+  getDiagnostics(): ClientDiagnostics {
+    const { cli, endpoint } = this.config;
+    return {
+      time: Date.now(),
+      state: this._state,
+      command: describeCommand(cli),
+      env: Object.keys(cli.env),
+      cwd: cli.cwd,
+      endpoint: endpoint ? describeEndpoint(endpoint) : undefined,
+      framing: this.config.framing,
+      reconnectAttempts: this.reconnectAttempts,
+      maxReconnectAttempts: this.config.maxReconnectAttempts,
+      lastServer: this.lastServerInfo,
+      exits: this.exits.toArray(),
+      stderr: this.stderrPartial
+        ? [...this.stderrLines.toArray(), this.stderrPartial]
+        : this.stderrLines.toArray(),
+      messages: this.recentMessages.toArray(),
+    };
+  }
+
+  /**
+   * Update timeout budgets. Applies to requests made after the call.
+   */
+  setTimeouts({ timeout, methodTimeouts }: Pick<RpcClientConfig, "timeout" | "methodTimeouts">): void {
+    this.config.timeout = timeout ?? this.config.timeout;
+    this.config.methodTimeouts = { ...DEFAULT_METHOD_TIMEOUTS, ...methodTimeouts };
+  }
+
+  /**
+   * Update health check settings, restarting the checks if connected.
+   */
+  setHealthCheck(healthCheck: HealthCheckConfig): void {
+    this.config.healthCheckInterval = healthCheck.healthCheckInterval ?? this.config.healthCheckInterval;
+    this.config.healthCheckTimeout = healthCheck.healthCheckTimeout ?? this.config.healthCheckTimeout;
+    this.config.maxMissedHealthChecks =
+      healthCheck.maxMissedHealthChecks ?? this.config.maxMissedHealthChecks;
+
+    if (this.isConnected) {
+      this.startHealthChecks();
+    }
   }
 
   /**
    * Connect to the Mistral CLI server.
    */
   async connect(): Promise<void> {
-    if (this._state === ConnectionState.Connected) {
+    if (this.isConnected) {
       return;
     }
 
     this._setState(ConnectionState.Connecting);
 
     try {
-      await this.spawnProcess();
+      await this.openTransport();
       await this.initialize();
       this._setState(ConnectionState.Connected);
       this.reconnectAttempts = 0;
+      this.startHealthChecks();
     } catch (error) {
-      this._setState(ConnectionState.Error);
+      // Close what the failed handshake opened, unless disconnect() already has
+      if (this._state !== ConnectionState.Disconnected) {
+        this.cleanup();
+        this._setState(ConnectionState.Error);
+      }
       throw error;
     }
   }
 
   /**
-   * Disconnect from the server.
+   * Disconnect from the server. A pending reconnect attempt is cancelled.
    */
   disconnect(): void {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
     this.cleanup();
     this._setState(ConnectionState.Disconnected);
   }
 
   /**
    * Send a chat message.
+   * @param generation - Sampling settings; the server's defaults when omitted
    */
   async chat(
     message: string,
-    contextFiles?: string[]
+    contextFiles?: string[],
+    generation?: GenerationParams,
+    options?: CallOptions
   ): Promise<{ content: string }> {
-    return this.call("chat", {
-      message,
-      context_files: contextFiles ?? [],
-    }) as Promise<{ content: string }>;
+    return this.request(
+      "chat",
+      {
+        message,
+        context_files: contextFiles ?? [],
+        generation,
+      },
+      options
+    );
+  }
+
+  /**
+   * Drop the last reply from the server's history and generate a new one for
+   * the user turn before it. Needs the `regenerate` capability.
+   */
+  async regenerate(
+    contextFiles?: string[],
+    generation?: GenerationParams,
+    options?: CallOptions
+  ): Promise<{ content: string }> {
+    return this.request(
+      "chat.regenerate",
+      {
+        context_files: contextFiles ?? [],
+        generation,
+      },
+      options
+    );
+  }
+
+  /**
+   * Send a chat message and iterate over its events as they stream in.
+   * Breaking out of the loop early cancels the request.
+   */
+  streamChat(
+    message: string,
+    contextFiles?: string[],
+    generation?: GenerationParams,
+    options?: CallOptions
+  ): AsyncIterable<ChatStreamEvent> {
+    return this.stream(
+      "chat",
+      {
+        message,
+        context_files: contextFiles ?? [],
+        generation,
+      },
+      options
+    );
   }
 
   /**
    * Run an agent task.
+   * @param generation - Sampling settings; the server's defaults when omitted
    */
   async agentRun(
     task: string,
     contextFiles?: string[],
-    autoConfirm?: boolean
+    autoConfirm?: boolean,
+    generation?: GenerationParams,
+    options?: CallOptions
   ): Promise<{ content: string }> {
-    return this.call("agent.run", {
-      task,
-      context_files: contextFiles ?? [],
-      auto_confirm: autoConfirm ?? false,
-    }) as Promise<{ content: string }>;
+    return this.request(
+      "agent.run",
+      {
+        task,
+        context_files: contextFiles ?? [],
+        auto_confirm: autoConfirm ?? false,
+        generation,
+      },
+      options
+    );
   }
 
   /**
    * Cancel running agent task.
    */
-  async agentCancel(): Promise<void> {
-    await this.call("agent.cancel", {});
+  async agentCancel(options?: CallOptions): Promise<void> {
+    await this.request("agent.cancel", {}, options);
   }
 
   /**
    * Confirm or deny a pending tool call.
    */
-  async agentConfirm(toolCallId: string, approved: boolean): Promise<void> {
-    await this.call("agent.confirm", {
-      tool_call_id: toolCallId,
-      approved,
-    });
+  async agentConfirm(
+    toolCallId: string,
+    approved: boolean,
+    options?: CallOptions
+  ): Promise<void> {
+    await this.request(
+      "agent.confirm",
+      {
+        tool_call_id: toolCallId,
+        approved,
+      },
+      options
+    );
   }
 
   /**
    * Add file to context.
    */
-  async addContext(filePath: string): Promise<{ success: boolean; message: string }> {
-    return this.call("context.add", { file_path: filePath }) as Promise<{
-      success: boolean;
-      message: string;
-    }>;
+  async addContext(
+    filePath: string,
+    options?: CallOptions
+  ): Promise<ContextAddResult> {
+    return this.request("context.add", { file_path: filePath }, options);
   }
 
   /**
    * Remove file from context.
    */
-  async removeContext(filePath: string): Promise<{ success: boolean; message: string }> {
-    return this.call("context.remove", { file_path: filePath }) as Promise<{
-      success: boolean;
-      message: string;
-    }>;
+  async removeContext(
+    filePath: string,
+    options?: CallOptions
+  ): Promise<ContextRemoveResult> {
+    return this.request("context.remove", { file_path: filePath }, options);
   }
 
   /**
    * List context files.
    */
-  async listContext(): Promise<{
-    files: Array<{ path: string; tokens: number }>;
-    total_tokens: number;
-  }> {
-    return this.call("context.list", {}) as Promise<{
-      files: Array<{ path: string; tokens: number }>;
-      total_tokens: number;
-    }>;
+  async listContext(options?: CallOptions): Promise<ContextListResult> {
+    return this.request("context.list", {}, options);
   }
 
   /**
@@ -230,44 +731,143 @@ export class MistralRpcClient extends EventEmitter {
    */
   async clearContext(
     files = true,
-    history = true
+    history = true,
+    options?: CallOptions
   ): Promise<void> {
-    await this.call("context.clear", { files, history });
+    await this.request("context.clear", { files, history }, options);
+  }
+
+  /**
+   * Replace the server's conversation history, e.g. after a reconnect.
+   */
+  async setHistory(messages: ChatTurn[], options?: CallOptions): Promise<void> {
+    await this.request("history.set", { messages }, options);
   }
 
   /**
    * Set the model.
    */
-  async setModel(model: string): Promise<void> {
-    await this.call("model.set", { model });
+  async setModel(model: string, options?: CallOptions): Promise<void> {
+    await this.request("model.set", { model }, options);
   }
 
   /**
    * Get current model.
    */
-  async getModel(): Promise<{ model: string }> {
-    return this.call("model.get", {}) as Promise<{ model: string }>;
+  async getModel(options?: CallOptions): Promise<ModelGetResult> {
+    return this.request("model.get", {}, options);
   }
 
   /**
-   * Make a raw RPC call.
+   * List the models the CLI can use. Needs the `model_list` capability.
    */
-  async call(method: string, params: Record<string, unknown>): Promise<unknown> {
+  async listModels(options?: CallOptions): Promise<ModelListResult> {
+    return this.request("model.list", {}, options);
+  }
+
+  /**
+   * Count the tokens a chat with this message would send. Needs the
+   * `token_count` capability.
+   */
+  async countTokens(
+    message: string,
+    contextFiles?: string[],
+    options?: CallOptions
+  ): Promise<TokensCountResult> {
+    return this.request("tokens.count", { message, context_files: contextFiles }, options);
+  }
+
+  /**
+   * Make a raw RPC call. Results of methods in the protocol schema are
+   * validated; a mismatch rejects with a ProtocolError.
+   */
+  async call(method: string, params: object, options?: CallOptions): Promise<unknown> {
     if (!this.isConnected) {
       throw new Error("Not connected to server");
     }
-    return this._call(method, params);
+    return this._call(method, params, options);
+  }
+
+  /**
+   * Send several calls as one JSON-RPC batch. Each call settles on its own,
+   * so one failure does not reject the others. Options apply to every call.
+   */
+  async batch(
+    calls: BatchCall[],
+    options?: CallOptions
+  ): Promise<PromiseSettledResult<unknown>[]> {
+    if (!this.isConnected) {
+      throw new Error("Not connected to server");
+    }
+    if (calls.length === 0) {
+      return [];
+    }
+
+    const prepared = calls.map(({ method, params }) => this.prepareCall(method, params, options));
+    this.sendPrepared(prepared);
+
+    return Promise.allSettled(prepared.map(({ response }) => response));
+  }
+
+  /**
+   * Register the handler for a request the server may send to the client.
+   * Handlers registered before connecting are advertised on initialize.
+   */
+  onRequest<M extends string>(method: M, handler: RequestHandler<M>): { dispose(): void } {
+    // Params are checked against the schema before the handler is called
+    const registered = handler as unknown as RequestHandler;
+    this.requestHandlers.set(method, registered);
+    return {
+      dispose: () => {
+        if (this.requestHandlers.get(method) === registered) {
+          this.requestHandlers.delete(method);
+        }
+      },
+    };
+  }
+
+  /**
+   * Typed call of a method in the protocol schema.
+   */
+  private request<M extends keyof MethodParams>(
+    method: M,
+    params: MethodParams[M],
+    options?: CallOptions
+  ): Promise<MethodResults[M]> {
+    return this.call(method, params, options) as Promise<MethodResults[M]>;
   }
 
   /**
    * Internal call method that doesn't check connection state.
    * Used during initialization.
    */
-  private async _call(method: string, params: Record<string, unknown>): Promise<unknown> {
-    if (!this.process?.stdin?.writable) {
+  private async _call(
+    method: string,
+    params: object,
+    options?: InternalCallOptions
+  ): Promise<unknown> {
+    const call = this.prepareCall(method, params, options);
+    this.sendPrepared([call]);
+    return call.response;
+  }
+
+  /**
+   * Register a pending request and start its timer without sending it.
+   */
+  private prepareCall(
+    method: string,
+    params: object,
+    options?: InternalCallOptions
+  ): { request: JsonRpcRequest; response: Promise<unknown> } {
+    if (!this.transport?.writable) {
       throw new Error("Process not ready");
     }
 
+    const signal = options?.signal;
+    if (signal?.aborted) {
+      throw new Error(`Request cancelled: ${method}`);
+    }
+
     const id = ++this.requestId;
     const request: JsonRpcRequest = {
       jsonrpc: "2.0",
@@ -276,16 +876,187 @@ export class MistralRpcClient extends EventEmitter {
       params,
     };
 
-    return new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        this.pendingRequests.delete(id);
-        reject(new Error(`Request timeout: ${method}`));
-      }, this.config.timeout);
-
-      this.pendingRequests.set(id, { resolve, reject, timeout });
+    const response = new Promise<unknown>((resolve, reject) => {
+      const timeoutMs =
+        options?.timeoutMs ?? this.config.methodTimeouts[method] ?? this.config.timeout;
+      const pending: PendingRequest = {
+        method,
+        resolve,
+        reject,
+        timeout: this.startTimer(id, method, timeoutMs),
+        timeoutMs,
+        onEvent: options?.onEvent,
+        startedAt: Date.now(),
+      };
+
+      if (signal) {
+        const onAbort = () => this.cancelRequest(id);
+        signal.addEventListener("abort", onAbort, { once: true });
+        pending.detachSignal = () => signal.removeEventListener("abort", onAbort);
+      }
 
-      this.sendMessage(request);
+      this.pendingRequests.set(id, pending);
     });
+
+    return { request, response };
+  }
+
+  /**
+   * Send prepared requests, alone or as a batch. If sending fails, the
+   * requests are rejected with the send error.
+   */
+  private sendPrepared(calls: { request: JsonRpcRequest }[]): void {
+    try {
+      const requests = calls.map(({ request }) => request);
+      this.sendMessage(requests.length === 1 ? requests[0] : requests);
+    } catch (error) {
+      for (const { request } of calls) {
+        this.takePending(request.id)?.reject(error as Error);
+      }
+    }
+  }
+
+  /**
+   * Make a call and yield the notifications tagged with its id, then its result.
+   */
+  private async *stream(
+    method: string,
+    params: object,
+    options?: CallOptions
+  ): AsyncGenerator<ChatStreamEvent, void, undefined> {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    options?.signal?.addEventListener("abort", onAbort, { once: true });
+    if (options?.signal?.aborted) {
+      controller.abort();
+    }
+
+    const queue: ChatStreamEvent[] = [];
+    let finished = false;
+    let failure: Error | undefined;
+    let wake: (() => void) | undefined;
+
+    const notify = () => {
+      wake?.();
+      wake = undefined;
+    };
+
+    this.call(method, params, {
+      signal: controller.signal,
+      onEvent: (event) => {
+        options?.onEvent?.(event);
+        const streamEvent = toChatStreamEvent(event);
+        if (streamEvent) {
+          queue.push(streamEvent);
+          notify();
+        }
+      },
+    }).then(
+      (result) => {
+        queue.push({ type: "result", content: (result as { content: string }).content });
+        finished = true;
+        notify();
+      },
+      (error: Error) => {
+        failure = error;
+        finished = true;
+        notify();
+      }
+    );
+
+    try {
+      while (true) {
+        const event = queue.shift();
+        if (event) {
+          yield event;
+        } else if (failure) {
+          throw failure;
+        } else if (finished) {
+          return;
+        } else {
+          await new Promise<void>((resolve) => (wake = resolve));
+        }
+      }
+    } finally {
+      // Consumer stopped iterating before the server finished
+      if (!finished) {
+        controller.abort();
+      }
+      options?.signal?.removeEventListener("abort", onAbort);
+    }
+  }
+
+  /**
+   * Abandon an in-flight request and tell the server to stop working on it.
+   */
+  private cancelRequest(id: number): void {
+    const pending = this.takePending(id);
+    if (!pending) {
+      return;
+    }
+
+    pending.reject(new Error(`Request cancelled: ${pending.method}`));
+
+    // Drop anything the server still streams for this request
+    this.cancelledRequests.add(id);
+    if (this.cancelledRequests.size > MAX_CANCELLED_REQUESTS) {
+      const [oldest] = this.cancelledRequests;
+      this.cancelledRequests.delete(oldest);
+    }
+
+    if (this.transport?.writable) {
+      this.sendMessage({
+        jsonrpc: "2.0",
+        method: "$/cancelRequest",
+        params: { id },
+      });
+    }
+  }
+
+  /**
+   * Start the idle timer for a pending request.
+   */
+  private startTimer(id: number, method: string, timeoutMs: number): NodeJS.Timeout {
+    return setTimeout(() => {
+      this.takePending(id)?.reject(
+        new Error(`Request timeout: ${method} (no activity for ${timeoutMs}ms)`)
+      );
+    }, timeoutMs);
+  }
+
+  /**
+   * Restart the idle timers of all streaming requests.
+   * Used for untagged notifications, which could belong to any of them.
+   */
+  private resetStreamingTimers(): void {
+    for (const [id, pending] of this.pendingRequests) {
+      if (STREAMING_METHODS.has(pending.method)) {
+        this.restartTimer(id, pending);
+      }
+    }
+  }
+
+  /**
+   * Restart the idle timer of a single pending request.
+   */
+  private restartTimer(id: number, pending: PendingRequest): void {
+    clearTimeout(pending.timeout);
+    pending.timeout = this.startTimer(id, pending.method, pending.timeoutMs);
+  }
+
+  /**
+   * Remove a pending request and release its timer and abort listener.
+   */
+  private takePending(id: number): PendingRequest | undefined {
+    const pending = this.pendingRequests.get(id);
+    if (!pending) {
+      return undefined;
+    }
+
+    clearTimeout(pending.timeout);
+    pending.detachSignal?.();
+    this.pendingRequests.delete(id);
+    return pending;
   }
 
   // ==========================================================================
@@ -299,84 +1070,236 @@ export class MistralRpcClient extends EventEmitter {
     }
   }
 
-  private async spawnProcess(): Promise<void> {
-    return new Promise((resolve, reject) => {
-      try {
-        this.process = spawn(this.config.cliPath, ["server"], {
-          stdio: ["pipe", "pipe", "pipe"],
-          shell: true,
-        });
+  private async openTransport(): Promise<void> {
+    const transport = createTransport(this.config.cli, this.config.endpoint, this.config.timeout);
+    this.transport = transport;
 
-        if (!this.process.stdout || !this.process.stdin) {
-          reject(new Error("Failed to create process streams"));
-          return;
-        }
+    transport.on("data", (chunk: Buffer) => {
+      this.handleData(chunk);
+    });
 
-        // Set up line reader for stdout
-        this.readline = readline.createInterface({
-          input: this.process.stdout,
-          crlfDelay: Infinity,
-        });
+    transport.on("error", (error: Error) => {
+      this.handleTransportError(error);
+    });
 
-        this.readline.on("line", (line) => {
-          this.handleLine(line);
-        });
+    transport.on("close", (info: TransportCloseInfo) => {
+      this.handleTransportClose(info);
+    });
 
-        // Handle process errors
-        this.process.on("error", (error) => {
-          this.handleProcessError(error);
-        });
+    // Log stderr
+    transport.on("stderr", (chunk: string) => {
+      console.error("[Mistral CLI]", chunk);
+      this.trace({ direction: "stderr", text: chunk });
+      this.recordStderr(chunk);
+    });
 
-        this.process.on("exit", (code, signal) => {
-          this.handleProcessExit(code, signal);
-        });
+    await transport.open();
+  }
 
-        // Log stderr
-        this.process.stderr?.on("data", (data) => {
-          console.error("[Mistral CLI]", data.toString());
+  private async initialize(): Promise<void> {
+    let result: InitializeResult | null;
+    try {
+      const params: MethodParams["initialize"] = {
+        protocol_version: PROTOCOL_VERSION,
+        client_info: this.config.clientInfo,
+        capabilities: {
+          ...CLIENT_CAPABILITIES,
+          framing: this.config.framing === "newline" ? ["newline"] : ["content-length", "newline"],
+          server_requests: [...this.requestHandlers.keys()],
+        },
+      };
+      result = (await this._call("initialize", params)) as InitializeResult | null;
+    } catch (error) {
+      if (error instanceof RpcError && error.code === UNSUPPORTED_PROTOCOL) {
+        const data = error.data as { protocol_version?: string } | undefined;
+        this.emit("incompatibleServer", {
+          serverVersion: data?.protocol_version ?? "unknown",
+          clientVersion: PROTOCOL_VERSION,
         });
-
-        // Give the process a moment to start
-        setTimeout(resolve, 100);
-      } catch (error) {
-        reject(error);
       }
-    });
-  }
+      throw error;
+    }
 
-  private async initialize(): Promise<void> {
-    const result = await this._call("initialize", {});
     if (!result) {
       throw new Error("Failed to initialize server");
     }
+
+    // Servers that predate framing negotiation only understand newlines
+    if (this.config.framing === "auto") {
+      this.outboundFraming = result.framing === "content-length" ? "content-length" : "newline";
+    }
+
+    // Servers that predate negotiation speak the first protocol version
+    const protocolVersion = result.protocol_version ?? "1.0";
+    if (majorVersion(protocolVersion) !== majorVersion(PROTOCOL_VERSION)) {
+      this.emit("incompatibleServer", {
+        serverVersion: protocolVersion,
+        clientVersion: PROTOCOL_VERSION,
+      });
+      throw new Error(
+        `Incompatible Mistral CLI protocol version ${protocolVersion}; ` +
+          `this extension requires ${majorVersion(PROTOCOL_VERSION)}.x`
+      );
+    }
+
+    this._serverInfo = {
+      version: result.version ?? "unknown",
+      protocolVersion,
+      capabilities: {
+        streaming: result.capabilities?.streaming === true,
+        tools: result.capabilities?.tools === true,
+        context: result.capabilities?.context === true,
+        token_count: result.capabilities?.token_count === true,
+        model_list: result.capabilities?.model_list === true,
+        regenerate: result.capabilities?.regenerate === true,
+      },
+      framing: this.outboundFraming,
+    };
+    this.lastServerInfo = this._serverInfo;
   }
 
-  private sendMessage(message: JsonRpcRequest): void {
-    if (!this.process?.stdin?.writable) {
-      throw new Error("Process stdin not writable");
+  private sendMessage(message: JsonRpcOutgoing | JsonRpcOutgoing[]): void {
+    if (!this.transport?.writable) {
+      throw new Error("Transport not writable");
     }
 
     const json = JSON.stringify(message);
-    this.process.stdin.write(json + "\n");
+    this.transport.send(encodeMessage(json, this.outboundFraming));
+
+    for (const item of Array.isArray(message) ? message : [message]) {
+      this.trace({ direction: "send", message: item });
+    }
+  }
+
+  /**
+   * Keep a protocol message for diagnostics, and emit a "trace" event if
+   * anything is listening.
+   */
+  private trace(entry: Omit<RpcTraceEntry, "time">): void {
+    const traced: RpcTraceEntry = { time: Date.now(), ...entry };
+    if (entry.direction !== "stderr") {
+      this.recentMessages.push(traced);
+    }
+    if (this.listenerCount("trace") > 0) {
+      this.emit("trace", traced);
+    }
   }
 
-  private handleLine(line: string): void {
-    if (!line.trim()) {
+  /**
+   * Split stderr into lines for diagnostics. Chunks may end mid-line.
+   */
+  private recordStderr(chunk: string): void {
+    const lines = (this.stderrPartial + chunk).split(/\r?\n/);
+    this.stderrPartial = lines.pop()!.slice(0, MAX_STDERR_LINE);
+    for (const line of lines) {
+      this.stderrLines.push(line.slice(0, MAX_STDERR_LINE));
+    }
+  }
+
+  private initialFraming(): MessageFraming {
+    return this.config.framing === "content-length" ? "content-length" : "newline";
+  }
+
+  private handleData(chunk: Buffer): void {
+    for (const body of this.reader.push(chunk)) {
+      this.handleMessage(body);
+    }
+  }
+
+  private handleMessage(body: string): void {
+    let message: JsonRpcResponse | JsonRpcResponse[];
+    try {
+      message = JSON.parse(body);
+    } catch (error) {
+      console.error("Failed to parse server message:", body);
+      this.trace({ direction: "receive", text: body });
+      return;
+    }
+
+    if (!Array.isArray(message)) {
+      this.dispatchMessage(message)?.then((reply) => this.sendReply(reply));
       return;
     }
 
+    // A batch; replies to any server requests in it go back as one batch
+    const replies = message
+      .map((item) => this.dispatchMessage(item))
+      .filter((reply): reply is Promise<JsonRpcReply> => reply !== undefined);
+    if (message.length === 0) {
+      replies.push(
+        Promise.resolve(errorReply(null, INVALID_REQUEST, "Invalid Request: empty batch"))
+      );
+    }
+    if (replies.length > 0) {
+      Promise.all(replies).then((all) => this.sendReply(all.length === 1 ? all[0] : all));
+    }
+  }
+
+  /**
+   * Route one message. Returns the pending reply if it was a server request.
+   */
+  private dispatchMessage(message: JsonRpcResponse): Promise<JsonRpcReply> | undefined {
+    const pending =
+      typeof message?.id === "number" && !message.method
+        ? this.pendingRequests.get(message.id)
+        : undefined;
+    this.trace({
+      direction: "receive",
+      message,
+      durationMs: pending ? Date.now() - pending.startedAt : undefined,
+    });
+
+    if (typeof message !== "object" || message === null) {
+      return Promise.resolve(errorReply(null, INVALID_REQUEST, "Invalid Request"));
+    }
+
+    if (message.method && message.id !== undefined) {
+      // The server is asking us for something
+      return this.handleServerRequest(message as JsonRpcServerRequest);
+    } else if (message.id !== undefined) {
+      // This is a response
+      this.handleResponse(message);
+    } else if (message.method) {
+      // This is a notification
+      this.handleNotification(message);
+    }
+    return undefined;
+  }
+
+  private async handleServerRequest(request: JsonRpcServerRequest): Promise<JsonRpcReply> {
+    const handler = this.requestHandlers.get(request.method);
+    if (!handler) {
+      return errorReply(request.id, METHOD_NOT_FOUND, `Method not found: ${request.method}`);
+    }
+
+    const params = request.params ?? {};
+    const problems = check("serverRequestParams", request.method, params);
+    if (problems.length > 0) {
+      return errorReply(
+        request.id,
+        INVALID_PARAMS,
+        describeProblems(`params for ${request.method}`, problems),
+        { errors: problems }
+      );
+    }
+
     try {
-      const message: JsonRpcResponse = JSON.parse(line);
-
-      if (message.id !== undefined) {
-        // This is a response
-        this.handleResponse(message);
-      } else if (message.method) {
-        // This is a notification
-        this.handleNotification(message);
+      const result = await handler(params);
+      return { jsonrpc: "2.0", id: request.id, result: result ?? null };
+    } catch (error) {
+      if (error instanceof RpcError) {
+        return errorReply(request.id, error.code, error.rawMessage, error.data);
       }
+      return errorReply(request.id, INTERNAL_ERROR, String((error as Error)?.message ?? error));
+    }
+  }
+
+  private sendReply(reply: JsonRpcReply | JsonRpcReply[]): void {
+    try {
+      this.sendMessage(reply);
     } catch (error) {
-      console.error("Failed to parse server message:", line);
+      // The connection went away while the handler ran; the server will not wait for it
+      console.error("Failed to answer server request:", error);
     }
   }
 
@@ -386,17 +1309,24 @@ export class MistralRpcClient extends EventEmitter {
       return;
     }
 
-    const pending = this.pendingRequests.get(id);
+    const pending = this.takePending(id);
     if (!pending) {
+      // Late reply to a cancelled request; nothing more will arrive for it
+      this.cancelledRequests.delete(id);
       return;
     }
 
-    clearTimeout(pending.timeout);
-    this.pendingRequests.delete(id);
-
     if (response.error) {
       pending.reject(
-        new Error(`RPC Error ${response.error.code}: ${response.error.message}`)
+        new RpcError(response.error.code, response.error.message, response.error.data)
+      );
+      return;
+    }
+
+    const problems = check("result", pending.method, response.result);
+    if (problems.length > 0) {
+      pending.reject(
+        new ProtocolError(describeProblems(`result for ${pending.method}`, problems), problems)
       );
     } else {
       pending.resolve(response.result);
@@ -409,33 +1339,157 @@ export class MistralRpcClient extends EventEmitter {
       return;
     }
 
+    // A notification that does not match the schema is dropped rather than
+    // handed to listeners that rely on its shape
+    const problems = check("notification", method, notification.params);
+    if (problems.length > 0) {
+      console.error(describeProblems(`${method} notification`, problems));
+      return;
+    }
+
+    const requestId = (notification.params as NotificationScope | undefined)?.request_id;
+
+    if (typeof requestId === "number") {
+      if (this.cancelledRequests.has(requestId)) {
+        return;
+      }
+
+      const pending = this.pendingRequests.get(requestId);
+      if (pending) {
+        if (PROGRESS_NOTIFICATIONS.has(method)) {
+          this.restartTimer(requestId, pending);
+        }
+        pending.onEvent?.({ method, params: notification.params } as RpcStreamEvent);
+      }
+    } else if (PROGRESS_NOTIFICATIONS.has(method)) {
+      this.resetStreamingTimers();
+    }
+
     // Emit the event for listeners
     this.emit(method, notification.params);
   }
 
-  private handleProcessError(error: Error): void {
-    console.error("Mistral CLI process error:", error);
-    this._setState(ConnectionState.Error);
-    this.attemptReconnect();
+  private handleTransportError(error: Error): void {
+    // Fatal errors are followed by "close", which drives reconnection
+    console.error("Mistral CLI transport error:", error);
   }
 
-  private handleProcessExit(code: number | null, signal: string | null): void {
-    console.log(`Mistral CLI process exited: code=${code}, signal=${signal}`);
+  private handleTransportClose(info: TransportCloseInfo): void {
+    console.log(
+      `Mistral CLI connection closed: code=${info.code}, signal=${info.signal}` +
+        (info.reason ? `, reason=${info.reason}` : "")
+    );
 
     // Reject all pending requests
-    for (const [id, pending] of this.pendingRequests) {
-      clearTimeout(pending.timeout);
-      pending.reject(new Error("Process exited"));
+    const reason = this.config.endpoint ? "Connection closed" : "Process exited";
+    for (const id of [...this.pendingRequests.keys()]) {
+      this.takePending(id)?.reject(new Error(reason));
     }
-    this.pendingRequests.clear();
+    this.stopHealthChecks();
 
     if (this._state !== ConnectionState.Disconnected) {
+      this.recordExit(info);
       this._setState(ConnectionState.Error);
       this.attemptReconnect();
     }
   }
 
+  /**
+   * Remember an unexpected exit and emit "crashed" with the number of exits
+   * within CRASH_WINDOW_MS, so a crash loop can be told from a single crash.
+   */
+  private recordExit(info: TransportCloseInfo): void {
+    if (this.stderrPartial) {
+      this.stderrLines.push(this.stderrPartial);
+      this.stderrPartial = "";
+    }
+
+    const now = Date.now();
+    this.exits.push({ time: now, ...info });
+    const recentCrashes = this.exits
+      .toArray()
+      .filter((exit) => now - exit.time <= CRASH_WINDOW_MS).length;
+    this.emit("crashed", { ...info, recentCrashes });
+  }
+
+  /**
+   * Ping the server every healthCheckInterval while connected.
+   */
+  private startHealthChecks(): void {
+    this.stopHealthChecks();
+    if (this.config.healthCheckInterval > 0) {
+      this.healthTimer = setInterval(() => this.checkHealth(), this.config.healthCheckInterval);
+    }
+  }
+
+  private stopHealthChecks(): void {
+    if (this.healthTimer) {
+      clearInterval(this.healthTimer);
+      this.healthTimer = null;
+    }
+    this.missedHealthChecks = 0;
+  }
+
+  /**
+   * Send one ping. Any response, even an error from a server without `ping`
+   * or a malformed result, shows the server is alive; only silence counts as a miss.
+   */
+  private async checkHealth(): Promise<void> {
+    if (this.healthCheckInFlight || !this.isConnected) {
+      return;
+    }
+
+    const transport = this.transport;
+    this.healthCheckInFlight = true;
+    try {
+      await this._call("ping", {}, { timeoutMs: this.config.healthCheckTimeout });
+      this.markHealthy();
+    } catch (error) {
+      if (error instanceof RpcError || error instanceof ProtocolError) {
+        this.markHealthy();
+      } else if (this.transport === transport && this.isConnected) {
+        this.markUnhealthy();
+      }
+    } finally {
+      this.healthCheckInFlight = false;
+    }
+  }
+
+  private markHealthy(): void {
+    this.missedHealthChecks = 0;
+    if (this._state === ConnectionState.Degraded) {
+      this._setState(ConnectionState.Connected);
+    }
+  }
+
+  private markUnhealthy(): void {
+    this.missedHealthChecks++;
+    if (this.missedHealthChecks < this.config.maxMissedHealthChecks) {
+      this._setState(ConnectionState.Degraded);
+      return;
+    }
+
+    // The server stopped answering but its process or socket is still open
+    console.error(`Mistral CLI did not answer ${this.missedHealthChecks} health checks; restarting`);
+    this.emit("unresponsive", { missed: this.missedHealthChecks });
+    this.recordExit({
+      code: null,
+      signal: null,
+      reason: `No answer to ${this.missedHealthChecks} health checks`,
+    });
+    for (const id of [...this.pendingRequests.keys()]) {
+      this.takePending(id)?.reject(new Error("Server not responding"));
+    }
+    this.cleanup();
+    this._setState(ConnectionState.Error);
+    this.attemptReconnect();
+  }
+
   private attemptReconnect(): void {
+    // One attempt at a time, e.g. when the CLI exits during a failed handshake
+    if (this.reconnectTimer) {
+      return;
+    }
     if (this.reconnectAttempts >= this.config.maxReconnectAttempts) {
       console.error("Max reconnection attempts reached");
       this.emit("reconnectFailed");
@@ -448,37 +1502,98 @@ export class MistralRpcClient extends EventEmitter {
     this._setState(ConnectionState.Reconnecting);
     this.emit("reconnecting", { attempt: this.reconnectAttempts, delay });
 
-    setTimeout(async () => {
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
       try {
         this.cleanup();
         await this.connect();
         this.emit("reconnected");
       } catch (error) {
-        this.attemptReconnect();
+        // Unless disconnect() was called during the attempt
+        if (this._state !== ConnectionState.Disconnected) {
+          this.attemptReconnect();
+        }
       }
     }, Math.min(delay, 30000)); // Cap at 30 seconds
   }
 
   private cleanup(): void {
-    if (this.readline) {
-      this.readline.close();
-      this.readline = null;
-    }
+    this._serverInfo = null;
+    this.stopHealthChecks();
 
-    if (this.process) {
-      try {
-        this.process.kill();
-      } catch {
-        // Ignore errors
-      }
-      this.process = null;
+    if (this.transport) {
+      this.transport.removeAllListeners();
+      this.transport.close();
+      this.transport = null;
     }
+    this.reader.reset();
+    this.outboundFraming = this.initialFraming();
 
     // Clear pending requests
-    for (const [, pending] of this.pendingRequests) {
-      clearTimeout(pending.timeout);
-      pending.reject(new Error("Client disconnected"));
+    for (const id of [...this.pendingRequests.keys()]) {
+      this.takePending(id)?.reject(new Error("Client disconnected"));
     }
-    this.pendingRequests.clear();
+    this.cancelledRequests.clear();
+  }
+}
+
+/**
+ * Build an error reply to a server request.
+ */
+function errorReply(
+  id: number | string | null,
+  code: number,
+  message: string,
+  data?: unknown
+): JsonRpcReply {
+  return {
+    jsonrpc: "2.0",
+    id,
+    error: data === undefined ? { code, message } : { code, message, data },
+  };
+}
+
+/**
+ * Major component of a dotted version string.
+ */
+function majorVersion(version: string): string {
+  return version.split(".")[0];
+}
+
+/**
+ * Map a request-scoped notification to the event a stream consumer sees.
+ * `content.done` is dropped because the final `result` supersedes it.
+ */
+function toChatStreamEvent(event: RpcStreamEvent): ChatStreamEvent | undefined {
+  switch (event.method) {
+    case "content.delta":
+      return { type: "delta", text: event.params.text };
+    case "thinking.update":
+      return { type: "thinking", thought: event.params.thought };
+    case "tool.pending":
+      return {
+        type: "toolPending",
+        toolCallId: event.params.tool_call_id,
+        tool: event.params.tool,
+        arguments: event.params.arguments,
+      };
+    case "tool.result":
+      return {
+        type: "toolResult",
+        toolCallId: event.params.tool_call_id,
+        success: event.params.success,
+        output: event.params.output,
+      };
+    case "token.usage":
+      return {
+        type: "usage",
+        prompt: event.params.prompt,
+        completion: event.params.completion,
+        total: event.params.total,
+      };
+    case "error":
+      return { type: "error", code: event.params.code, message: event.params.message };
+    default:
+      return undefined;
   }
 }
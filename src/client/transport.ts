@@ -0,0 +1,390 @@
+/**
+ * Transports for the Mistral CLI JSON-RPC connection.
+ *
+ * A transport only moves raw bytes in both directions; message framing,
+ * request tracking and reconnection stay in the RPC client so every
+ * transport behaves the same.
+ */
+
+import { ChildProcess, spawn } from "child_process";
+import { EventEmitter } from "events";
+import * as net from "net";
+import WebSocket from "ws";
+import { CliCommand, describeCommand } from "./command";
+
+/**
+ * How long a network transport waits for the server to accept the connection
+ * when no timeout is given, in milliseconds.
+ */
+const DEFAULT_CONNECT_TIMEOUT = 30000;
+
+/**
+ * Why a transport closed.
+ */
+export interface TransportCloseInfo {
+  /** Process exit code, for stdio transports */
+  code: number | null;
+  /** Terminating signal, for stdio transports */
+  signal: string | null;
+  /** Human-readable reason, for network transports */
+  reason?: string;
+}
+
+/**
+ * A bidirectional text channel to a Mistral server.
+ *
+ * Events:
+ * - `data` (chunk: Buffer): bytes received from the server
+ * - `stderr` (chunk: string): diagnostic output, stdio only
+ * - `error` (error: Error): transport failure, informational only
+ * - `close` (info: TransportCloseInfo): the channel is gone; always follows a fatal error
+ */
+export interface Transport extends EventEmitter {
+  /** Short description for logs, e.g. "tcp://localhost:7777" */
+  readonly description: string;
+  /** Whether `send` can currently be called */
+  readonly writable: boolean;
+  /** Open the channel; resolves once data can be sent */
+  open(): Promise<void>;
+  /** Send raw text to the server */
+  send(data: string): void;
+  /** Close the channel without emitting `close` */
+  close(): void;
+}
+
+/**
+ * Spawns the CLI as `<command> <args> server`, without a shell, and talks to
+ * it over stdin/stdout.
+ */
+export class StdioTransport extends EventEmitter implements Transport {
+  private process: ChildProcess | null = null;
+
+  constructor(private readonly cli: CliCommand) {
+    super();
+  }
+
+  get description(): string {
+    return `stdio:${describeCommand(this.cli, ["server"])}`;
+  }
+
+  get writable(): boolean {
+    return this.process?.stdin?.writable ?? false;
+  }
+
+  async open(): Promise<void> {
+    return new Promise((resolve, reject) => {
+      try {
+        this.process = spawn(this.cli.command, [...this.cli.args, "server"], {
+          stdio: ["pipe", "pipe", "pipe"],
+          env: { ...process.env, ...this.cli.env },
+          cwd: this.cli.cwd || undefined,
+          windowsHide: true,
+        });
+
+        if (!this.process.stdout || !this.process.stdin) {
+          reject(new Error("Failed to create process streams"));
+          return;
+        }
+
+        this.process.stdout.on("data", (chunk: Buffer) => {
+          this.emit("data", chunk);
+        });
+
+        this.process.stderr?.on("data", (data) => {
+          this.emit("stderr", data.toString());
+        });
+
+        const child = this.process;
+        child.on("error", (error) => {
+          this.emit("error", error);
+          // A process that never started will not emit "exit"
+          if (child.pid === undefined && this.process === child) {
+            this.process = null;
+            this.emit("close", { code: null, signal: null, reason: error.message });
+          }
+        });
+
+        this.process.on("exit", (code, signal) => {
+          this.process = null;
+          this.emit("close", { code, signal });
+        });
+
+        // Give the process a moment to start
+        setTimeout(resolve, 100);
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  send(data: string): void {
+    if (!this.process?.stdin?.writable) {
+      throw new Error("Process stdin not writable");
+    }
+    this.process.stdin.write(data);
+  }
+
+  close(): void {
+    const child = this.process;
+    if (!child) {
+      return;
+    }
+
+    this.process = null;
+    child.removeAllListeners("exit");
+    child.removeAllListeners("error");
+    child.on("error", () => undefined);
+    try {
+      child.kill();
+    } catch {
+      // Ignore errors
+    }
+  }
+}
+
+/**
+ * Connects to a running server over a plain TCP socket.
+ */
+export class TcpTransport extends EventEmitter implements Transport {
+  private socket: net.Socket | null = null;
+
+  constructor(
+    private readonly host: string,
+    private readonly port: number,
+    private readonly connectTimeout = DEFAULT_CONNECT_TIMEOUT
+  ) {
+    super();
+  }
+
+  get description(): string {
+    return `tcp://${this.host}:${this.port}`;
+  }
+
+  get writable(): boolean {
+    return this.socket?.writable ?? false;
+  }
+
+  async open(): Promise<void> {
+    return new Promise((resolve, reject) => {
+      const socket = net.connect({ host: this.host, port: this.port });
+
+      // A host that drops packets would otherwise keep connect() pending for minutes
+      const timer = setTimeout(() => {
+        socket.off("error", onConnectError);
+        socket.on("error", () => undefined);
+        socket.destroy();
+        reject(connectTimeoutError(this.description, this.connectTimeout));
+      }, this.connectTimeout);
+
+      const onConnectError = (error: Error) => {
+        clearTimeout(timer);
+        reject(error);
+      };
+      socket.once("error", onConnectError);
+
+      socket.once("connect", () => {
+        clearTimeout(timer);
+        socket.off("error", onConnectError);
+        this.socket = socket;
+
+        socket.on("data", (chunk: Buffer) => {
+          this.emit("data", chunk);
+        });
+
+        socket.on("error", (error) => {
+          this.emit("error", error);
+        });
+
+        socket.on("close", () => {
+          this.socket = null;
+          this.emit("close", { code: null, signal: null, reason: "socket closed" });
+        });
+
+        resolve();
+      });
+    });
+  }
+
+  send(data: string): void {
+    if (!this.socket?.writable) {
+      throw new Error("Socket not writable");
+    }
+    this.socket.write(data);
+  }
+
+  close(): void {
+    const socket = this.socket;
+    if (!socket) {
+      return;
+    }
+
+    this.socket = null;
+    socket.removeAllListeners("close");
+    socket.removeAllListeners("error");
+    socket.on("error", () => undefined);
+    socket.destroy();
+  }
+}
+
+/**
+ * Connects to a running server over a WebSocket. Each message carries one or
+ * more JSON-RPC messages, framed exactly as they would appear on stdout.
+ */
+export class WebSocketTransport extends EventEmitter implements Transport {
+  private socket: WebSocket | null = null;
+
+  constructor(
+    private readonly url: string,
+    private readonly connectTimeout = DEFAULT_CONNECT_TIMEOUT
+  ) {
+    super();
+  }
+
+  get description(): string {
+    return this.url;
+  }
+
+  get writable(): boolean {
+    return this.socket?.readyState === WebSocket.OPEN;
+  }
+
+  async open(): Promise<void> {
+    return new Promise((resolve, reject) => {
+      const socket = new WebSocket(this.url);
+
+      const timer = setTimeout(() => {
+        socket.off("error", onConnectError);
+        socket.on("error", () => undefined);
+        socket.terminate();
+        reject(connectTimeoutError(this.description, this.connectTimeout));
+      }, this.connectTimeout);
+
+      const onConnectError = (error: Error) => {
+        clearTimeout(timer);
+        reject(error);
+      };
+      socket.once("error", onConnectError);
+
+      socket.once("open", () => {
+        clearTimeout(timer);
+        socket.off("error", onConnectError);
+        this.socket = socket;
+
+        socket.on("message", (data) => {
+          this.emit("data", toBuffer(data));
+        });
+
+        socket.on("error", (error) => {
+          this.emit("error", error);
+        });
+
+        socket.on("close", (code, reason) => {
+          this.socket = null;
+          this.emit("close", {
+            code: null,
+            signal: null,
+            reason: `websocket closed (${code}${reason.length ? `: ${reason}` : ""})`,
+          });
+        });
+
+        resolve();
+      });
+    });
+  }
+
+  send(data: string): void {
+    if (this.socket?.readyState !== WebSocket.OPEN) {
+      throw new Error("WebSocket not open");
+    }
+    this.socket.send(data);
+  }
+
+  close(): void {
+    const socket = this.socket;
+    if (!socket) {
+      return;
+    }
+
+    this.socket = null;
+    socket.removeAllListeners("close");
+    socket.removeAllListeners("error");
+    socket.on("error", () => undefined);
+    socket.close();
+  }
+}
+
+function connectTimeoutError(description: string, timeoutMs: number): Error {
+  return new Error(`Timed out connecting to ${description} after ${timeoutMs}ms`);
+}
+
+/**
+ * Normalize the payload of a WebSocket message to a single Buffer.
+ */
+function toBuffer(data: WebSocket.RawData): Buffer {
+  if (Buffer.isBuffer(data)) {
+    return data;
+  }
+  return Array.isArray(data) ? Buffer.concat(data) : Buffer.from(data);
+}
+
+/**
+ * A server URL without what may be a secret: user name, password, query and
+ * fragment, e.g. `wss://host/rpc (credentials and query omitted)`.
+ */
+export function describeEndpoint(endpoint: string): string {
+  let url: URL;
+  try {
+    url = new URL(endpoint);
+  } catch {
+    return "(not a valid URL; omitted)";
+  }
+
+  const omitted = Boolean(url.username || url.password || url.search || url.hash);
+  url.username = "";
+  url.password = "";
+  url.search = "";
+  url.hash = "";
+  return omitted ? `${url.toString()} (credentials and query omitted)` : url.toString();
+}
+
+/**
+ * Create the transport for a server endpoint, or for spawning the CLI when no
+ * endpoint is given.
+ *
+ * @param cli - CLI command used for the stdio transport
+ * @param endpoint - `tcp://host:port`, `ws://...` or `wss://...`
+ * @param connectTimeout - How long a network transport waits to connect, in milliseconds
+ */
+export function createTransport(
+  cli: CliCommand,
+  endpoint?: string,
+  connectTimeout?: number
+): Transport {
+  if (!endpoint) {
+    return new StdioTransport(cli);
+  }
+
+  let url: URL;
+  try {
+    url = new URL(endpoint);
+  } catch {
+    throw new Error(`Invalid Mistral server URL: ${endpoint}`);
+  }
+
+  switch (url.protocol) {
+    case "tcp:": {
+      const port = Number(url.port);
+      if (!url.hostname || !port) {
+        throw new Error(`TCP server URL needs a host and port: ${endpoint}`);
+      }
+      return new TcpTransport(url.hostname, port, connectTimeout);
+    }
+    case "ws:":
+    case "wss:":
+      return new WebSocketTransport(endpoint, connectTimeout);
+    default:
+      throw new Error(
+        `Unsupported Mistral server URL scheme "${url.protocol}" (use tcp://, ws:// or wss://)`
+      );
+  }
+}
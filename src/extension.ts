@@ -5,8 +5,10 @@
  * and lifecycle management.
  */
 
+import { execFile } from "child_process";
 import * as vscode from "vscode";
 import { MistralSidebarProvider } from "./panels/MistralSidebarProvider";
+import { resolveCliCommand } from "./services";
 
 let sidebarProvider: MistralSidebarProvider | undefined;
 
@@ -18,8 +20,23 @@ export async function activate(
 ): Promise<void> {
   console.log("Mistral AI extension is activating...");
 
-  // Check for CLI availability
-  const cliAvailable = await checkCliAvailability();
+  const { endpoint, ignoredWorkspaceSettings } = resolveCliCommand();
+  if (ignoredWorkspaceSettings.length > 0) {
+    vscode.window
+      .showWarningMessage(
+        `Ignoring ${ignoredWorkspaceSettings.join(", ")} from this workspace's settings ` +
+          "because the workspace is not trusted.",
+        "Manage Workspace Trust"
+      )
+      .then((action) => {
+        if (action) {
+          vscode.commands.executeCommand("workbench.trust.manage");
+        }
+      });
+  }
+
+  // Check for CLI availability; a remote server does not need a local CLI
+  const cliAvailable = endpoint !== "" || (await checkCliAvailability());
   if (!cliAvailable) {
     const action = await vscode.window.showErrorMessage(
       "Mistral CLI not found. The extension requires mistral-cli to be installed.",
@@ -34,7 +51,7 @@ export async function activate(
     } else if (action === "Configure Path") {
       vscode.commands.executeCommand(
         "workbench.action.openSettings",
-        "mistral.cliPath"
+        "mistral.cli"
       );
     }
     // Continue activation anyway - user might configure later
@@ -62,6 +79,14 @@ export async function activate(
       sidebarProvider?.newChat();
     }),
 
+    vscode.commands.registerCommand("mistral.newChatTab", () => {
+      sidebarProvider?.newTab();
+    }),
+
+    vscode.commands.registerCommand("mistral.openChatInEditor", () => {
+      sidebarProvider?.openChatInEditor();
+    }),
+
     vscode.commands.registerCommand("mistral.addContext", async (uri?: vscode.Uri) => {
       let filePath: string | undefined;
 
@@ -94,6 +119,30 @@ export async function activate(
       sidebarProvider?.clearContext();
     }),
 
+    vscode.commands.registerCommand("mistral.switchSession", () => {
+      sidebarProvider?.switchSession();
+    }),
+
+    vscode.commands.registerCommand("mistral.selectModel", () => {
+      sidebarProvider?.selectModel();
+    }),
+
+    vscode.commands.registerCommand("mistral.exportChat", () => {
+      sidebarProvider?.exportChat();
+    }),
+
+    vscode.commands.registerCommand("mistral.importChat", () => {
+      sidebarProvider?.importChat();
+    }),
+
+    vscode.commands.registerCommand("mistral.showRpcLog", () => {
+      sidebarProvider?.showRpcLog();
+    }),
+
+    vscode.commands.registerCommand("mistral.exportRpcLog", () => {
+      sidebarProvider?.exportRpcLog();
+    }),
+
     vscode.commands.registerCommand("mistral.settings", () => {
       vscode.commands.executeCommand(
         "workbench.action.openSettings",
@@ -124,18 +173,17 @@ export function deactivate(): void {
 }
 
 /**
- * Check if the Mistral CLI is available.
+ * Check if the Mistral CLI is available by running `<command> <args> --version`.
  */
 async function checkCliAvailability(): Promise<boolean> {
-  const config = vscode.workspace.getConfiguration("mistral");
-  const configuredPath = config.get<string>("cliPath");
-
-  const command = configuredPath || "mistral";
+  const { cli } = resolveCliCommand();
 
   return new Promise((resolve) => {
-    const { exec } = require("child_process");
-    exec(`${command} --version`, (error: Error | null) => {
-      resolve(!error);
-    });
+    execFile(
+      cli.command,
+      [...cli.args, "--version"],
+      { env: { ...process.env, ...cli.env }, cwd: cli.cwd, timeout: 10000, windowsHide: true },
+      (error) => resolve(!error)
+    );
   });
 }
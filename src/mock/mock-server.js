@@ -3,16 +3,84 @@
  * Mock Mistral CLI Server
  *
  * Implements JSON-RPC protocol for UI testing without a real AI backend.
- * Reads requests from stdin, writes responses to stdout.
+ * Reads requests from stdin, writes responses to stdout (or a socket with --listen).
  *
  * Usage:
- *   node mock-server.js server
+ *   node mock-server.js server [--protocol=1.0]
+ *                              [--capabilities=streaming,tools,context,token_count,model_list,regenerate]
+ *                              [--listen=tcp://127.0.0.1:7777 | --listen=ws://127.0.0.1:7777]
+ *                              [--framing=auto|newline|content-length]
+ *                              [--replay=FIXTURE.jsonl [--speed=1]] [--hang-after=N]
+ *                              [--crash-after=N]
+ *   node mock-server.js server --record=FIXTURE.jsonl --upstream=mistral [--upstream=ARG ...]
+ *
+ *   --protocol       Protocol version to advertise on initialize (default 1.0)
+ *   --capabilities   Comma-separated capabilities to advertise (default: all)
+ *   --listen         Serve over TCP or WebSocket instead of stdio. Port 0 picks a
+ *                    free port; the address is printed to stderr. Connections
+ *                    share one session, like a shared CLI server in a dev container.
+ *   --framing        auto (default): accept newline and Content-Length messages,
+ *                    reply in the framing of each request, and agree to
+ *                    Content-Length on initialize if the client offers it.
+ *                    newline: behave like a server that predates Content-Length.
+ *                    content-length: always reply with Content-Length framing.
+ *                    Content-Length replies are pretty-printed.
+ *   --replay         Answer requests from a recorded session (see recording.js),
+ *                    re-emitting its notifications and response with the
+ *                    recorded timing. Requests without a recording, and
+ *                    initialize, get the built-in responses. Replayed
+ *                    requests do not change the mock's session state.
+ *   --speed          Replay speed factor: 1 keeps recorded timing, 10 is ten
+ *                    times faster, 0 sends everything without delay.
+ *   --record         Proxy to the real CLI given by --upstream, passing all
+ *                    traffic through and writing it to a fixture for --replay.
+ *   --upstream       One word of the real CLI's command per flag, e.g.
+ *                    --upstream=node --upstream=/path/to/cli.js; run without a
+ *                    shell, with "server" appended.
+ *   --hang-after     Answer N requests (initialize and ping included), then
+ *                    stop reading input without exiting, like a wedged CLI.
+ *   --crash-after    Answer N requests, then print an error to stderr and exit
+ *                    with code 70 on the next one, like a crashing CLI.
+ *
+ * Params are checked against src/protocol/schema.json; a mismatch is answered
+ * with error -32602 listing each problem in data.errors.
+ *
+ * Batches (JSON arrays of requests) are answered with one array of responses.
+ * The server can also send requests to the client: "debug.serverRequest"
+ * relays any request, and a chat asking to "pick an option" sends
+ * editor.quickPick if the client advertised it on initialize.
+ *
+ * Flags may also precede "server", so they can be set in mistral.cli args.
  *
  * Set in VS Code settings:
- *   "mistral.cliPath": "node d:/Projects/mistral-ai/mistral-vscode/src/mock/mock-server.js"
+ *   "mistral.cli": {
+ *     "command": "node",
+ *     "args": ["d:/Projects/mistral-ai/mistral-vscode/src/mock/mock-server.js"]
+ *   }
  */
 
-const readline = require("readline");
+const fs = require("fs");
+const net = require("net");
+const { AsyncLocalStorage } = require("async_hooks");
+const { readRecording, RecordingPlayer, startRecordingProxy } = require("./recording");
+const { check, describeProblems } = require("../protocol/validate");
+
+// Connection that sent the request being handled: { write(text), framing, clientMethods }
+const connectionContext = new AsyncLocalStorage();
+
+// Responses collected while handling a batch, sent together when it completes
+const batchContext = new AsyncLocalStorage();
+
+// The stdin/stdout connection, used when no network connection is active
+const stdioConnection = {
+  write: (text) => process.stdout.write(text),
+  framing: "newline",
+  clientMethods: [],
+};
+
+// Requests this server sent to the client, by id, awaiting the client's reply
+const clientRequests = new Map();
+let clientRequestId = 0;
 
 // Request ID counter for notifications
 let notificationId = 0;
@@ -20,6 +88,129 @@ let notificationId = 0;
 // Pending tool confirmations
 const pendingTools = new Map();
 
+// In-flight requests by id, flagged when the client sends $/cancelRequest
+const activeRequests = new Map();
+
+// JSON-RPC error code for params that do not match the protocol schema
+const INVALID_PARAMS = -32602;
+
+// JSON-RPC error code for a request the client cancelled (matches LSP)
+const REQUEST_CANCELLED = -32800;
+
+// JSON-RPC error code for an initialize from a client with another protocol major
+const UNSUPPORTED_PROTOCOL = -32001;
+
+// Capabilities this mock can advertise
+const ALL_CAPABILITIES = ["streaming", "tools", "context", "token_count", "model_list", "regenerate"];
+
+// Fake model catalog served by model.list; model.set accepts only these
+const MODEL_CATALOG = [
+  { id: "mistral-mock-v1", name: "Mistral Mock", context_window: 32000, supports_tools: true, cost: { input: 0, output: 0 } },
+  { id: "mistral-mock-tiny", name: "Mistral Mock Tiny", context_window: 2000, supports_tools: false, cost: { input: 0, output: 0 } },
+  { id: "mistral-small", name: "Mistral Small", context_window: 32000, supports_tools: true, cost: { input: 0.2, output: 0.6 } },
+  { id: "mistral-medium", name: "Mistral Medium", context_window: 32000, supports_tools: true, cost: { input: 0.4, output: 2 } },
+  { id: "mistral-large", name: "Mistral Large", context_window: 128000, supports_tools: true, cost: { input: 2, output: 6 } },
+  { id: "codestral-latest", name: "Codestral", context_window: 256000, supports_tools: true, cost: { input: 0.3, output: 0.9 } },
+];
+
+// Per-process session state. Lost when the process dies, like the real CLI.
+const session = {
+  model: "mistral-mock-v1",
+  contextFiles: new Map(), // path -> token estimate
+  history: [], // { role, content }
+  regenerations: 0, // chat.regenerate calls since the last chat, to vary the reply
+};
+
+// Server options, set from command line flags in main()
+const serverOptions = {
+  protocolVersion: "1.0",
+  capabilities: ALL_CAPABILITIES,
+  listen: null,
+  framing: "auto",
+  replay: null,
+  speed: 1,
+  record: null,
+  upstream: [],
+  hangAfter: null,
+  crashAfter: null,
+};
+
+// Requests received so far, for --hang-after and --crash-after, and whether
+// --hang-after has taken effect
+let requestCount = 0;
+let hung = false;
+
+// Recorded session being replayed, set by --replay
+let player = null;
+
+// Methods always answered by the mock itself, even when replaying
+const UNRECORDED_METHODS = new Set(["initialize", "ping"]);
+
+/**
+ * Write one JSON-RPC message to the current connection in its framing.
+ */
+function writeMessage(message) {
+  const connection = connectionContext.getStore() || stdioConnection;
+
+  if (connection.framing === "content-length") {
+    const body = JSON.stringify(message, null, 2);
+    connection.write(`Content-Length: ${Buffer.byteLength(body, "utf8")}\r\n\r\n${body}`);
+  } else {
+    connection.write(JSON.stringify(message) + "\n");
+  }
+}
+
+/**
+ * Create a reader that splits incoming bytes into messages. Unless the server
+ * is in newline mode, each message may be newline-delimited or Content-Length
+ * framed. Calls onMessage(body, framing) for each complete message.
+ */
+function createMessageReader(onMessage) {
+  const HEADER = "content-length:";
+  let buffer = Buffer.alloc(0);
+
+  const next = () => {
+    const head = buffer.subarray(0, HEADER.length).toString("latin1").toLowerCase();
+
+    if (serverOptions.framing !== "newline") {
+      if (head === HEADER) {
+        const headerEnd = buffer.indexOf("\r\n\r\n");
+        if (headerEnd === -1) return false;
+
+        const length = parseInt(buffer.subarray(HEADER.length, headerEnd).toString("latin1"), 10);
+        const bodyStart = headerEnd + 4;
+        if (Number.isNaN(length)) {
+          buffer = buffer.subarray(bodyStart);
+          onMessage("", "content-length");
+          return true;
+        }
+        if (buffer.length < bodyStart + length) return false;
+
+        const body = buffer.subarray(bodyStart, bodyStart + length).toString("utf8");
+        buffer = buffer.subarray(bodyStart + length);
+        onMessage(body, "content-length");
+        return true;
+      }
+      if (head.length < HEADER.length && HEADER.startsWith(head)) return false;
+    }
+
+    const newline = buffer.indexOf(0x0a);
+    if (newline === -1) return false;
+
+    const line = buffer.subarray(0, newline).toString("utf8").replace(/\r$/, "");
+    buffer = buffer.subarray(newline + 1);
+    onMessage(line, "newline");
+    return true;
+  };
+
+  return (chunk) => {
+    buffer = Buffer.concat([buffer, Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk)]);
+    while (buffer.length && next()) {
+      // Keep consuming complete messages
+    }
+  };
+}
+
 /**
  * Send JSON-RPC response to stdout.
  */
@@ -35,38 +226,94 @@ function sendResponse(id, result, error = null) {
     response.result = result;
   }
 
-  console.log(JSON.stringify(response));
+  const batch = batchContext.getStore();
+  if (batch) {
+    batch.push(response);
+  } else {
+    writeMessage(response);
+  }
+}
+
+/**
+ * Send a request to the client and resolve with its reply ({ result } or { error }).
+ */
+function requestClient(method, params, timeoutMs = 10000) {
+  const id = `srv-${++clientRequestId}`;
+
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      clientRequests.delete(id);
+      resolve({ error: { code: -32603, message: `Client did not answer ${method}` } });
+    }, timeoutMs);
+
+    clientRequests.set(id, (reply) => {
+      clearTimeout(timer);
+      const problems = reply.error ? [] : check("serverRequestResult", method, reply.result);
+      resolve(problems.length > 0
+        ? { error: { code: -32603, message: describeProblems(`result for ${method}`, problems) } }
+        : reply);
+    });
+
+    writeMessage({ jsonrpc: "2.0", id, method, params });
+  });
 }
 
 /**
  * Send JSON-RPC notification to stdout.
+ * Tagged with request_id so the client can tell which request produced it.
  */
-function sendNotification(method, params) {
+function sendNotification(method, params, requestId) {
   const notification = {
     jsonrpc: "2.0",
     method,
-    params,
+    params: requestId === undefined ? params : { ...params, request_id: requestId },
   };
-  console.log(JSON.stringify(notification));
+  writeMessage(notification);
 }
 
 /**
  * Simulate streaming response with delays.
+ * Stops early, without content.done, if the owning request is cancelled.
+ * @param {{id: number, cancelled: boolean}} token - The request being served
  */
-async function streamResponse(text, delayMs = 50) {
+async function streamResponse(text, delayMs, token) {
   const words = text.split(" ");
   let accumulated = "";
 
   for (const word of words) {
+    if (token.cancelled) {
+      return accumulated;
+    }
     accumulated += (accumulated ? " " : "") + word;
-    sendNotification("content.delta", { text: word + " " });
+    sendNotification("content.delta", { text: word + " " }, token.id);
     await sleep(delayMs);
   }
 
-  sendNotification("content.done", { full_text: accumulated });
+  sendNotification("content.done", { full_text: accumulated }, token.id);
   return accumulated;
 }
 
+/**
+ * Apply the sampling settings the mock can honour: the reply ends before the
+ * first stop string and is cut to max_tokens at four characters per token.
+ * Temperature and top_p are accepted and ignored.
+ * @param {string} text
+ * @param {{max_tokens?: number, stop?: string[]} | undefined} generation
+ */
+function applyGeneration(text, generation) {
+  let result = text;
+  for (const stop of generation?.stop ?? []) {
+    const index = stop ? result.indexOf(stop) : -1;
+    if (index !== -1) {
+      result = result.slice(0, index);
+    }
+  }
+  if (generation?.max_tokens !== undefined) {
+    result = result.slice(0, generation.max_tokens * 4);
+  }
+  return result;
+}
+
 /**
  * Sleep helper.
  */
@@ -228,48 +475,261 @@ console.log(greeting);
 You can apply this code using the buttons above the code block.`;
 }
 
+/**
+ * Handle client notifications (messages without an id).
+ */
+function handleNotification(method, params) {
+  const problems = check("clientNotification", method, params);
+  if (problems.length > 0) {
+    process.stderr.write(`[Mock Server] ${describeProblems(`${method} notification`, problems)}\n`);
+    return;
+  }
+
+  switch (method) {
+    case "$/cancelRequest": {
+      const token = activeRequests.get(params.id);
+      if (token) {
+        token.cancelled = true;
+      }
+      break;
+    }
+  }
+}
+
 /**
  * Handle RPC method calls.
  */
 async function handleMethod(id, method, params) {
+  requestCount++;
+  if (serverOptions.hangAfter !== null && requestCount > serverOptions.hangAfter) {
+    hang();
+    return;
+  }
+  if (serverOptions.crashAfter !== null && requestCount > serverOptions.crashAfter) {
+    crash(method);
+    return;
+  }
+
+  const problems = check("params", method, params);
+  if (problems.length > 0) {
+    sendResponse(id, null, {
+      code: INVALID_PARAMS,
+      message: describeProblems(`params for ${method}`, problems),
+      data: { errors: problems },
+    });
+    return;
+  }
+
+  const token = { id, cancelled: false };
+  activeRequests.set(id, token);
+
+  try {
+    const recorded = player && !UNRECORDED_METHODS.has(method) ? player.take(method, params) : undefined;
+
+    if (recorded) {
+      await replayExchange(id, recorded, token);
+    } else {
+      if (player) {
+        process.stderr.write(`[Mock Server] No recording left for ${method}; using built-in response\n`);
+      }
+      await dispatchMethod(id, method, params, token);
+    }
+  } finally {
+    activeRequests.delete(id);
+  }
+}
+
+/**
+ * Stop answering and reading input, leaving the process running.
+ */
+function hang() {
+  if (hung) return;
+  hung = true;
+  process.stderr.write(`[Mock Server] Hanging after ${serverOptions.hangAfter} requests\n`);
+  process.stdin.pause();
+}
+
+/**
+ * Exit abruptly while handling a request, with a trace on stderr.
+ */
+function crash(method) {
+  process.stderr.write(`[Mock Server] Fatal error while handling ${method}\n`);
+  process.stderr.write(`    at handleMethod (mock-server.js)\n`);
+  process.exit(70);
+}
+
+/**
+ * Re-send a recorded exchange's notifications and response for a live
+ * request, keeping the recorded gaps between them (scaled by --speed).
+ */
+async function replayExchange(id, exchange, token) {
+  for (const { delay, message } of exchange.events) {
+    if (serverOptions.speed > 0) {
+      await sleep(delay / serverOptions.speed);
+    }
+
+    if (token.cancelled) {
+      sendResponse(id, null, { code: REQUEST_CANCELLED, message: "Request cancelled" });
+      return;
+    }
+
+    if (message.method !== undefined) {
+      const { request_id: _recordedId, ...params } = message.params || {};
+      sendNotification(message.method, params, id);
+    } else if (message.error) {
+      sendResponse(id, null, message.error);
+      return;
+    } else {
+      sendResponse(id, message.result ?? null);
+      return;
+    }
+  }
+
+  sendResponse(id, null, {
+    code: -32603,
+    message: `Recording ended before the response to ${exchange.method}`,
+  });
+}
+
+/**
+ * Dispatch a single RPC method call.
+ */
+async function dispatchMethod(id, method, params, token) {
   switch (method) {
-    case "initialize":
+    case "initialize": {
+      const clientProtocol = params.protocol_version;
+      const serverMajor = serverOptions.protocolVersion.split(".")[0];
+
+      if (clientProtocol && String(clientProtocol).split(".")[0] !== serverMajor) {
+        sendResponse(id, null, {
+          code: UNSUPPORTED_PROTOCOL,
+          message: `Unsupported protocol version ${clientProtocol}; server speaks ${serverOptions.protocolVersion}`,
+          data: { protocol_version: serverOptions.protocolVersion },
+        });
+        break;
+      }
+
+      const capabilities = {};
+      for (const name of ALL_CAPABILITIES) {
+        capabilities[name] = serverOptions.capabilities.includes(name);
+      }
+
+      if (serverOptions.framing === "newline") {
+        // Predates framing negotiation: no framing field in the result
+        sendResponse(id, {
+          capabilities,
+          version: "1.0.0-mock",
+          protocol_version: serverOptions.protocolVersion,
+        });
+        break;
+      }
+
+      const offered = params.capabilities?.framing || [];
+      const framing = serverOptions.framing === "content-length" || offered.includes("content-length")
+        ? "content-length"
+        : "newline";
+
       sendResponse(id, {
-        capabilities: {
-          streaming: true,
-          tools: true,
-          context: true,
-        },
+        capabilities,
         version: "1.0.0-mock",
+        protocol_version: serverOptions.protocolVersion,
+        framing,
       });
+
+      // Switch only after the response, which goes out in the request's framing
+      const connection = connectionContext.getStore() || stdioConnection;
+      connection.framing = framing;
+      connection.clientMethods = params.capabilities?.server_requests || [];
+      break;
+    }
+
+    case "ping":
+      sendResponse(id, {});
       break;
 
     case "chat":
       const chatMessage = params.message || "";
-      const response = generateMockResponse(chatMessage);
+      const response = applyGeneration(await generateChatResponse(chatMessage), params.generation);
 
       // Simulate streaming
-      await streamResponse(response, 5); // Fast for testing
+      await streamResponse(response, 5, token); // Fast for testing
 
-      // Send final response
-      sendResponse(id, { content: response });
+      if (token.cancelled) {
+        sendResponse(id, null, { code: REQUEST_CANCELLED, message: "Request cancelled" });
+        break;
+      }
 
-      // Send token usage
+      // Send token usage before the response, which ends the request
       sendNotification("token.usage", {
         prompt: chatMessage.length * 2,
         completion: response.length,
         total: chatMessage.length * 2 + response.length,
-      });
+      }, id);
+
+      session.history.push(
+        { role: "user", content: chatMessage },
+        { role: "assistant", content: response }
+      );
+      session.regenerations = 0;
+
+      // Send final response
+      sendResponse(id, { content: response });
       break;
 
+    case "chat.regenerate": {
+      // Answer the last user turn again, without the replies that followed it
+      const lastUser = session.history.map((turn) => turn.role).lastIndexOf("user");
+      if (lastUser === -1) {
+        sendResponse(id, null, {
+          code: INVALID_PARAMS,
+          message: "Nothing to regenerate: the history has no user message",
+        });
+        break;
+      }
+
+      const prompt = session.history[lastUser].content;
+      const attempt = session.regenerations + 2;
+      const reply = applyGeneration(
+        `(Attempt ${attempt}) ${await generateChatResponse(prompt)}`,
+        params.generation
+      );
+
+      await streamResponse(reply, 5, token);
+
+      if (token.cancelled) {
+        sendResponse(id, null, { code: REQUEST_CANCELLED, message: "Request cancelled" });
+        break;
+      }
+
+      sendNotification("token.usage", {
+        prompt: prompt.length * 2,
+        completion: reply.length,
+        total: prompt.length * 2 + reply.length,
+      }, id);
+
+      session.history = [
+        ...session.history.slice(0, lastUser + 1),
+        { role: "assistant", content: reply },
+      ];
+      session.regenerations++;
+
+      sendResponse(id, { content: reply });
+      break;
+    }
+
     case "agent.run":
       const task = params.task || "";
       const autoConfirm = params.auto_confirm || false;
 
       // First, stream some thinking
-      await streamResponse("Analyzing your request...", 50);
+      await streamResponse("Analyzing your request...", 50, token);
       await sleep(200);
 
+      if (token.cancelled) {
+        sendResponse(id, null, { code: REQUEST_CANCELLED, message: "Request cancelled" });
+        break;
+      }
+
       // Simulate a tool call
       const toolCallId = `tool_${Date.now()}`;
 
@@ -290,11 +750,11 @@ async function handleMethod(id, method, params) {
             path: "src/example.ts",
             content: "// New file content\nexport const value = 42;",
           },
-        });
+        }, id);
 
         if (autoConfirm) {
           await sleep(100);
-          await handleToolConfirm(toolCallId, true);
+          await handleToolConfirm(toolCallId, true, token);
           sendResponse(id, { content: "File created successfully." });
         }
         // Otherwise wait for agent.confirm
@@ -313,11 +773,11 @@ async function handleMethod(id, method, params) {
           arguments: {
             command: "npm test",
           },
-        });
+        }, id);
 
         if (autoConfirm) {
           await sleep(100);
-          await handleToolConfirm(toolCallId, true);
+          await handleToolConfirm(toolCallId, true, token);
           sendResponse(id, { content: "Command executed successfully." });
         }
       }
@@ -339,7 +799,11 @@ async function handleMethod(id, method, params) {
         const toolInfo = pendingTools.get(confirmToolId);
         const originalRequestId = toolInfo.requestId;
 
-        await handleToolConfirm(confirmToolId, approved);
+        // Tool output belongs to the agent.run that requested the tool
+        await handleToolConfirm(confirmToolId, approved, {
+          id: originalRequestId ?? id,
+          cancelled: false,
+        });
 
         // Respond to the original agent.run request
         if (originalRequestId) {
@@ -367,11 +831,12 @@ async function handleMethod(id, method, params) {
     case "agent.cancel":
       // Cancel all pending tools
       pendingTools.clear();
-      sendNotification("content.done", { full_text: "Operation cancelled." });
+      sendNotification("content.done", { full_text: "Operation cancelled." }, id);
       sendResponse(id, { success: true });
       break;
 
     case "context.add":
+      session.contextFiles.set(params.file_path, estimateTokens(params.file_path));
       sendResponse(id, {
         success: true,
         message: `Added ${params.file_path} to context`,
@@ -379,34 +844,83 @@ async function handleMethod(id, method, params) {
       break;
 
     case "context.remove":
+      session.contextFiles.delete(params.file_path);
       sendResponse(id, {
         success: true,
         message: `Removed ${params.file_path} from context`,
       });
       break;
 
-    case "context.list":
+    case "context.list": {
+      const files = [...session.contextFiles].map(([path, tokens]) => ({ path, tokens }));
       sendResponse(id, {
-        files: [
-          { path: "src/index.ts", tokens: 150 },
-          { path: "package.json", tokens: 80 },
-        ],
-        total_tokens: 230,
+        files,
+        total_tokens: files.reduce((sum, f) => sum + f.tokens, 0),
       });
       break;
+    }
 
     case "context.clear":
+      if (params.files !== false) {
+        session.contextFiles.clear();
+      }
+      if (params.history !== false) {
+        session.history = [];
+      }
       sendResponse(id, {});
       break;
 
     case "model.set":
+      if (!MODEL_CATALOG.some((model) => model.id === params.model)) {
+        sendResponse(id, null, {
+          code: INVALID_PARAMS,
+          message: `Unknown model: ${params.model}`,
+          data: { models: MODEL_CATALOG.map((model) => model.id) },
+        });
+        break;
+      }
+      session.model = params.model;
       sendResponse(id, {});
       break;
 
     case "model.get":
-      sendResponse(id, { model: "mistral-mock-v1" });
+      sendResponse(id, {
+        model: session.model,
+        context_window: MODEL_CATALOG.find((model) => model.id === session.model).context_window,
+      });
       break;
 
+    case "model.list":
+      sendResponse(id, { models: MODEL_CATALOG });
+      break;
+
+    case "tokens.count": {
+      const files = params.context_files ?? [...session.contextFiles.keys()];
+      const counts = {
+        message: countTokens(params.message),
+        history: session.history.reduce((sum, turn) => sum + countTokens(turn.content), 0),
+        context: files.reduce((sum, file) => sum + (session.contextFiles.get(file) ?? 0), 0),
+      };
+      sendResponse(id, { ...counts, total: counts.message + counts.history + counts.context });
+      break;
+    }
+
+    case "history.set":
+      session.history = params.messages.map((m) => ({ role: m.role, content: m.content }));
+      sendResponse(id, { success: true, count: session.history.length });
+      break;
+
+    case "history.get":
+      sendResponse(id, { messages: session.history });
+      break;
+
+    case "debug.serverRequest": {
+      // Relay a request to the client and report what it answered
+      const reply = await requestClient(params.method, params.params || {}, params.timeout_ms);
+      sendResponse(id, { result: reply.result ?? null, error: reply.error ?? null });
+      break;
+    }
+
     default:
       sendResponse(id, null, {
         code: -32601,
@@ -415,10 +929,48 @@ async function handleMethod(id, method, params) {
   }
 }
 
+/**
+ * Produce the chat reply, asking the client for a quick pick when the message
+ * requests one and the client can show it.
+ */
+async function generateChatResponse(message) {
+  const connection = connectionContext.getStore() || stdioConnection;
+
+  if (/\b(pick|choose) an option\b/i.test(message) && connection.clientMethods.includes("editor.quickPick")) {
+    const reply = await requestClient("editor.quickPick", {
+      title: "Pick an option",
+      items: ["Option A", "Option B", "Option C"],
+    });
+    const selected = reply.result?.selected;
+    return selected?.length ? `You picked ${selected.join(", ")}.` : "Nothing was picked.";
+  }
+
+  return generateMockResponse(message);
+}
+
+/**
+ * The mock's tokenizer: one token per 4 characters, rounded up.
+ */
+function countTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Rough token count for a context file: ~4 characters per token,
+ * or a fixed guess when the file is not on disk.
+ */
+function estimateTokens(filePath) {
+  try {
+    return Math.max(1, Math.ceil(fs.statSync(filePath).size / 4));
+  } catch {
+    return 100;
+  }
+}
+
 /**
  * Handle tool confirmation result.
  */
-async function handleToolConfirm(toolCallId, approved) {
+async function handleToolConfirm(toolCallId, approved, token) {
   const toolInfo = pendingTools.get(toolCallId);
   if (!toolInfo) return;
 
@@ -429,17 +981,17 @@ async function handleToolConfirm(toolCallId, approved) {
       tool_call_id: toolCallId,
       success: true,
       output: `Executed ${toolInfo.tool} successfully`,
-    });
+    }, token.id);
 
     // Continue with response
     await sleep(100);
-    await streamResponse("The operation completed successfully.", 30);
+    await streamResponse("The operation completed successfully.", 30, token);
   } else {
     sendNotification("tool.result", {
       tool_call_id: toolCallId,
       success: false,
       output: "User denied the operation",
-    });
+    }, token.id);
   }
 
   pendingTools.delete(toolCallId);
@@ -457,44 +1009,83 @@ function main() {
     process.exit(0);
   }
 
-  if (args[0] !== "server") {
-    console.error("Usage: mock-server.js server");
+  if (!args.includes("server")) {
+    console.error("Usage: mock-server.js server [--protocol=X.Y] [--capabilities=a,b]");
     console.error("       mock-server.js --version");
     process.exit(1);
   }
 
-  // Set up stdin readline
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout,
-    terminal: false,
-  });
+  for (const arg of args) {
+    if (arg.startsWith("--protocol=")) {
+      serverOptions.protocolVersion = arg.split("=")[1];
+    } else if (arg.startsWith("--capabilities=")) {
+      serverOptions.capabilities = arg.split("=")[1].split(",").filter(Boolean);
+    } else if (arg.startsWith("--listen=")) {
+      serverOptions.listen = arg.slice("--listen=".length);
+    } else if (arg.startsWith("--framing=")) {
+      serverOptions.framing = arg.split("=")[1];
+    } else if (arg.startsWith("--replay=")) {
+      serverOptions.replay = arg.slice("--replay=".length);
+    } else if (arg.startsWith("--speed=")) {
+      serverOptions.speed = Number(arg.split("=")[1]);
+    } else if (arg.startsWith("--record=")) {
+      serverOptions.record = arg.slice("--record=".length);
+    } else if (arg.startsWith("--upstream=")) {
+      serverOptions.upstream.push(arg.slice("--upstream=".length));
+    } else if (arg.startsWith("--hang-after=")) {
+      serverOptions.hangAfter = Number(arg.split("=")[1]);
+    } else if (arg.startsWith("--crash-after=")) {
+      serverOptions.crashAfter = Number(arg.split("=")[1]);
+    }
+  }
 
-  rl.on("line", async (line) => {
-    if (!line.trim()) return;
+  if (serverOptions.record) {
+    if (serverOptions.upstream.length === 0) {
+      console.error("--record needs --upstream=<command of the real CLI>");
+      process.exit(1);
+    }
+    startRecordingProxy(serverOptions.record, serverOptions.upstream, createMessageReader);
+    return;
+  }
 
-    try {
-      const request = JSON.parse(line);
+  if (serverOptions.replay) {
+    if (!(serverOptions.speed >= 0)) {
+      console.error(`Invalid --speed: must be a number >= 0`);
+      process.exit(1);
+    }
+    player = new RecordingPlayer(readRecording(serverOptions.replay));
+  }
 
-      if (request.jsonrpc !== "2.0") {
-        sendResponse(request.id, null, {
-          code: -32600,
-          message: "Invalid Request: not JSON-RPC 2.0",
-        });
-        return;
-      }
+  if (serverOptions.hangAfter !== null && !(Number.isInteger(serverOptions.hangAfter) && serverOptions.hangAfter >= 0)) {
+    console.error(`Invalid --hang-after: must be a whole number of requests`);
+    process.exit(1);
+  }
 
-      await handleMethod(request.id, request.method, request.params || {});
-    } catch (error) {
-      // console.error("Parse error:", error.message); // Silenced for test clarity
-      sendResponse(null, null, {
-        code: -32700,
-        message: "Parse error",
-      });
-    }
-  });
+  if (serverOptions.crashAfter !== null && !(Number.isInteger(serverOptions.crashAfter) && serverOptions.crashAfter >= 0)) {
+    console.error(`Invalid --crash-after: must be a whole number of requests`);
+    process.exit(1);
+  }
 
-  rl.on("close", () => {
+  if (!["auto", "newline", "content-length"].includes(serverOptions.framing)) {
+    console.error(`Unknown --framing: ${serverOptions.framing} (use auto, newline or content-length)`);
+    process.exit(1);
+  }
+  if (serverOptions.framing === "content-length") {
+    stdioConnection.framing = "content-length";
+  }
+
+  if (serverOptions.listen) {
+    listen(serverOptions.listen);
+    return;
+  }
+
+  // Read framed messages from stdin
+  const read = createMessageReader((body, framing) =>
+    connectionContext.run(stdioConnection, () => handleMessage(body, framing))
+  );
+  process.stdin.on("data", read);
+
+  process.stdin.on("end", () => {
     process.exit(0);
   });
 
@@ -502,4 +1093,142 @@ function main() {
   process.stderr.write("[Mock Server] Ready\n");
 }
 
+/**
+ * Handle one JSON-RPC message received in the given framing.
+ */
+async function handleMessage(body, framing) {
+  if (hung || !body.trim()) return;
+
+  // In auto mode, reply in whatever framing the client just used
+  const connection = connectionContext.getStore() || stdioConnection;
+  if (serverOptions.framing === "auto") {
+    connection.framing = framing;
+  }
+
+  try {
+    const request = JSON.parse(body);
+
+    if (Array.isArray(request)) {
+      await handleBatch(request);
+      return;
+    }
+
+    await handleRequest(request);
+  } catch (error) {
+    // console.error("Parse error:", error.message); // Silenced for test clarity
+    sendResponse(null, null, {
+      code: -32700,
+      message: "Parse error",
+    });
+  }
+}
+
+/**
+ * Handle a batch, answering with one array of responses once every request
+ * in it has finished. Notifications in the batch get no entry.
+ */
+async function handleBatch(requests) {
+  if (requests.length === 0) {
+    sendResponse(null, null, { code: -32600, message: "Invalid Request: empty batch" });
+    return;
+  }
+
+  const responses = [];
+  await batchContext.run(responses, () => Promise.all(requests.map(handleRequest)));
+
+  if (responses.length > 0) {
+    writeMessage(responses);
+  }
+}
+
+/**
+ * Handle one parsed request, notification, or reply to a server request.
+ */
+async function handleRequest(request) {
+  if (!request || typeof request !== "object") {
+    sendResponse(null, null, { code: -32600, message: "Invalid Request" });
+    return;
+  }
+
+  if (request.jsonrpc !== "2.0") {
+    sendResponse(request.id, null, {
+      code: -32600,
+      message: "Invalid Request: not JSON-RPC 2.0",
+    });
+    return;
+  }
+
+  if (request.method === undefined && clientRequests.has(request.id)) {
+    const resolve = clientRequests.get(request.id);
+    clientRequests.delete(request.id);
+    resolve(request.error ? { error: request.error } : { result: request.result });
+    return;
+  }
+
+  if (request.id === undefined && typeof request.method === "string") {
+    handleNotification(request.method, request.params || {});
+    return;
+  }
+
+  await handleMethod(request.id, request.method, request.params || {});
+}
+
+/**
+ * Serve over TCP or WebSocket at the given address.
+ */
+function listen(address) {
+  const url = new URL(/^\d+$/.test(address) ? `tcp://127.0.0.1:${address}` : address);
+  const host = url.hostname || "127.0.0.1";
+  const port = Number(url.port || 0);
+
+  const onListening = (server) => {
+    const actualPort = server.address().port;
+    process.stderr.write(`[Mock Server] Listening on ${url.protocol}//${host}:${actualPort}\n`);
+    process.stderr.write("[Mock Server] Ready\n");
+  };
+
+  if (url.protocol === "tcp:") {
+    const server = net.createServer((socket) => {
+      const connection = {
+        write: (text) => socket.writable && socket.write(text),
+        framing: stdioConnection.framing,
+        clientMethods: [],
+      };
+      socket.on("data", createMessageReader((body, framing) =>
+        connectionContext.run(connection, () => handleMessage(body, framing))
+      ));
+      socket.on("error", () => socket.destroy());
+    });
+    server.listen(port, host, () => onListening(server));
+  } else if (url.protocol === "ws:") {
+    // Loaded lazily so stdio mode has no dependencies
+    const { WebSocketServer } = require("ws");
+    const server = new WebSocketServer({
+      host,
+      port,
+      path: url.pathname !== "/" ? url.pathname : undefined,
+    });
+
+    server.on("connection", (ws) => {
+      const connection = {
+        write: (text) => ws.readyState === ws.OPEN && ws.send(text),
+        framing: stdioConnection.framing,
+        clientMethods: [],
+      };
+      const read = createMessageReader((body, framing) =>
+        connectionContext.run(connection, () => handleMessage(body, framing))
+      );
+      // A message need not end with a newline; treat its end as one
+      ws.on("message", (data) => {
+        const text = data.toString();
+        read(text.endsWith("\n") || /^content-length:/i.test(text) ? text : text + "\n");
+      });
+    });
+    server.on("listening", () => onListening(server));
+  } else {
+    console.error(`Unsupported --listen address: ${address} (use tcp:// or ws://)`);
+    process.exit(1);
+  }
+}
+
 main();
\ No newline at end of file
@@ -0,0 +1,195 @@
+/**
+ * Session Recording for the Mock Server
+ *
+ * Fixtures are JSONL, one trace entry per line, in the same format as
+ * "Mistral: Export RPC Log as JSONL":
+ *
+ *   { "time": "<ISO 8601>", "direction": "send" | "receive" | "stderr",
+ *     "message"?: <one JSON-RPC message>, "text"?: "<non-JSON output>" }
+ *
+ * "send" is client to server and "receive" is server to client, so a fixture
+ * can come from the extension's RPC log (with redaction off) or from the
+ * recording proxy below.
+ */
+
+const fs = require("fs");
+const { spawn } = require("child_process");
+
+/**
+ * Read trace entries from a JSONL fixture.
+ */
+function readRecording(file) {
+  return fs
+    .readFileSync(file, "utf8")
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${file}:${index + 1}: not valid JSON`);
+      }
+    });
+}
+
+/**
+ * JSON with sorted keys, so recorded and live params compare equal regardless
+ * of key order.
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Group a recording into exchanges: each client request with the
+ * notifications and response the server sent for it, and the delay before
+ * each of them.
+ *
+ * Notifications are assigned by request_id; untagged ones go to the most
+ * recent request still waiting for its response. Server-to-client requests
+ * are not replayed.
+ */
+function indexRecording(entries) {
+  const exchanges = [];
+  const byId = new Map();
+
+  for (const entry of entries) {
+    const message = entry.message;
+    if (!message || typeof message !== "object") continue;
+    const time = Date.parse(entry.time);
+
+    if (entry.direction === "send") {
+      if (message.method !== undefined && message.id !== undefined) {
+        const exchange = {
+          method: message.method,
+          params: message.params || {},
+          key: stableStringify(message.params || {}),
+          lastTime: time,
+          events: [],
+          complete: false,
+          used: false,
+        };
+        exchanges.push(exchange);
+        byId.set(message.id, exchange);
+      }
+      continue;
+    }
+
+    if (entry.direction !== "receive") continue;
+
+    let exchange;
+    if (message.method === undefined) {
+      exchange = byId.get(message.id);
+    } else if (message.id === undefined) {
+      const requestId = message.params?.request_id;
+      exchange = requestId !== undefined
+        ? byId.get(requestId)
+        : [...exchanges].reverse().find((candidate) => !candidate.complete);
+    }
+    if (!exchange || exchange.complete) continue;
+
+    exchange.events.push({ delay: Math.max(0, time - exchange.lastTime), message });
+    exchange.lastTime = time;
+    if (message.method === undefined) {
+      exchange.complete = true;
+    }
+  }
+
+  return exchanges;
+}
+
+/**
+ * Hands out recorded exchanges for live requests. A request gets the first
+ * unused exchange with the same method and params, or failing that the first
+ * unused exchange with the same method.
+ */
+class RecordingPlayer {
+  constructor(entries) {
+    this.exchanges = indexRecording(entries);
+  }
+
+  take(method, params) {
+    const key = stableStringify(params || {});
+    const candidates = this.exchanges.filter((exchange) => !exchange.used && exchange.method === method);
+    const exchange = candidates.find((candidate) => candidate.key === key) || candidates[0];
+
+    if (exchange) {
+      exchange.used = true;
+    }
+    return exchange;
+  }
+}
+
+/**
+ * Run `<upstream> server` without a shell and pass stdio through unchanged,
+ * appending every message in both directions to a fixture file.
+ * @param {string} file - Fixture to write
+ * @param {string[]} upstream - Executable and arguments of the real CLI,
+ *   e.g. ["mistral"] or ["node", "/path/to/cli.js"]
+ * @param {Function} createMessageReader - The server's framing-aware reader
+ */
+function startRecordingProxy(file, upstream, createMessageReader) {
+  const out = fs.createWriteStream(file, { flags: "w" });
+
+  const record = (direction, body) => {
+    if (!body.trim()) return;
+
+    let parsed;
+    try {
+      parsed = JSON.parse(body);
+    } catch (error) {
+      out.write(JSON.stringify({ time: new Date().toISOString(), direction, text: body }) + "\n");
+      return;
+    }
+
+    const time = new Date().toISOString();
+    for (const message of Array.isArray(parsed) ? parsed : [parsed]) {
+      out.write(JSON.stringify({ time, direction, message }) + "\n");
+    }
+  };
+
+  const [command, ...args] = upstream;
+  const child = spawn(command, [...args, "server"], {
+    stdio: ["pipe", "pipe", "pipe"],
+    shell: false,
+  });
+
+  const readClient = createMessageReader((body) => record("send", body));
+  const readServer = createMessageReader((body) => record("receive", body));
+
+  process.stdin.on("data", (chunk) => {
+    readClient(chunk);
+    child.stdin.write(chunk);
+  });
+  process.stdin.on("end", () => child.stdin.end());
+
+  child.stdout.on("data", (chunk) => {
+    readServer(chunk);
+    process.stdout.write(chunk);
+  });
+  child.stderr.on("data", (chunk) => {
+    const text = chunk.toString();
+    out.write(JSON.stringify({ time: new Date().toISOString(), direction: "stderr", text }) + "\n");
+    process.stderr.write(chunk);
+  });
+
+  child.on("error", (error) => {
+    process.stderr.write(`[Mock Server] Could not start ${command}: ${error.message}\n`);
+    out.end(() => process.exit(1));
+  });
+  child.on("exit", (code) => {
+    out.end(() => process.exit(code ?? 0));
+  });
+
+  // Stop the upstream CLI along with the proxy
+  process.on("SIGTERM", () => child.kill());
+}
+
+module.exports = { readRecording, RecordingPlayer, startRecordingProxy };
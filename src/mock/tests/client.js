@@ -0,0 +1,53 @@
+/**
+ * RPC Client Loader
+ *
+ * Compiles the extension's RPC client (src/client/rpc.ts) in memory with
+ * esbuild, so tests can run it against the mock server without a build step.
+ */
+
+const Module = require("module");
+const path = require("path");
+const { buildSync } = require("esbuild");
+
+const entry = path.resolve(__dirname, "..", "..", "client", "rpc.ts");
+
+let loaded = null;
+
+/**
+ * The exports of src/client/rpc.ts, compiled on first use.
+ */
+function loadClient() {
+  if (!loaded) {
+    const { outputFiles } = buildSync({
+      entryPoints: [entry],
+      bundle: true,
+      platform: "node",
+      format: "cjs",
+      packages: "external",
+      write: false,
+      logLevel: "warning",
+    });
+    const compiled = new Module(entry);
+    compiled.filename = entry;
+    compiled.paths = Module._nodeModulePaths(path.dirname(entry));
+    compiled._compile(outputFiles[0].text, entry);
+    loaded = compiled.exports;
+  }
+  return loaded;
+}
+
+/**
+ * A client that starts the mock server as its CLI.
+ * @param {string[]} serverArgs - Mock server flags, e.g. ["--hang-after=2"]
+ * @param {object} config - Other RpcClientConfig fields
+ */
+function createMockClient(serverArgs, config = {}) {
+  const { MistralRpcClient } = loadClient();
+  const mockServerPath = path.resolve(__dirname, "..", "mock-server.js");
+  return new MistralRpcClient({
+    cli: { command: process.execPath, args: [mockServerPath, ...serverArgs], env: {} },
+    ...config,
+  });
+}
+
+module.exports = { loadClient, createMockClient };
@@ -143,14 +143,14 @@ const tests = [
 
   {
     id: "EDGE-022",
-    name: "model.set with unusual model name accepts or errors",
+    name: "model.set with unusual model name is rejected",
     async run(runner) {
       const { response } = await runner.sendRequest("model.set", {
         model: "some-weird-model-name-123",
       });
 
-      // Should either accept (mock) or error gracefully
-      assertRPC.success(response);
+      // Only models from model.list are accepted
+      assertRPC.error(response, -32602);
     },
   },
 
@@ -9,15 +9,25 @@
  *   node src/mock/tests/index.js --verbose    # Show detailed output
  *   node src/mock/tests/index.js --category=rpc  # Run specific category
  *   node src/mock/tests/index.js --output=results.json  # Export JSON report
+ *   node src/mock/tests/index.js --replay=rpc.jsonl     # Replay an exported RPC log
  */
 
 const { TestRunner } = require("./runner");
+const { createReplayTests } = require("./replay");
 const fs = require("fs");
 const path = require("path");
 
 // Import all test modules
 const rpcMethods = require("./rpc/methods.test");
 const rpcErrors = require("./rpc/errors.test");
+const rpcCancel = require("./rpc/cancel.test");
+const rpcInitialize = require("./rpc/initialize.test");
+const rpcSession = require("./rpc/session.test");
+const rpcFraming = require("./rpc/framing.test");
+const rpcBatch = require("./rpc/batch.test");
+const rpcServerRequests = require("./rpc/server-requests.test");
+const rpcHealth = require("./rpc/health.test");
+const rpcSchema = require("./rpc/schema.test");
 const intentCreate = require("./intent/create.test");
 const intentCommand = require("./intent/command.test");
 const intentEdit = require("./intent/edit.test");
@@ -28,15 +38,31 @@ const agentFlow = require("./agent/flow.test");
 const agentTools = require("./agent/tools.test");
 const agentCancel = require("./agent/cancel.test");
 const streaming = require("./streaming/stream.test");
+const streamingCorrelation = require("./streaming/correlation.test");
+const streamingRecorded = require("./streaming/recorded.test");
 const errors = require("./errors/handling.test");
 const edgeCases = require("./edge/edge-cases.test");
 const integration = require("./integration/full-flow.test");
+const integrationReconnect = require("./integration/reconnect.test");
+const integrationTransport = require("./integration/transport.test");
+const integrationReplay = require("./integration/replay.test");
 
 // Define test categories
 const categories = {
   rpc: {
     name: "RPC Protocol",
-    tests: [...rpcMethods.tests, ...rpcErrors.tests],
+    tests: [
+      ...rpcMethods.tests,
+      ...rpcErrors.tests,
+      ...rpcCancel.tests,
+      ...rpcInitialize.tests,
+      ...rpcSession.tests,
+      ...rpcFraming.tests,
+      ...rpcBatch.tests,
+      ...rpcServerRequests.tests,
+      ...rpcHealth.tests,
+      ...rpcSchema.tests,
+    ],
   },
   intent: {
     name: "Intent Detection",
@@ -57,7 +83,7 @@ const categories = {
   },
   streaming: {
     name: "Streaming",
-    tests: streaming.tests,
+    tests: [...streaming.tests, ...streamingCorrelation.tests, ...streamingRecorded.tests],
   },
   errors: {
     name: "Error Handling",
@@ -69,7 +95,12 @@ const categories = {
   },
   integration: {
     name: "Integration",
-    tests: integration.tests,
+    tests: [
+      ...integration.tests,
+      ...integrationReconnect.tests,
+      ...integrationTransport.tests,
+      ...integrationReplay.tests,
+    ],
   },
 };
 
@@ -81,6 +112,7 @@ function parseArgs() {
     category: null,
     output: null,
     failedOnly: false,
+    replay: null,
   };
 
   for (const arg of args) {
@@ -90,6 +122,8 @@ function parseArgs() {
       options.category = arg.split("=")[1];
     } else if (arg.startsWith("--output=")) {
       options.output = arg.split("=")[1];
+    } else if (arg.startsWith("--replay=")) {
+      options.replay = arg.slice("--replay=".length);
     } else if (arg === "--failed-only") {
       options.failedOnly = true;
     } else if (arg === "--help" || arg === "-h") {
@@ -113,23 +147,26 @@ Options:
   --category=NAME     Run only tests in specified category
   --output=FILE       Export results to JSON file
   --failed-only       Only run tests that failed in previous run
+  --replay=FILE       Replay an RPC log exported with "Mistral: Export RPC Log as JSONL"
+                      instead of running the categories
   --help, -h          Show this help message
 
 Categories:
-  rpc          RPC Protocol tests (methods, errors, compliance)
+  rpc          RPC Protocol tests (methods, errors, compliance, cancellation, negotiation, session, framing, batches, server requests, health checks, schema)
   intent       Intent Detection tests (create, command, edit, ambiguous)
   extraction   Filename and Language Extraction tests
   agent        Agent Mode tests (flow, tools, cancellation)
-  streaming    Streaming tests (deltas, done, token usage)
+  streaming    Streaming tests (deltas, done, token usage, request correlation, recorded sessions)
   errors       Error Handling tests (malformed input, recovery)
   edge         Edge Case tests (unicode, special chars, boundaries)
-  integration  Integration tests (full workflows)
+  integration  Integration tests (full workflows, reconnect and restore, TCP/WebSocket, log replay)
 
 Examples:
   node src/mock/tests/index.js
   node src/mock/tests/index.js --verbose
   node src/mock/tests/index.js --category=intent
   node src/mock/tests/index.js --output=results.json
+  node src/mock/tests/index.js --replay=mistral-rpc.jsonl
 `);
 }
 
@@ -155,10 +192,16 @@ async function main() {
     console.log("Mock server started\n");
 
     // Determine which categories to run
-    const categoriesToRun = options.category
+    let categoriesToRun = options.category
       ? { [options.category]: categories[options.category] }
       : categories;
 
+    if (options.replay) {
+      categoriesToRun = {
+        replay: { name: `Replay of ${path.basename(options.replay)}`, tests: createReplayTests(options.replay) },
+      };
+    }
+
     if (options.category && !categories[options.category]) {
       console.error(`Unknown category: ${options.category}`);
       console.error(`Available categories: ${Object.keys(categories).join(", ")}`);
@@ -0,0 +1,86 @@
+/**
+ * Reconnect Tests
+ *
+ * Kills the mock server mid-session and checks that replaying model.set,
+ * context.add and history.set restores the session on the new process.
+ */
+
+const { withServer } = require("../runner");
+const { assert, assertRPC } = require("../assertions");
+
+/**
+ * Put a server into a known, non-default session state.
+ */
+async function seedSession(server) {
+  await server.sendRequest("model.set", { model: "mistral-large" });
+  await server.sendRequest("context.add", { file_path: "src/main.ts" });
+  await server.sendRequest("chat", { message: "hello" });
+}
+
+const tests = [
+  {
+    id: "INTG-011",
+    name: "killed server loses model, context and history",
+    async run() {
+      await withServer([], async (server) => {
+        await seedSession(server);
+
+        await server.restartServer();
+
+        const { response: model } = await server.sendRequest("model.get", {});
+        const { response: context } = await server.sendRequest("context.list", {});
+        const { response: history } = await server.sendRequest("history.get", {});
+
+        assert.ok(model.result.model !== "mistral-large", "Model should be back to default");
+        assert.length(context.result.files, 0, "Context should be empty");
+        assert.length(history.result.messages, 0, "History should be empty");
+      });
+    },
+  },
+
+  {
+    id: "INTG-012",
+    name: "replaying state after restart restores the session",
+    async run() {
+      await withServer([], async (server) => {
+        await seedSession(server);
+        const { response: before } = await server.sendRequest("history.get", {});
+
+        await server.restartServer();
+
+        await server.sendRequest("model.set", { model: "mistral-large" });
+        await server.sendRequest("context.add", { file_path: "src/main.ts" });
+        const { response: setResp } = await server.sendRequest("history.set", {
+          messages: before.result.messages,
+        });
+        assertRPC.success(setResp);
+
+        const { response: model } = await server.sendRequest("model.get", {});
+        const { response: context } = await server.sendRequest("context.list", {});
+        const { response: history } = await server.sendRequest("history.get", {});
+
+        assert.equal(model.result.model, "mistral-large");
+        assert.deepEqual(context.result.files.map(f => f.path), ["src/main.ts"]);
+        assert.deepEqual(history.result.messages, before.result.messages);
+      });
+    },
+  },
+
+  {
+    id: "INTG-013",
+    name: "server killed mid-stream is replaced by a working one",
+    async run() {
+      await withServer([], async (server) => {
+        server.startRequest("chat", { message: "hello" });
+        await server._sleep(20);
+
+        await server.restartServer();
+
+        const { response } = await server.sendRequest("chat", { message: "hello again" });
+        assertRPC.success(response);
+      });
+    },
+  },
+];
+
+module.exports = { tests };
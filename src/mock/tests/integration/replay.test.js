@@ -0,0 +1,120 @@
+/**
+ * RPC Log Replay Tests
+ *
+ * Replays small hand-written RPC log exports against a fresh mock server.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { withServer } = require("../runner");
+const { createReplayTests } = require("../replay");
+const { assert } = require("../assertions");
+
+/**
+ * Write trace entries as a JSONL export and build replay tests from it.
+ */
+function replayTestsFor(entries) {
+  const file = path.join(os.tmpdir(), `mistral-replay-${process.pid}-${Date.now()}.jsonl`);
+  const start = Date.now();
+  const lines = entries.map((entry, index) =>
+    JSON.stringify({ time: new Date(start + index * 10).toISOString(), ...entry })
+  );
+  fs.writeFileSync(file, lines.join("\n") + "\n");
+
+  try {
+    return createReplayTests(file);
+  } finally {
+    fs.unlinkSync(file);
+  }
+}
+
+/**
+ * Run replay tests in order and return their results.
+ */
+async function runReplay(tests) {
+  return withServer([], async (runner) => {
+    const results = [];
+    for (const test of tests) {
+      results.push(await runner.runTest(test));
+    }
+    return results;
+  });
+}
+
+const request = (id, method, params = {}) => ({
+  direction: "send",
+  message: { jsonrpc: "2.0", id, method, params },
+});
+const success = (id, result) => ({
+  direction: "receive",
+  message: { jsonrpc: "2.0", id, result },
+  duration_ms: 5,
+});
+const failure = (id, code) => ({
+  direction: "receive",
+  message: { jsonrpc: "2.0", id, error: { code, message: "recorded" } },
+});
+
+const tests = [
+  {
+    id: "INTG-018",
+    name: "replayed log with matching outcomes passes",
+    async run() {
+      const replay = replayTestsFor([
+        request(1, "initialize", { capabilities: { framing: ["content-length", "newline"] } }),
+        success(1, { capabilities: {} }),
+        { direction: "stderr", text: "[Mock Server] Ready\n" },
+        request(2, "chat", { message: "<redacted 5 chars>" }),
+        { direction: "receive", message: { jsonrpc: "2.0", method: "content.delta", params: { request_id: 2 } } },
+        success(2, { content: "<redacted 120 chars>" }),
+        request(3, "no.such.method"),
+        failure(3, -32601),
+      ]);
+
+      assert.length(replay, 4, "Should have a replay step plus one test per request");
+
+      const results = await runReplay(replay);
+      for (const result of results) {
+        assert.equal(result.status, "passed", `${result.id} should pass: ${result.error}`);
+      }
+    },
+  },
+
+  {
+    id: "INTG-019",
+    name: "replayed log with a different outcome fails that request",
+    async run() {
+      const replay = replayTestsFor([
+        request(1, "model.get"),
+        failure(1, -32603),
+      ]);
+
+      const results = await runReplay(replay);
+
+      assert.equal(results[0].status, "passed", "Replay step should run");
+      assert.equal(results[1].status, "failed", "Mismatched outcome should fail");
+      assert.contains(results[1].error, "error -32603", "Failure should name the recorded outcome");
+    },
+  },
+
+  {
+    id: "INTG-020",
+    name: "server requests are answered from the recorded replies",
+    async run() {
+      const replay = replayTestsFor([
+        request(1, "debug.serverRequest", { method: "editor.readBuffer", params: { file_path: "a.ts" } }),
+        { direction: "receive", message: { jsonrpc: "2.0", id: "srv-1", method: "editor.readBuffer", params: {} } },
+        { direction: "send", message: { jsonrpc: "2.0", id: "srv-1", result: { content: "<redacted 3 chars>" } } },
+        success(1, { result: { content: "<redacted 3 chars>" }, error: null }),
+      ]);
+
+      const results = await runReplay(replay);
+      for (const result of results) {
+        assert.equal(result.status, "passed", `${result.id} should pass: ${result.error}`);
+      }
+    },
+  },
+];
+
+module.exports = { tests };
@@ -0,0 +1,203 @@
+/**
+ * Network Transport Tests
+ *
+ * Runs the mock server with --listen and talks to it over TCP and WebSocket.
+ */
+
+const { spawn } = require("child_process");
+const net = require("net");
+const path = require("path");
+const WebSocket = require("ws");
+const { assert, assertRPC } = require("../assertions");
+
+const MOCK_SERVER_PATH = path.resolve(__dirname, "..", "..", "mock-server.js");
+
+/**
+ * Start a listening mock server and resolve with its address once ready.
+ */
+function startListeningServer(scheme) {
+  return new Promise((resolve, reject) => {
+    const child = spawn("node", [MOCK_SERVER_PATH, "server", `--listen=${scheme}://127.0.0.1:0`], {
+      stdio: ["ignore", "ignore", "pipe"],
+    });
+
+    let stderr = "";
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`Server did not start listening: ${stderr}`));
+    }, 5000);
+
+    child.stderr.on("data", (data) => {
+      stderr += data.toString();
+      const match = stderr.match(/Listening on (\S+)/);
+      if (match && stderr.includes("Ready")) {
+        clearTimeout(timer);
+        resolve({ url: match[1], child });
+      }
+    });
+    child.on("error", reject);
+  });
+}
+
+/**
+ * Minimal line-based JSON-RPC client over a socket-like connection.
+ */
+class LineClient {
+  constructor(send) {
+    this.send = send;
+    this.buffer = "";
+    this.messages = [];
+    this.nextId = 1;
+    this.waiters = [];
+  }
+
+  receive(chunk) {
+    this.buffer += chunk;
+    const lines = this.buffer.split("\n");
+    this.buffer = lines.pop();
+    for (const line of lines.filter(l => l.trim())) {
+      this.messages.push(JSON.parse(line));
+    }
+    this.waiters = this.waiters.filter(check => !check());
+  }
+
+  request(method, params = {}) {
+    const id = this.nextId++;
+    this.send(JSON.stringify({ jsonrpc: "2.0", id, method, params }) + "\n");
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`Timeout waiting for ${method}`)), 5000);
+      const check = () => {
+        const response = this.messages.find(m => m.id === id);
+        if (!response) return false;
+        clearTimeout(timer);
+        resolve({
+          response,
+          notifications: this.messages.filter(m => m.id === undefined && m.params?.request_id === id),
+        });
+        return true;
+      };
+      if (!check()) this.waiters.push(check);
+    });
+  }
+}
+
+async function connectTcp(url) {
+  const { hostname, port } = new URL(url);
+  const socket = net.connect({ host: hostname, port: Number(port) });
+  await new Promise((resolve, reject) => {
+    socket.once("connect", resolve);
+    socket.once("error", reject);
+  });
+  socket.setEncoding("utf8");
+
+  const client = new LineClient((data) => socket.write(data));
+  socket.on("data", (chunk) => client.receive(chunk));
+  client.close = () => socket.destroy();
+  return client;
+}
+
+async function connectWebSocket(url) {
+  const socket = new WebSocket(url);
+  await new Promise((resolve, reject) => {
+    socket.once("open", resolve);
+    socket.once("error", reject);
+  });
+
+  const client = new LineClient((data) => socket.send(data));
+  socket.on("message", (data) => client.receive(data.toString()));
+  client.close = () => socket.close();
+  return client;
+}
+
+/**
+ * Run a callback against a listening server, always stopping it afterwards.
+ */
+async function withListeningServer(scheme, callback) {
+  const { url, child } = await startListeningServer(scheme);
+  const clients = [];
+  const connect = async () => {
+    const client = scheme === "ws" ? await connectWebSocket(url) : await connectTcp(url);
+    clients.push(client);
+    return client;
+  };
+
+  try {
+    await callback(connect, url);
+  } finally {
+    clients.forEach(client => client.close());
+    child.kill();
+  }
+}
+
+const tests = [
+  {
+    id: "INTG-014",
+    name: "TCP listener answers initialize",
+    async run() {
+      await withListeningServer("tcp", async (connect, url) => {
+        assert.matches(url, /^tcp:\/\/127\.0\.0\.1:\d+$/, "Should print the bound address");
+
+        const client = await connect();
+        const { response } = await client.request("initialize", { protocol_version: "1.0" });
+
+        assertRPC.success(response);
+        assert.equal(response.result.protocol_version, "1.0", "Should negotiate protocol 1.0");
+      });
+    },
+  },
+
+  {
+    id: "INTG-015",
+    name: "WebSocket listener streams chat notifications",
+    async run() {
+      await withListeningServer("ws", async (connect) => {
+        const client = await connect();
+        await client.request("initialize", {});
+        const { response, notifications } = await client.request("chat", { message: "hello" });
+
+        assertRPC.success(response);
+        const text = notifications
+          .filter(n => n.method === "content.delta")
+          .map(n => n.params.text)
+          .join("");
+        assert.equal(text.trim(), response.result.content.trim(), "Deltas should match content");
+      });
+    },
+  },
+
+  {
+    id: "INTG-016",
+    name: "connections share one session",
+    async run() {
+      await withListeningServer("tcp", async (connect) => {
+        const first = await connect();
+        const second = await connect();
+
+        await first.request("model.set", { model: "mistral-large" });
+        const { response } = await second.request("model.get", {});
+
+        assert.equal(response.result.model, "mistral-large", "Model set on one connection should be visible on another");
+      });
+    },
+  },
+
+  {
+    id: "INTG-017",
+    name: "responses and notifications go only to the requesting connection",
+    async run() {
+      await withListeningServer("tcp", async (connect) => {
+        const first = await connect();
+        const second = await connect();
+
+        await first.request("chat", { message: "hello" });
+        await second.request("model.get", {});
+
+        const leaked = second.messages.filter(m => m.method === "content.delta" || m.result?.content !== undefined);
+        assert.length(leaked, 0, "Second connection should not see the first connection's chat");
+      });
+    },
+  },
+];
+
+module.exports = { tests };
@@ -0,0 +1,160 @@
+/**
+ * RPC Log Replay
+ *
+ * Turns a JSONL export of the extension's RPC log ("Mistral: Export RPC Log
+ * as JSONL") into tests. The recorded client messages are sent to the mock
+ * server with their original spacing, and every request must end the way it
+ * did in the recording: success, or an error with the same code. Content is
+ * not compared, since exports are usually redacted.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { assert } = require("./assertions");
+
+// Longest pause kept between two recorded messages
+const MAX_GAP_MS = 1000;
+
+/**
+ * Read trace entries from a JSONL file.
+ */
+function readLog(file) {
+  return fs
+    .readFileSync(file, "utf8")
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${file}:${index + 1}: not valid JSON`);
+      }
+    });
+}
+
+/**
+ * Summarize how a request ended, e.g. "ok" or "error -32601".
+ */
+function outcome(response) {
+  if (!response) return "no response";
+  return response.error ? `error ${response.error.code}` : "ok";
+}
+
+/**
+ * The runner reads newline-delimited output, so never let a replayed
+ * initialize negotiate Content-Length framing.
+ */
+function prepareForRunner(message) {
+  if (message.method !== "initialize" || !message.params?.capabilities?.framing) {
+    return message;
+  }
+
+  return {
+    ...message,
+    params: {
+      ...message.params,
+      capabilities: { ...message.params.capabilities, framing: ["newline"] },
+    },
+  };
+}
+
+/**
+ * Build tests that replay a recorded RPC log against the runner's server.
+ * @param {string} file - JSONL export of the RPC log
+ */
+function createReplayTests(file) {
+  const entries = readLog(file);
+  const sent = entries.filter((entry) => entry.direction === "send" && entry.message);
+  const received = entries.filter((entry) => entry.direction === "receive" && entry.message);
+
+  const recordedResponses = new Map();
+  const serverRequestMethods = new Map(); // server request id -> method
+  for (const { message } of received) {
+    if (message.method !== undefined && message.id !== undefined) {
+      serverRequestMethods.set(message.id, message.method);
+    } else if (message.method === undefined && message.id !== undefined) {
+      recordedResponses.set(message.id, message);
+    }
+  }
+
+  // The extension's recorded answers to server requests, queued per method
+  const recordedReplies = new Map();
+  for (const { message } of sent) {
+    const method = message.method === undefined && serverRequestMethods.get(message.id);
+    if (method) {
+      if (!recordedReplies.has(method)) recordedReplies.set(method, []);
+      recordedReplies.get(method).push(message);
+    }
+  }
+
+  const requests = sent
+    .map((entry) => entry.message)
+    .filter((message) => message.method !== undefined && message.id !== undefined);
+  const replayed = new Map();
+
+  const tests = [
+    {
+      id: "REPLAY-000",
+      name: `replay ${sent.length} client messages from ${path.basename(file)}`,
+      async run(runner) {
+        runner.serverRequests = [];
+        const answerServerRequests = setInterval(() => {
+          for (const request of runner.serverRequests.splice(0)) {
+            const reply = recordedReplies.get(request.method)?.shift();
+            if (reply) {
+              runner.reply(request.id, reply.result, reply.error);
+            } else {
+              runner.reply(request.id, undefined, {
+                code: -32601,
+                message: `No recorded reply for ${request.method}`,
+              });
+            }
+          }
+        }, 10);
+
+        try {
+          let previousTime;
+          for (const entry of sent) {
+            const time = Date.parse(entry.time);
+            if (previousTime !== undefined && time > previousTime) {
+              await runner._sleep(Math.min(time - previousTime, MAX_GAP_MS));
+            }
+            previousTime = time;
+
+            // Replies to server requests are answered from the recording above
+            if (entry.message.method === undefined) continue;
+
+            runner.serverProcess.stdin.write(JSON.stringify(prepareForRunner(entry.message)) + "\n");
+          }
+
+          for (const request of requests) {
+            try {
+              const { response } = await runner.waitForResponse(request.id, request.method);
+              replayed.set(request.id, response);
+            } catch (error) {
+              replayed.set(request.id, undefined);
+            }
+          }
+        } finally {
+          clearInterval(answerServerRequests);
+        }
+      },
+    },
+  ];
+
+  for (const request of requests) {
+    const expected = outcome(recordedResponses.get(request.id));
+    tests.push({
+      id: `REPLAY-${String(request.id).padStart(3, "0")}`,
+      name: `${request.method} #${request.id} ends as recorded (${expected})`,
+      async run() {
+        const actual = outcome(replayed.get(request.id));
+        assert.equal(actual, expected, `Recorded ${expected}, replay ended with ${actual}`);
+      },
+    });
+  }
+
+  return tests;
+}
+
+module.exports = { createReplayTests };
@@ -0,0 +1,102 @@
+/**
+ * RPC Batch Tests
+ *
+ * Tests JSON-RPC batch requests and their array responses.
+ */
+
+const { assert, assertRPC } = require("../assertions");
+
+const tests = [
+  {
+    id: "RPC-045",
+    name: "batch is answered with one array of responses",
+    async run(runner) {
+      runner.batches = [];
+      const [modelId, contextId] = runner.startBatch([
+        { method: "model.get" },
+        { method: "context.list" },
+      ]);
+
+      const { response: model } = await runner.waitForResponse(modelId, "model.get");
+      const { response: context } = await runner.waitForResponse(contextId, "context.list");
+
+      assertRPC.success(model);
+      assertRPC.success(context);
+      assert.length(runner.batches, 1, "Responses should arrive as one batch");
+      assert.length(runner.batches[0], 2, "Batch should hold both responses");
+    },
+  },
+
+  {
+    id: "RPC-046",
+    name: "notifications in a batch get no response entry",
+    async run(runner) {
+      runner.batches = [];
+      const id = runner.requestId + 1;
+      runner.requestId = id;
+      runner.serverProcess.stdin.write(JSON.stringify([
+        { jsonrpc: "2.0", method: "$/cancelRequest", params: { id: 12345 } },
+        { jsonrpc: "2.0", id, method: "model.get", params: {} },
+      ]) + "\n");
+
+      const { response } = await runner.waitForResponse(id, "model.get");
+
+      assertRPC.success(response);
+      assert.length(runner.batches[0], 1, "Only the request should be answered");
+    },
+  },
+
+  {
+    id: "RPC-047",
+    name: "empty batch returns a single invalid request error",
+    async run(runner) {
+      runner.batches = [];
+      const { responses } = await runner.sendRaw("[]\n");
+
+      assert.length(responses, 1, "Should receive one error");
+      assertRPC.error(responses[0], -32600);
+      assert.length(runner.batches, 0, "Error should not be wrapped in an array");
+    },
+  },
+
+  {
+    id: "RPC-048",
+    name: "invalid entries in a batch get their own error",
+    async run(runner) {
+      runner.batches = [];
+      const id = runner.requestId + 1;
+      runner.requestId = id;
+      runner.serverProcess.stdin.write(JSON.stringify([
+        1,
+        { jsonrpc: "2.0", id, method: "model.get", params: {} },
+      ]) + "\n");
+
+      const { response } = await runner.waitForResponse(id, "model.get");
+      assertRPC.success(response);
+
+      const errors = runner.batches[0].filter(r => r.error);
+      assert.length(errors, 1, "Invalid entry should produce one error");
+      assert.equal(errors[0].error.code, -32600, "Should be invalid request");
+    },
+  },
+
+  {
+    id: "RPC-049",
+    name: "streaming request in a batch still streams notifications",
+    async run(runner) {
+      runner.clearNotifications();
+      const [chatId] = runner.startBatch([
+        { method: "chat", params: { message: "hello" } },
+        { method: "model.get" },
+      ]);
+
+      const { response, notifications } = await runner.waitForResponse(chatId, "chat");
+
+      assertRPC.success(response);
+      const deltas = notifications.filter(n => n.method === "content.delta" && n.params.request_id === chatId);
+      assert.minLength(deltas, 1, "Chat in a batch should stream deltas");
+    },
+  },
+];
+
+module.exports = { tests };
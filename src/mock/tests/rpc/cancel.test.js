@@ -0,0 +1,80 @@
+/**
+ * RPC Cancellation Tests
+ *
+ * Tests the $/cancelRequest notification and mid-stream cancellation.
+ */
+
+const { assert, assertRPC } = require("../assertions");
+
+const tests = [
+  {
+    id: "RPC-023",
+    name: "$/cancelRequest stops chat streaming mid-way",
+    async run(runner) {
+      runner.clearNotifications();
+      const id = runner.startRequest("chat", { message: "hello" });
+
+      await runner._sleep(30);
+      runner.sendNotification("$/cancelRequest", { id });
+
+      const { response, notifications } = await runner.waitForResponse(id, "chat");
+
+      assertRPC.error(response, -32800);
+
+      const done = notifications.find(n => n.method === "content.done");
+      assert.ok(!done, "Cancelled chat should not emit content.done");
+
+      const usage = notifications.find(n => n.method === "token.usage");
+      assert.ok(!usage, "Cancelled chat should not emit token.usage");
+    },
+  },
+
+  {
+    id: "RPC-024",
+    name: "cancelled chat streams fewer deltas than a full one",
+    async run(runner) {
+      const { notifications: full } = await runner.sendRequest("chat", { message: "hello" });
+      const fullDeltas = full.filter(n => n.method === "content.delta").length;
+
+      runner.clearNotifications();
+      const id = runner.startRequest("chat", { message: "hello" });
+      await runner._sleep(30);
+      runner.sendNotification("$/cancelRequest", { id });
+
+      const { notifications } = await runner.waitForResponse(id, "chat");
+      const deltas = notifications.filter(n => n.method === "content.delta").length;
+
+      assert.ok(deltas < fullDeltas, `Expected fewer than ${fullDeltas} deltas, got ${deltas}`);
+    },
+  },
+
+  {
+    id: "RPC-025",
+    name: "$/cancelRequest for unknown id gets no response",
+    async run(runner) {
+      runner.sendNotification("$/cancelRequest", { id: 99999 });
+      const { responses } = await runner.sendRaw("");
+
+      assert.length(responses, 0, "Notifications must not be answered");
+
+      const { response } = await runner.sendRequest("model.get", {});
+      assertRPC.success(response);
+    },
+  },
+
+  {
+    id: "RPC-026",
+    name: "$/cancelRequest after completion has no effect",
+    async run(runner) {
+      const { response } = await runner.sendRequest("chat", { message: "hello" });
+      runner.sendNotification("$/cancelRequest", { id: runner.requestId });
+
+      assertRPC.success(response);
+
+      const { response: next } = await runner.sendRequest("chat", { message: "hello" });
+      assertRPC.success(next);
+    },
+  },
+];
+
+module.exports = { tests };
@@ -0,0 +1,238 @@
+/**
+ * Message Framing Tests
+ *
+ * Tests Content-Length framing, its negotiation on initialize, and the
+ * newline-delimited fallback.
+ */
+
+const { spawn } = require("child_process");
+const path = require("path");
+const { assert, assertRPC } = require("../assertions");
+
+const MOCK_SERVER_PATH = path.resolve(__dirname, "..", "..", "mock-server.js");
+
+/**
+ * Encode a request body in the given framing.
+ */
+function frame(message, framing) {
+  const body = typeof message === "string" ? message : JSON.stringify(message);
+  if (framing === "content-length") {
+    return `Content-Length: ${Buffer.byteLength(body, "utf8")}\r\n\r\n${body}`;
+  }
+  return body + "\n";
+}
+
+/**
+ * Stdio client that records the framing of every message it receives.
+ */
+class FramedClient {
+  constructor(serverArgs) {
+    this.child = spawn("node", [MOCK_SERVER_PATH, "server", ...serverArgs], {
+      stdio: ["pipe", "pipe", "ignore"],
+    });
+    this.buffer = Buffer.alloc(0);
+    this.received = []; // { message, framing, body }
+    this.nextId = 1;
+    this.child.stdout.on("data", (chunk) => this.receive(chunk));
+  }
+
+  receive(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    for (;;) {
+      if (this.buffer.subarray(0, 15).toString().toLowerCase() === "content-length:") {
+        const headerEnd = this.buffer.indexOf("\r\n\r\n");
+        if (headerEnd === -1) return;
+        const length = parseInt(this.buffer.subarray(15, headerEnd).toString(), 10);
+        if (this.buffer.length < headerEnd + 4 + length) return;
+
+        const body = this.buffer.subarray(headerEnd + 4, headerEnd + 4 + length).toString("utf8");
+        this.buffer = this.buffer.subarray(headerEnd + 4 + length);
+        this.received.push({ message: JSON.parse(body), framing: "content-length", body });
+      } else {
+        const newline = this.buffer.indexOf("\n");
+        if (newline === -1) return;
+        const body = this.buffer.subarray(0, newline).toString("utf8");
+        this.buffer = this.buffer.subarray(newline + 1);
+        if (body.trim()) {
+          this.received.push({ message: JSON.parse(body), framing: "newline", body });
+        }
+      }
+    }
+  }
+
+  /**
+   * Send raw bytes and resolve with the response to the given id.
+   */
+  async sendRaw(data, id) {
+    this.child.stdin.write(data);
+    const deadline = Date.now() + 5000;
+
+    while (Date.now() < deadline) {
+      const entry = this.received.find(r => r.message.id === id);
+      if (entry) return entry;
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error(`Timeout waiting for response ${id}`);
+  }
+
+  request(method, params, framing) {
+    const id = this.nextId++;
+    return this.sendRaw(frame({ jsonrpc: "2.0", id, method, params }, framing), id);
+  }
+
+  notificationsFor(id) {
+    return this.received.filter(r => r.message.id === undefined && r.message.params?.request_id === id);
+  }
+
+  close() {
+    this.child.kill();
+  }
+}
+
+async function withClient(serverArgs, callback) {
+  const client = new FramedClient(serverArgs);
+  try {
+    await callback(client);
+  } finally {
+    client.close();
+  }
+}
+
+const tests = [
+  {
+    id: "RPC-037",
+    name: "Content-Length framed request gets a framed response",
+    async run() {
+      await withClient([], async (client) => {
+        const { message, framing } = await client.request("model.get", {}, "content-length");
+
+        assertRPC.success(message);
+        assert.equal(framing, "content-length", "Should reply in the request's framing");
+      });
+    },
+  },
+
+  {
+    id: "RPC-038",
+    name: "initialize agrees to Content-Length when offered",
+    async run() {
+      await withClient([], async (client) => {
+        const init = await client.request("initialize", {
+          capabilities: { framing: ["content-length", "newline"] },
+        }, "newline");
+
+        assertRPC.success(init.message);
+        assert.equal(init.message.result.framing, "content-length", "Should agree to Content-Length");
+        assert.equal(init.framing, "newline", "initialize reply should use the request's framing");
+
+        const chat = await client.request("chat", { message: "hello" }, "content-length");
+        const deltas = client.notificationsFor(chat.message.id);
+
+        assert.minLength(deltas, 1, "Should stream notifications");
+        for (const delta of deltas) {
+          assert.equal(delta.framing, "content-length", `${delta.message.method} should be framed`);
+        }
+      });
+    },
+  },
+
+  {
+    id: "RPC-039",
+    name: "initialize without a framing offer stays on newlines",
+    async run() {
+      await withClient([], async (client) => {
+        const { message } = await client.request("initialize", {}, "newline");
+
+        assertRPC.success(message);
+        assert.equal(message.result.framing, "newline", "Should keep newline framing");
+
+        const next = await client.request("model.get", {}, "newline");
+        assert.equal(next.framing, "newline", "Later replies should use newlines");
+      });
+    },
+  },
+
+  {
+    id: "RPC-040",
+    name: "--framing=content-length frames pretty-printed JSON",
+    async run() {
+      await withClient(["--framing=content-length"], async (client) => {
+        const { message, framing, body } = await client.request("initialize", {}, "newline");
+
+        assertRPC.success(message);
+        assert.equal(framing, "content-length", "Should frame even newline requests");
+        assert.contains(body, "\n", "Body should be pretty-printed across lines");
+        assert.equal(message.result.framing, "content-length", "Should report its framing");
+      });
+    },
+  },
+
+  {
+    id: "RPC-041",
+    name: "--framing=newline behaves like a server without negotiation",
+    async run() {
+      await withClient(["--framing=newline"], async (client) => {
+        const { message, framing } = await client.request("initialize", {
+          capabilities: { framing: ["content-length", "newline"] },
+        }, "newline");
+
+        assertRPC.success(message);
+        assert.equal(framing, "newline", "Should reply with newlines");
+        assert.ok(!("framing" in message.result), "Should not advertise framing");
+      });
+    },
+  },
+
+  {
+    id: "RPC-042",
+    name: "mixed framings in one chunk are all answered",
+    async run() {
+      await withClient([], async (client) => {
+        const first = { jsonrpc: "2.0", id: 1, method: "model.get", params: {} };
+        const second = { jsonrpc: "2.0", id: 2, method: "context.list", params: {} };
+
+        await client.sendRaw(frame(first, "newline") + frame(second, "content-length"), 2);
+        const replies = client.received.filter(r => r.message.id === 1 || r.message.id === 2);
+
+        assert.length(replies, 2, "Both requests should be answered");
+        assert.equal(replies.find(r => r.message.id === 1).framing, "newline", "First reply framing");
+        assert.equal(replies.find(r => r.message.id === 2).framing, "content-length", "Second reply framing");
+      });
+    },
+  },
+
+  {
+    id: "RPC-043",
+    name: "Content-Length counts UTF-8 bytes, not characters",
+    async run() {
+      await withClient([], async (client) => {
+        const { message } = await client.request("chat", { message: "héllo wörld ✓ 🚀" }, "content-length");
+
+        assertRPC.success(message);
+        const history = await client.request("history.get", {}, "content-length");
+        assert.equal(history.message.result.messages[0].content, "héllo wörld ✓ 🚀", "Body should decode intact");
+      });
+    },
+  },
+
+  {
+    id: "RPC-044",
+    name: "request split across writes inside the header is reassembled",
+    async run() {
+      await withClient([], async (client) => {
+        const data = frame({ jsonrpc: "2.0", id: 1, method: "model.get", params: {} }, "content-length");
+
+        client.child.stdin.write(data.slice(0, 7));
+        await new Promise(resolve => setTimeout(resolve, 20));
+        client.child.stdin.write(data.slice(7, 30));
+        await new Promise(resolve => setTimeout(resolve, 20));
+        const { message } = await client.sendRaw(data.slice(30), 1);
+
+        assertRPC.success(message);
+      });
+    },
+  },
+];
+
+module.exports = { tests };
@@ -0,0 +1,149 @@
+/**
+ * Health Check Tests
+ *
+ * Tests the ping method, the --hang-after and --crash-after flags that
+ * simulate a wedged or crashing CLI, and the extension's RPC client noticing
+ * a wedged CLI through its health checks.
+ */
+
+const { withServer } = require("../runner");
+const { assert, assertRPC } = require("../assertions");
+const { createMockClient } = require("../client");
+
+/**
+ * A client of a mock CLI that stops answering after the handshake, with the
+ * states it goes through. It pings every 100ms and waits 300ms for an answer,
+ * so a ping is nearly always pending.
+ */
+async function connectWedgedClient() {
+  const client = createMockClient(["--hang-after=1"], {
+    healthCheckInterval: 100,
+    healthCheckTimeout: 300,
+    maxMissedHealthChecks: 2,
+    reconnectDelay: 300,
+  });
+  const states = [];
+  client.on("stateChange", (state) => states.push(state));
+  await client.connect();
+  return { client, states };
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+const tests = [
+  {
+    id: "RPC-054",
+    name: "ping returns an empty result",
+    async run(runner) {
+      const { response } = await runner.sendRequest("ping", {});
+
+      assertRPC.success(response);
+      assert.deepEqual(response.result, {});
+    },
+  },
+
+  {
+    id: "RPC-055",
+    name: "ping is answered while a chat is streaming",
+    async run(runner) {
+      runner.notifications = [];
+      const chatId = runner.startRequest("chat", { message: "create a python file called main.py" });
+      const pingId = runner.startRequest("ping", {});
+
+      const { response: ping } = await runner.waitForResponse(pingId, "ping");
+      assert.ok(!runner.responses.has(chatId), "Ping should not wait for the chat to finish");
+      assertRPC.success(ping);
+
+      const { response: chat } = await runner.waitForResponse(chatId, "chat");
+      assertRPC.success(chat);
+    },
+  },
+
+  {
+    id: "RPC-056",
+    name: "--hang-after stops answering without exiting",
+    async run() {
+      await withServer(["--hang-after=2"], async (server) => {
+        const { response: first } = await server.sendRequest("ping", {});
+        const { response: second } = await server.sendRequest("model.get", {});
+        assertRPC.success(first);
+        assertRPC.success(second);
+
+        const id = server.startRequest("ping", {});
+        await server._sleep(300);
+
+        assert.ok(!server.responses.has(id), "Third request should get no response");
+        assert.equal(server.serverProcess.exitCode, null, "Server process should still be running");
+      });
+    },
+  },
+
+  {
+    id: "RPC-063",
+    name: "--crash-after exits with an error on stderr",
+    async run() {
+      await withServer(["--crash-after=1"], async (server) => {
+        const { response } = await server.sendRequest("ping", {});
+        assertRPC.success(response);
+
+        let stderr = "";
+        server.serverProcess.stderr.on("data", (data) => (stderr += data.toString()));
+        const exited = new Promise((resolve) => server.serverProcess.once("close", resolve));
+        const id = server.startRequest("model.get", {});
+
+        assert.equal(await exited, 70, "Server should exit with code 70");
+        assert.ok(!server.responses.has(id), "Crashing request should get no response");
+        assert.contains(stderr, "Fatal error while handling model.get");
+      });
+    },
+  },
+
+  {
+    id: "RPC-073",
+    name: "disconnect while degraded does not restart the CLI",
+    async run() {
+      const { client, states } = await connectWedgedClient();
+      try {
+        await new Promise((resolve) =>
+          client.on("stateChange", (state) => state === "degraded" && resolve())
+        );
+        // The next ping is sent within 100ms
+        await sleep(150);
+
+        client.disconnect();
+        states.length = 0;
+        // Long enough for the missed checks and the restart delay
+        await sleep(1000);
+
+        assert.deepEqual(states, [], "No state change should follow disconnect");
+        assert.equal(client.state, "disconnected");
+      } finally {
+        client.disconnect();
+      }
+    },
+  },
+
+  {
+    id: "RPC-074",
+    name: "disconnect while a restart is pending cancels it",
+    async run() {
+      const { client, states } = await connectWedgedClient();
+      try {
+        await new Promise((resolve) => client.once("reconnecting", resolve));
+
+        client.disconnect();
+        states.length = 0;
+        await sleep(600);
+
+        assert.deepEqual(states, [], "The CLI should not be started again");
+        assert.equal(client.state, "disconnected");
+      } finally {
+        client.disconnect();
+      }
+    },
+  },
+];
+
+module.exports = { tests };
@@ -0,0 +1,82 @@
+/**
+ * Protocol Negotiation Tests
+ *
+ * Tests protocol version and capability negotiation on initialize.
+ */
+
+const { withServer } = require("../runner");
+const { assert, assertRPC } = require("../assertions");
+
+const tests = [
+  {
+    id: "RPC-027",
+    name: "initialize returns protocol_version",
+    async run(runner) {
+      const { response } = await runner.sendRequest("initialize", {
+        protocol_version: "1.0",
+        capabilities: { cancellation: true },
+      });
+
+      assertRPC.success(response);
+      assert.type(response.result.protocol_version, "string", "Should have protocol_version");
+      assert.matches(response.result.protocol_version, /^1\./, "Should speak protocol 1.x");
+    },
+  },
+
+  {
+    id: "RPC-028",
+    name: "initialize accepts a newer minor version of the same major",
+    async run(runner) {
+      const { response } = await runner.sendRequest("initialize", {
+        protocol_version: "1.7",
+      });
+
+      assertRPC.success(response);
+    },
+  },
+
+  {
+    id: "RPC-029",
+    name: "initialize rejects an incompatible major version",
+    async run(runner) {
+      const { response } = await runner.sendRequest("initialize", {
+        protocol_version: "2.0",
+      });
+
+      assertRPC.error(response, -32001);
+      assert.contains(response.error.message, "2.0", "Error should name the client version");
+    },
+  },
+
+  {
+    id: "RPC-030",
+    name: "--capabilities limits the advertised capabilities",
+    async run() {
+      await withServer(["--capabilities=streaming"], async (limited) => {
+        const { response } = await limited.sendRequest("initialize", {});
+
+        assertRPC.success(response);
+        assert.equal(response.result.capabilities.streaming, true, "streaming advertised");
+        assert.equal(response.result.capabilities.tools, false, "tools not advertised");
+        assert.equal(response.result.capabilities.context, false, "context not advertised");
+      });
+    },
+  },
+
+  {
+    id: "RPC-031",
+    name: "--protocol changes the advertised protocol version",
+    async run() {
+      await withServer(["--protocol=2.0"], async (future) => {
+        const { response } = await future.sendRequest("initialize", {
+          protocol_version: "1.0",
+        });
+
+        assertRPC.error(response, -32001);
+        assert.equal(response.error.data.protocol_version, "2.0", "Error data should carry server version");
+      });
+    },
+  },
+];
+
+module.exports = { tests };
@@ -4,7 +4,7 @@
  * Tests that all required RPC methods are implemented and respond correctly.
  */
 
-const { assert, assertRPC } = require("../assertions");
+const { assert, assertRPC, assertStreaming } = require("../assertions");
 
 const tests = [
   // RPC-001: initialize
@@ -209,6 +209,156 @@ const tests = [
       assert.type(response.result.model, "string", "model should be string");
     },
   },
+
+  // RPC-064: model.get context window
+  {
+    id: "RPC-064",
+    name: "model.get reports the model's context window",
+    async run(runner) {
+      await runner.sendRequest("model.set", { model: "mistral-mock-tiny" });
+      const { response: tiny } = await runner.sendRequest("model.get", {});
+      await runner.sendRequest("model.set", { model: "mistral-mock-v1" });
+      const { response: standard } = await runner.sendRequest("model.get", {});
+
+      assert.equal(tiny.result.context_window, 2000, "mistral-mock-tiny window");
+      assert.equal(standard.result.context_window, 32000, "mistral-mock-v1 window");
+    },
+  },
+
+  // RPC-065: tokens.count
+  {
+    id: "RPC-065",
+    name: "tokens.count splits the prompt into message, history and context",
+    async run(runner) {
+      await runner.sendRequest("context.clear", {});
+      await runner.sendRequest("history.set", {
+        messages: [
+          { role: "user", content: "12345678" },
+          { role: "assistant", content: "1234" },
+        ],
+      });
+      await runner.sendRequest("context.add", { file_path: "missing-file.ts" });
+
+      const { response } = await runner.sendRequest("tokens.count", { message: "hello" });
+      const { response: noFiles } = await runner.sendRequest("tokens.count", {
+        message: "hello",
+        context_files: [],
+      });
+
+      assertRPC.success(response);
+      assert.deepEqual(response.result, { message: 2, history: 3, context: 100, total: 105 });
+      assert.equal(noFiles.result.context, 0, "Only the listed context files are counted");
+    },
+  },
+
+  // RPC-066: model.list
+  {
+    id: "RPC-066",
+    name: "model.list returns the model catalog",
+    async run(runner) {
+      const { response } = await runner.sendRequest("model.list", {});
+
+      assertRPC.success(response);
+      assert.ok(Array.isArray(response.result.models), "models should be an array");
+      const tiny = response.result.models.find((model) => model.id === "mistral-mock-tiny");
+      assert.exists(tiny, "Catalog should include mistral-mock-tiny");
+      assert.equal(tiny.context_window, 2000, "mistral-mock-tiny window");
+      assert.equal(tiny.supports_tools, false, "mistral-mock-tiny has no tools");
+      assert.type(tiny.cost.input, "number", "cost.input should be a number");
+    },
+  },
+
+  // RPC-067: model.set validation
+  {
+    id: "RPC-067",
+    name: "model.set rejects unknown models and keeps the current one",
+    async run(runner) {
+      await runner.sendRequest("model.set", { model: "mistral-large" });
+      const { response } = await runner.sendRequest("model.set", { model: "gpt-mock" });
+      const { response: current } = await runner.sendRequest("model.get", {});
+
+      assertRPC.error(response, -32602);
+      assert.contains(response.error.message, "gpt-mock");
+      assert.ok(response.error.data.models.includes("mistral-large"), "Error lists the known models");
+      assert.equal(current.result.model, "mistral-large", "Model should be unchanged");
+    },
+  },
+
+  // RPC-068: generation params
+  {
+    id: "RPC-068",
+    name: "chat honours max_tokens and stop from generation params",
+    async run(runner) {
+      const { response: full } = await runner.sendRequest("chat", { message: "hello" });
+      const stop = full.result.content.slice(10, 15);
+      const { response: stopped } = await runner.sendRequest("chat", {
+        message: "hello",
+        generation: { temperature: 0, stop: [stop] },
+      });
+      const { response: short } = await runner.sendRequest("chat", {
+        message: "hello",
+        generation: { max_tokens: 2 },
+      });
+
+      assertRPC.success(stopped);
+      assert.equal(
+        stopped.result.content,
+        full.result.content.slice(0, full.result.content.indexOf(stop)),
+        "Reply should end before the stop string"
+      );
+      assertRPC.success(short);
+      assert.ok(short.result.content.length <= 8, "Reply should fit in 2 tokens");
+    },
+  },
+
+  // RPC-069: generation params validation
+  {
+    id: "RPC-069",
+    name: "chat rejects out-of-range generation params",
+    async run(runner) {
+      const { response } = await runner.sendRequest("chat", {
+        message: "hello",
+        generation: { temperature: 3 },
+      });
+
+      assertRPC.error(response, -32602);
+      assert.contains(response.error.message, "params.generation.temperature must be at most 2");
+    },
+  },
+
+  // RPC-070: chat.regenerate
+  {
+    id: "RPC-070",
+    name: "chat.regenerate replaces the last reply in the history",
+    async run(runner) {
+      await runner.sendRequest("context.clear", { files: false, history: true });
+      const { response: first } = await runner.sendRequest("chat", { message: "hello" });
+      runner.notifications = [];
+      const { response, notifications } = await runner.sendRequest("chat.regenerate", {});
+      const { response: history } = await runner.sendRequest("history.get", {});
+
+      assertRPC.success(response);
+      assert.ok(response.result.content !== first.result.content, "Reply should change");
+      assertStreaming.deltasMatchFinal(notifications, response.result.content);
+      assert.deepEqual(history.result.messages, [
+        { role: "user", content: "hello" },
+        { role: "assistant", content: response.result.content },
+      ]);
+    },
+  },
+
+  // RPC-071: chat.regenerate without a user turn
+  {
+    id: "RPC-071",
+    name: "chat.regenerate rejects an empty history",
+    async run(runner) {
+      await runner.sendRequest("context.clear", { files: false, history: true });
+      const { response } = await runner.sendRequest("chat.regenerate", {});
+
+      assertRPC.error(response, -32602);
+      assert.contains(response.error.message, "Nothing to regenerate");
+    },
+  },
 ];
 
 module.exports = { tests };
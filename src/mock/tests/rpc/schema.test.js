@@ -0,0 +1,128 @@
+/**
+ * Protocol Schema Tests
+ *
+ * Tests that the mock validates params against src/protocol/schema.json, that
+ * its own responses and notifications match the schema, and that the
+ * generated types are current.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { assert, assertRPC } = require("../assertions");
+const { check } = require("../../../protocol/validate");
+const { generate } = require("../../../protocol/generate");
+
+/**
+ * Assert that a response result and its notifications match the schema.
+ */
+function assertMatchesSchema(method, response, notifications) {
+  assertRPC.success(response);
+  assert.deepEqual(check("result", method, response.result), [], `${method} result should match the schema`);
+
+  for (const notification of notifications) {
+    assert.deepEqual(
+      check("notification", notification.method, notification.params),
+      [],
+      `${notification.method} notification should match the schema`
+    );
+  }
+}
+
+const tests = [
+  {
+    id: "RPC-057",
+    name: "mistyped params are rejected with the offending field",
+    async run(runner) {
+      const { response } = await runner.sendRequest("chat", { message: 42 });
+
+      assertRPC.error(response, -32602);
+      assert.contains(response.error.message, "params.message must be a string, got number");
+      assert.deepEqual(response.error.data.errors, ["params.message must be a string, got number"]);
+    },
+  },
+
+  {
+    id: "RPC-058",
+    name: "missing required params are named in the error",
+    async run(runner) {
+      const { response } = await runner.sendRequest("agent.confirm", { approved: "yes" });
+
+      assertRPC.error(response, -32602);
+      assert.deepEqual(response.error.data.errors, [
+        "params.tool_call_id is required",
+        "params.approved must be a boolean, got string",
+      ]);
+    },
+  },
+
+  {
+    id: "RPC-059",
+    name: "params the schema does not list are accepted",
+    async run(runner) {
+      const { response } = await runner.sendRequest("model.set", {
+        model: "mistral-mock-v1",
+        temperature: 0.2,
+      });
+
+      assertRPC.success(response);
+    },
+  },
+
+  {
+    id: "RPC-060",
+    name: "built-in responses and notifications match the schema",
+    async run(runner) {
+      const calls = [
+        ["initialize", {}],
+        ["ping", {}],
+        ["model.get", {}],
+        ["context.add", { file_path: "package.json" }],
+        ["context.list", {}],
+        ["chat", { message: "create a python file called main.py" }],
+        ["chat.regenerate", {}],
+        ["agent.run", { task: "create a file", auto_confirm: true }],
+        ["tokens.count", { message: "hello" }],
+        ["model.list", {}],
+        ["history.get", {}],
+        ["context.clear", {}],
+      ];
+
+      for (const [method, params] of calls) {
+        runner.notifications = [];
+        const { response, notifications } = await runner.sendRequest(method, params);
+        assertMatchesSchema(method, response, notifications);
+      }
+    },
+  },
+
+  {
+    id: "RPC-061",
+    name: "malformed client reply to a server request is reported",
+    async run(runner) {
+      const id = runner.startRequest("debug.serverRequest", {
+        method: "editor.quickPick",
+        params: { items: ["A", "B"] },
+      });
+
+      const request = await runner.waitForServerRequest("editor.quickPick");
+      runner.reply(request.id, { selected: "B" });
+      const { response } = await runner.waitForResponse(id, "debug.serverRequest");
+
+      assertRPC.success(response);
+      assert.equal(response.result.result, null, "No result should be relayed");
+      assert.contains(response.result.error.message, "result.selected must be an array or null");
+    },
+  },
+
+  {
+    id: "RPC-062",
+    name: "generated protocol types are up to date",
+    async run() {
+      const current = fs.readFileSync(path.join(__dirname, "../../../protocol/types.ts"), "utf8");
+
+      assert.ok(current === generate(), "src/protocol/types.ts is stale; run `npm run generate:protocol`");
+    },
+  },
+];
+
+module.exports = { tests };
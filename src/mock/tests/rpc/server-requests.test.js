@@ -0,0 +1,107 @@
+/**
+ * Server-to-Client Request Tests
+ *
+ * Tests requests the server sends to the client and the client's replies.
+ */
+
+const { assert, assertRPC } = require("../assertions");
+
+const tests = [
+  {
+    id: "RPC-050",
+    name: "server request carries an id and method",
+    async run(runner) {
+      const id = runner.startRequest("debug.serverRequest", {
+        method: "editor.readBuffer",
+        params: { file_path: "src/main.ts" },
+      });
+
+      const request = await runner.waitForServerRequest("editor.readBuffer");
+      assert.exists(request.id, "Server request should have an id");
+      assert.equal(request.params.file_path, "src/main.ts", "Params should be forwarded");
+
+      runner.reply(request.id, { content: "export {};", is_dirty: true, language_id: "typescript" });
+      const { response } = await runner.waitForResponse(id, "debug.serverRequest");
+
+      assertRPC.success(response);
+      assert.equal(response.result.result.content, "export {};", "Client result should be relayed");
+      assert.equal(response.result.error, null, "No error expected");
+    },
+  },
+
+  {
+    id: "RPC-051",
+    name: "client error reply is relayed",
+    async run(runner) {
+      const id = runner.startRequest("debug.serverRequest", { method: "editor.unknown" });
+
+      const request = await runner.waitForServerRequest("editor.unknown");
+      runner.reply(request.id, undefined, { code: -32601, message: "Method not found: editor.unknown" });
+      const { response } = await runner.waitForResponse(id, "debug.serverRequest");
+
+      assertRPC.success(response);
+      assert.equal(response.result.error.code, -32601, "Client error should be relayed");
+    },
+  },
+
+  {
+    id: "RPC-072",
+    name: "a refused readBuffer reaches the server as an error",
+    async run(runner) {
+      const id = runner.startRequest("debug.serverRequest", {
+        method: "editor.readBuffer",
+        params: { file_path: "../../.ssh/id_rsa" },
+      });
+
+      // Refuse as the extension does for files outside the folder that are not open
+      const request = await runner.waitForServerRequest("editor.readBuffer");
+      runner.reply(request.id, undefined, {
+        code: -32602,
+        message: `Not in the project folder or open in the editor: ${request.params.file_path}`,
+      });
+      const { response } = await runner.waitForResponse(id, "debug.serverRequest");
+
+      assertRPC.success(response);
+      assert.equal(response.result.error.code, -32602, "The refusal should reach the server");
+      assert.equal(response.result.result, null, "No content should be sent");
+    },
+  },
+
+  {
+    id: "RPC-052",
+    name: "chat asks for a quick pick when the client supports it",
+    async run(runner) {
+      await runner.sendRequest("initialize", {
+        capabilities: { server_requests: ["editor.quickPick"] },
+      });
+
+      const id = runner.startRequest("chat", { message: "please pick an option" });
+      const request = await runner.waitForServerRequest("editor.quickPick");
+      assert.minLength(request.params.items, 1, "Quick pick should offer items");
+
+      runner.reply(request.id, { selected: ["Option B"] });
+      const { response } = await runner.waitForResponse(id, "chat");
+
+      assertRPC.success(response);
+      assert.contains(response.result.content, "Option B", "Reply should use the picked item");
+
+      await runner.sendRequest("initialize", {});
+    },
+  },
+
+  {
+    id: "RPC-053",
+    name: "chat does not send a quick pick to clients that did not advertise it",
+    async run(runner) {
+      await runner.sendRequest("initialize", {});
+      runner.serverRequests = [];
+
+      const { response } = await runner.sendRequest("chat", { message: "please pick an option" });
+
+      assertRPC.success(response);
+      assert.length(runner.serverRequests, 0, "No server request expected");
+    },
+  },
+];
+
+module.exports = { tests };
@@ -0,0 +1,90 @@
+/**
+ * Session State Tests
+ *
+ * Tests that context, model and history are kept per server process.
+ */
+
+const { assert, assertRPC } = require("../assertions");
+
+const tests = [
+  {
+    id: "RPC-032",
+    name: "context.list reflects added and removed files",
+    async run(runner) {
+      await runner.sendRequest("context.clear", { files: true, history: false });
+      await runner.sendRequest("context.add", { file_path: "src/a.ts" });
+      await runner.sendRequest("context.add", { file_path: "src/b.ts" });
+      await runner.sendRequest("context.remove", { file_path: "src/a.ts" });
+
+      const { response } = await runner.sendRequest("context.list", {});
+
+      assertRPC.success(response);
+      assert.deepEqual(response.result.files.map(f => f.path), ["src/b.ts"]);
+      assert.equal(response.result.total_tokens, response.result.files[0].tokens, "total should sum files");
+    },
+  },
+
+  {
+    id: "RPC-033",
+    name: "context.clear with files: false keeps context files",
+    async run(runner) {
+      await runner.sendRequest("context.add", { file_path: "src/keep.ts" });
+      await runner.sendRequest("context.clear", { files: false, history: true });
+
+      const { response } = await runner.sendRequest("context.list", {});
+
+      assert.ok(
+        response.result.files.some(f => f.path === "src/keep.ts"),
+        "File should still be in context"
+      );
+      await runner.sendRequest("context.clear", {});
+    },
+  },
+
+  {
+    id: "RPC-034",
+    name: "model.get returns the last model.set",
+    async run(runner) {
+      await runner.sendRequest("model.set", { model: "codestral-latest" });
+
+      const { response } = await runner.sendRequest("model.get", {});
+
+      assert.equal(response.result.model, "codestral-latest");
+    },
+  },
+
+  {
+    id: "RPC-035",
+    name: "chat appends to history and history.set replaces it",
+    async run(runner) {
+      await runner.sendRequest("context.clear", { files: false, history: true });
+      await runner.sendRequest("chat", { message: "hello" });
+
+      const { response: afterChat } = await runner.sendRequest("history.get", {});
+      assert.length(afterChat.result.messages, 2, "Chat should add a user and an assistant turn");
+      assert.equal(afterChat.result.messages[0].content, "hello");
+
+      const messages = [{ role: "user", content: "earlier question" }];
+      const { response: setResp } = await runner.sendRequest("history.set", { messages });
+      assertRPC.success(setResp);
+      assert.equal(setResp.result.count, 1);
+
+      const { response } = await runner.sendRequest("history.get", {});
+      assert.deepEqual(response.result.messages, messages);
+    },
+  },
+
+  {
+    id: "RPC-036",
+    name: "history.set rejects malformed messages",
+    async run(runner) {
+      const { response } = await runner.sendRequest("history.set", {
+        messages: [{ role: "robot", content: 42 }],
+      });
+
+      assertRPC.error(response, -32602);
+    },
+  },
+];
+
+module.exports = { tests };
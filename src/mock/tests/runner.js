@@ -13,12 +13,15 @@ class TestRunner {
       verbose: options.verbose || false,
       timeout: options.timeout || 5000,
       streamingDelay: options.streamingDelay || 5,
+      serverArgs: options.serverArgs || [],
       ...options,
     };
 
     this.serverProcess = null;
     this.responses = new Map();
     this.notifications = [];
+    this.batches = [];
+    this.serverRequests = [];
     this.buffer = "";
     this.requestId = 0;
     this.results = [];
@@ -31,7 +34,7 @@ class TestRunner {
   async startServer() {
     const mockServerPath = path.resolve(__dirname, "..", "mock-server.js");
 
-    this.serverProcess = spawn("node", [mockServerPath, "server"], {
+    this.serverProcess = spawn("node", [mockServerPath, "server", ...this.options.serverArgs], {
       stdio: ["pipe", "pipe", "pipe"],
     });
 
@@ -70,6 +73,23 @@ class TestRunner {
     }
   }
 
+  /**
+   * Kill the server and start a fresh one, as happens when the CLI crashes and
+   * the extension reconnects. All server-side session state is lost.
+   */
+  async restartServer() {
+    const exited = new Promise((resolve) => this.serverProcess.once("exit", resolve));
+    this.stopServer();
+    await exited;
+
+    this.buffer = "";
+    this.responses.clear();
+    this.notifications = [];
+    this.batches = [];
+    this.serverRequests = [];
+    await this.startServer();
+  }
+
   /**
    * Parse incoming buffer for JSON-RPC messages.
    */
@@ -82,13 +102,24 @@ class TestRunner {
       try {
         const parsed = JSON.parse(line);
 
-        // Response (has id)
-        if (parsed.id !== undefined && (parsed.result !== undefined || parsed.error !== undefined)) {
-          this.responses.set(parsed.id, parsed);
+        // Batch response: keep the array, and each response as usual
+        if (Array.isArray(parsed)) {
+          this.batches.push(parsed);
         }
-        // Notification (no id, has method)
-        else if (parsed.method) {
-          this.notifications.push(parsed);
+
+        for (const message of Array.isArray(parsed) ? parsed : [parsed]) {
+          // Response (has id)
+          if (message.id !== undefined && (message.result !== undefined || message.error !== undefined)) {
+            this.responses.set(message.id, message);
+          }
+          // Server-to-client request (has id and method)
+          else if (message.id !== undefined && message.method) {
+            this.serverRequests.push(message);
+          }
+          // Notification (no id, has method)
+          else if (message.method) {
+            this.notifications.push(message);
+          }
         }
       } catch (e) {
         // Ignore parse errors for incomplete data
@@ -110,6 +141,20 @@ class TestRunner {
    * @param {object} options - Options { preserveNotifications: boolean }
    */
   async sendRequest(method, params = {}, options = {}) {
+    // Clear notifications for this request (unless explicitly preserved)
+    if (!options.preserveNotifications) {
+      this.notifications = [];
+    }
+
+    const id = this.startRequest(method, params);
+    return this.waitForResponse(id, method);
+  }
+
+  /**
+   * Write a JSON-RPC request without waiting for its response.
+   * @returns {number} The request id, for use with waitForResponse()
+   */
+  startRequest(method, params = {}) {
     const id = ++this.requestId;
 
     const request = {
@@ -119,14 +164,69 @@ class TestRunner {
       params,
     };
 
-    // Clear notifications for this request (unless explicitly preserved)
-    if (!options.preserveNotifications) {
-      this.notifications = [];
+    this.serverProcess.stdin.write(JSON.stringify(request) + "\n");
+    return id;
+  }
+
+  /**
+   * Write several requests as one JSON-RPC batch.
+   * @param {Array<{method: string, params?: object}>} calls
+   * @returns {number[]} The request ids, in order
+   */
+  startBatch(calls) {
+    const requests = calls.map(({ method, params = {} }) => ({
+      jsonrpc: "2.0",
+      id: ++this.requestId,
+      method,
+      params,
+    }));
+
+    this.serverProcess.stdin.write(JSON.stringify(requests) + "\n");
+    return requests.map((request) => request.id);
+  }
+
+  /**
+   * Wait for the server to send the client a request for the given method.
+   */
+  async waitForServerRequest(method) {
+    const startTime = Date.now();
+    for (;;) {
+      const index = this.serverRequests.findIndex((request) => request.method === method);
+      if (index !== -1) {
+        return this.serverRequests.splice(index, 1)[0];
+      }
+      if (Date.now() - startTime > this.options.timeout) {
+        throw new Error(`Timeout waiting for server request ${method}`);
+      }
+      await this._sleep(10);
     }
+  }
 
-    this.serverProcess.stdin.write(JSON.stringify(request) + "\n");
+  /**
+   * Answer a server-to-client request.
+   */
+  reply(id, result, error) {
+    const response = error ? { jsonrpc: "2.0", id, error } : { jsonrpc: "2.0", id, result };
+    this.serverProcess.stdin.write(JSON.stringify(response) + "\n");
+  }
+
+  /**
+   * Send a JSON-RPC notification (no id, no response expected).
+   */
+  sendNotification(method, params = {}) {
+    const notification = {
+      jsonrpc: "2.0",
+      method,
+      params,
+    };
+
+    this.serverProcess.stdin.write(JSON.stringify(notification) + "\n");
+  }
 
-    // Wait for response
+  /**
+   * Wait for the response to a previously started request.
+   */
+  async waitForResponse(id, method = "request") {
     const startTime = Date.now();
     while (!this.responses.has(id)) {
       if (Date.now() - startTime > this.options.timeout) {
@@ -297,4 +397,18 @@ class TestRunner {
   }
 }
 
-module.exports = { TestRunner };
+/**
+ * Run a callback against a separately started mock server, e.g. one with extra
+ * flags or one that a test kills. The server is always stopped afterwards.
+ */
+async function withServer(serverArgs, callback) {
+  const runner = new TestRunner({ serverArgs });
+  await runner.startServer();
+  try {
+    return await callback(runner);
+  } finally {
+    runner.stopServer();
+  }
+}
+
+module.exports = { TestRunner, withServer };
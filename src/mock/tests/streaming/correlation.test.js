@@ -0,0 +1,95 @@
+/**
+ * Notification Correlation Tests
+ *
+ * Tests that notifications carry the request_id of the request that produced them.
+ */
+
+const { assert, assertRPC } = require("../assertions");
+
+const tests = [
+  {
+    id: "STR-011",
+    name: "chat notifications carry the chat request_id",
+    async run(runner) {
+      const { notifications } = await runner.sendRequest("chat", {
+        message: "hello",
+      });
+      const id = runner.requestId;
+
+      assert.minLength(notifications, 1, "Should have notifications");
+      for (const notif of notifications) {
+        assert.equal(
+          notif.params.request_id,
+          id,
+          `${notif.method} should carry request_id ${id}`
+        );
+      }
+    },
+  },
+
+  {
+    id: "STR-012",
+    name: "tool.pending carries the agent.run request_id",
+    async run(runner) {
+      const { notifications } = await runner.sendRequest("agent.run", {
+        task: "create a file",
+        auto_confirm: false,
+      });
+      const id = runner.requestId;
+
+      const pending = notifications.find(n => n.method === "tool.pending");
+      assert.exists(pending, "Should emit tool.pending");
+      assert.equal(pending.params.request_id, id, "tool.pending should carry agent.run id");
+
+      await runner.sendRequest("agent.cancel", {});
+    },
+  },
+
+  {
+    id: "STR-013",
+    name: "tool.result after confirm carries the original agent.run request_id",
+    async run(runner) {
+      const { notifications: agentNotifs } = await runner.sendRequest("agent.run", {
+        task: "create a file",
+        auto_confirm: false,
+      });
+      const agentId = runner.requestId;
+      const pending = agentNotifs.find(n => n.method === "tool.pending");
+
+      const { notifications } = await runner.sendRequest("agent.confirm", {
+        tool_call_id: pending.params.tool_call_id,
+        approved: true,
+      });
+
+      const result = notifications.find(n => n.method === "tool.result");
+      assert.exists(result, "Should emit tool.result");
+      assert.equal(result.params.request_id, agentId, "tool.result should carry agent.run id");
+    },
+  },
+
+  {
+    id: "STR-014",
+    name: "interleaved chats can be separated by request_id",
+    async run(runner) {
+      runner.clearNotifications();
+      const firstId = runner.startRequest("chat", { message: "hello" });
+      const secondId = runner.startRequest("chat", { message: "create a python file" });
+
+      const { response: first } = await runner.waitForResponse(firstId, "chat");
+      const { response: second, notifications } = await runner.waitForResponse(secondId, "chat");
+
+      assertRPC.success(first);
+      assertRPC.success(second);
+
+      for (const [id, response] of [[firstId, first], [secondId, second]]) {
+        const text = notifications
+          .filter(n => n.method === "content.delta" && n.params.request_id === id)
+          .map(n => n.params.text)
+          .join("");
+        assert.equal(text.trim(), response.result.content.trim(), `Deltas for ${id} should match its content`);
+      }
+    },
+  },
+];
+
+module.exports = { tests };
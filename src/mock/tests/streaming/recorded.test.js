@@ -0,0 +1,177 @@
+/**
+ * Recorded Session Tests
+ *
+ * Replays fixtures/chat-session.jsonl, a recorded CLI session, with --replay,
+ * and records a session through the --record proxy.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { withServer } = require("../runner");
+const { assert, assertRPC } = require("../assertions");
+
+const FIXTURE = path.resolve(__dirname, "..", "fixtures", "chat-session.jsonl");
+const MOCK_SERVER_PATH = path.resolve(__dirname, "..", "..", "mock-server.js");
+
+const FIRST_QUESTION = "What does Array.prototype.flatMap do?";
+const SECOND_QUESTION = "Is it the same as map().flat()?";
+
+/**
+ * Recorded result for a request id in the fixture.
+ */
+function recordedResult(id) {
+  const entry = fs
+    .readFileSync(FIXTURE, "utf8")
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line))
+    .find((e) => e.direction === "receive" && e.message.id === id && e.message.method === undefined);
+  return entry.message.result;
+}
+
+const tests = [
+  {
+    id: "STR-016",
+    name: "replayed chat streams the recorded deltas and response",
+    async run() {
+      await withServer([`--replay=${FIXTURE}`, "--speed=0"], async (server) => {
+        const { response, notifications } = await server.sendRequest("chat", { message: FIRST_QUESTION });
+
+        assertRPC.success(response);
+        assert.equal(response.result.content, recordedResult(3).content, "Content should be the recorded answer");
+
+        const text = notifications
+          .filter(n => n.method === "content.delta")
+          .map(n => n.params.text)
+          .join("");
+        assert.equal(text, response.result.content, "Deltas should rebuild the answer");
+        assert.exists(notifications.find(n => n.method === "thinking.update"), "Should replay thinking.update");
+
+        const usage = notifications.find(n => n.method === "token.usage");
+        assert.equal(usage.params.total, 470, "Should replay recorded token usage");
+      });
+    },
+  },
+
+  {
+    id: "STR-017",
+    name: "replayed notifications carry the live request id",
+    async run() {
+      await withServer([`--replay=${FIXTURE}`, "--speed=0"], async (server) => {
+        const { notifications } = await server.sendRequest("chat", { message: FIRST_QUESTION });
+        const id = server.requestId;
+
+        assert.ok(id !== 3, "Live id should differ from the recorded id");
+        for (const notif of notifications) {
+          assert.equal(notif.params.request_id, id, `${notif.method} should carry request_id ${id}`);
+        }
+      });
+    },
+  },
+
+  {
+    id: "STR-018",
+    name: "requests are matched to recordings by params before order",
+    async run() {
+      await withServer([`--replay=${FIXTURE}`, "--speed=0"], async (server) => {
+        const { response: second } = await server.sendRequest("chat", { message: SECOND_QUESTION });
+        const { response: first } = await server.sendRequest("chat", { message: FIRST_QUESTION });
+
+        assert.equal(second.result.content, recordedResult(4).content, "Second question gets its own answer");
+        assert.equal(first.result.content, recordedResult(3).content, "First question gets its own answer");
+      });
+    },
+  },
+
+  {
+    id: "STR-019",
+    name: "recorded errors are replayed",
+    async run() {
+      await withServer([`--replay=${FIXTURE}`, "--speed=0"], async (server) => {
+        const { response } = await server.sendRequest("context.add", { file_path: "src/missing.ts" });
+
+        assertRPC.error(response, -32602);
+        assert.contains(response.error.message, "src/missing.ts", "Should keep the recorded message");
+      });
+    },
+  },
+
+  {
+    id: "STR-020",
+    name: "requests without a recording get built-in responses",
+    async run() {
+      await withServer([`--replay=${FIXTURE}`, "--speed=0"], async (server) => {
+        const { response: model } = await server.sendRequest("model.get", {});
+        assertRPC.success(model);
+        assert.equal(model.result.model, "mistral-mock-v1", "model.get was not recorded");
+
+        await server.sendRequest("chat", { message: FIRST_QUESTION });
+        await server.sendRequest("chat", { message: SECOND_QUESTION });
+        const { response: third } = await server.sendRequest("chat", { message: "hello" });
+
+        assertRPC.success(third);
+        assert.ok(
+          third.result.content !== recordedResult(3).content && third.result.content !== recordedResult(4).content,
+          "Recordings are used once each"
+        );
+      });
+    },
+  },
+
+  {
+    id: "STR-021",
+    name: "--speed scales the recorded timing",
+    async run() {
+      const timeChat = (speed) =>
+        withServer([`--replay=${FIXTURE}`, `--speed=${speed}`], async (server) => {
+          server.options.timeout = 10000;
+          const start = Date.now();
+          await server.sendRequest("chat", { message: SECOND_QUESTION });
+          return Date.now() - start;
+        });
+
+      // The recorded answer took about 600 ms
+      const realtime = await timeChat(1);
+      const accelerated = await timeChat(10);
+
+      assert.ok(realtime >= 500, `Realtime replay should take ~600 ms, took ${realtime} ms`);
+      assert.ok(accelerated < realtime / 2, `10x replay should be faster, took ${accelerated} ms`);
+    },
+  },
+
+  {
+    id: "STR-022",
+    name: "--record proxies a session into a replayable fixture",
+    async run() {
+      const fixture = path.join(os.tmpdir(), `mistral-record-${process.pid}-${Date.now()}.jsonl`);
+
+      try {
+        let recorded;
+        await withServer([`--record=${fixture}`, "--upstream=node", `--upstream=${MOCK_SERVER_PATH}`], async (proxy) => {
+          const { response } = await proxy.sendRequest("chat", { message: "create a python file called main.py" });
+          assertRPC.success(response);
+          recorded = response.result.content;
+
+          // Wait for the proxy to flush the fixture and exit
+          const exited = new Promise((resolve) => proxy.serverProcess.once("exit", resolve));
+          proxy.stopServer();
+          await exited;
+        });
+
+        const entries = fs.readFileSync(fixture, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+        assert.exists(entries.find(e => e.direction === "send" && e.message.method === "chat"), "Should record the request");
+        assert.exists(entries.find(e => e.direction === "receive" && e.message.method === "content.delta"), "Should record deltas");
+
+        await withServer([`--replay=${fixture}`, "--speed=0"], async (server) => {
+          const { response } = await server.sendRequest("chat", { message: "create a python file called main.py" });
+          assert.equal(response.result.content, recorded, "Replay should return the recorded answer");
+        });
+      } finally {
+        fs.rmSync(fixture, { force: true });
+      }
+    },
+  },
+];
+
+module.exports = { tests };
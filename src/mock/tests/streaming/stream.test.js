@@ -174,6 +174,19 @@ const tests = [
       assert.minLength(notifications, 1, "Should have notifications before response");
     },
   },
+
+  {
+    id: "STR-015",
+    name: "token.usage arrives before the chat response",
+    async run(runner) {
+      const { notifications } = await runner.sendRequest("chat", {
+        message: "hello",
+      });
+
+      const usage = notifications.find(n => n.method === "token.usage");
+      assert.exists(usage, "token.usage should be received before the response");
+    },
+  },
 ];
 
 module.exports = { tests };
@@ -0,0 +1,1502 @@
+/**
+ * Chat Session
+ *
+ * One conversation with its own Mistral CLI connection, context files and
+ * history, shown as a chat tab. Every message it posts to the webview carries
+ * its session id, so the webview can keep the conversations apart.
+ */
+
+import * as vscode from "vscode";
+import { randomUUID } from "crypto";
+import {
+  ChatTurn,
+  ConnectionState,
+  CRASH_WINDOW_MS,
+  MistralRpcClient,
+  NotificationScope,
+  RpcClientConfig,
+  RpcError,
+  RpcStreamEvent,
+} from "../client/rpc";
+import {
+  ContextFile,
+  ConversationMessage,
+  ExtensionToWebviewMessage,
+  GenerationParams,
+  ModelInfo,
+  ChatExport,
+  ResolveBudgetMessage,
+  TokenUsage,
+  ToolCallRecord,
+} from "../protocol/types";
+import {
+  branchVersions,
+  contextWindowFor,
+  ConversationStore,
+  DEFAULT_CONTEXT_WINDOW,
+  FALLBACK_MODELS,
+  loadModels,
+  measureBudget,
+  offerCrashReport,
+  replyCandidates,
+  resolveCliCommand,
+  resolveGeneration,
+  showCandidate,
+  showVersion,
+  titleFor,
+  toChatExport,
+} from "../services";
+import { resolveServerPath } from "./serverPaths";
+
+/**
+ * Unexpected exits within CRASH_WINDOW_MS after which a crash report is offered.
+ */
+const CRASH_LOOP_THRESHOLD = 3;
+
+const SELECT_MODEL = "Select Model";
+
+/**
+ * Notifications the server sends while it works on a chat, agent or
+ * regenerate request.
+ */
+const STREAM_EVENTS: RpcStreamEvent["method"][] = [
+  "content.delta",
+  "content.done",
+  "thinking.update",
+  "tool.pending",
+  "tool.result",
+  "token.usage",
+  "error",
+];
+
+/**
+ * A message for the webview, before the session adds its id.
+ */
+type SessionMessage = ExtensionToWebviewMessage extends infer M
+  ? M extends { sessionId: string }
+    ? Omit<M, "sessionId">
+    : never
+  : never;
+
+/**
+ * A message sent while the CLI was connecting, held until it is connected,
+ * or one held back for not fitting the context window.
+ */
+interface QueuedMessage {
+  /** Webview id of the user message, for status updates */
+  messageId?: string;
+  text: string;
+  useAgent: boolean;
+  /** Overrides of the `mistral.generation.*` settings for this message */
+  generation?: GenerationParams;
+  /** Id of the earlier user message this one replaces */
+  editOf?: string;
+}
+
+/**
+ * A chat session bound to a workspace folder, or to no folder in an empty window.
+ */
+export class ChatSession implements vscode.Disposable {
+  public readonly client: MistralRpcClient;
+
+  private _fileWatchers = new Map<string, vscode.FileSystemWatcher>();
+  private _activeRequest?: AbortController;
+  /** The active request while it is an agent run, which agent.cancel also stops */
+  private _agentRun?: AbortController;
+  /** Completed turns of the current chat, replayed into a restarted server */
+  private _history: ConversationMessage[] = [];
+  /** Saved conversation the chat belongs to; set once its first turn completes */
+  private _conversationId?: string;
+  /** Tool calls and token usage of the request in flight, saved with its reply */
+  private _turn: { toolCalls: ToolCallRecord[]; usage?: TokenUsage } = { toolCalls: [] };
+  /** Reopens the conversation shown before the window reloaded */
+  private _resumed: Promise<void>;
+  private _disposables: vscode.Disposable[] = [];
+  /** Messages waiting for the connection, oldest first */
+  private _queue: QueuedMessage[] = [];
+  private _flushingQueue = false;
+  /** Set between the client's "reconnecting" and "reconnected"/"reconnectFailed" */
+  private _reconnecting = false;
+  /** Model in use and its context window, from model.get */
+  private _model = "";
+  private _contextWindow = DEFAULT_CONTEXT_WINDOW;
+  /** Models the CLI offers, from model.list */
+  private _models: ModelInfo[] = FALLBACK_MODELS;
+  /** Last model the CLI rejected, so the warning is not repeated on reconnect */
+  private _rejectedModel?: string;
+  private _onDidChangeModel = new vscode.EventEmitter<void>();
+  private _onDidChangeConversation = new vscode.EventEmitter<void>();
+  /** Message over the token budget, waiting for the user to make room */
+  private _overBudget?: QueuedMessage;
+  /** The active request while it asks for a summary to make room for that message */
+  private _summarizing?: AbortController;
+
+  constructor(
+    public readonly id: string,
+    public readonly label: string,
+    public readonly folder: vscode.WorkspaceFolder | undefined,
+    /** Session of the folder's first tab; the folder's tabs share its saved conversations */
+    public readonly folderId: string,
+    private readonly _context: vscode.ExtensionContext,
+    private readonly _store: ConversationStore,
+    private readonly _post: (message: ExtensionToWebviewMessage) => void
+  ) {
+    this.client = new MistralRpcClient(this._getClientConfig());
+    this._setupClientEvents();
+
+    // Registered before connecting so they are advertised on initialize
+    this._registerRequestHandlers();
+
+    this._disposables.push(
+      this._store.onDidChange(() => {
+        // Deleted from another tab of the folder
+        if (this._conversationId !== undefined && !this._store.has(this._conversationId)) {
+          this.newChat();
+        } else {
+          this.postConversations();
+        }
+      })
+    );
+    this._resumed = this._resumeConversation();
+  }
+
+  /**
+   * Fires when the model in use or the model catalog changes.
+   */
+  public readonly onDidChangeModel = this._onDidChangeModel.event;
+
+  /**
+   * Fires when the chat shown or the saved conversations change, e.g. to
+   * retitle the tab.
+   */
+  public readonly onDidChangeConversation = this._onDidChangeConversation.event;
+
+  /**
+   * The saved conversation shown, if the chat has been saved.
+   */
+  public get conversationId(): string | undefined {
+    return this._conversationId;
+  }
+
+  /**
+   * Title of the chat shown, for its tab.
+   */
+  public get title(): string {
+    return (
+      this._store.list(this.folderId).find((c) => c.id === this._conversationId)?.title ??
+      "New chat"
+    );
+  }
+
+  /**
+   * Model in use, or "" before the CLI has reported one.
+   */
+  public get model(): string {
+    return this._model;
+  }
+
+  /**
+   * Models the CLI offers.
+   */
+  public get models(): ModelInfo[] {
+    return this._models;
+  }
+
+  /**
+   * Whether a file belongs to this session's folder.
+   */
+  public contains(filePath: string): boolean {
+    return (
+      this.folder !== undefined &&
+      vscode.workspace.getWorkspaceFolder(vscode.Uri.file(filePath))?.uri.toString() ===
+        this.folder.uri.toString()
+    );
+  }
+
+  /**
+   * Connect if not connected yet; failures are reported to the webview.
+   */
+  public async ensureConnected(): Promise<void> {
+    if (this.client.isConnected) {
+      return;
+    }
+
+    try {
+      await this._resumed;
+      await this.client.connect();
+      this._postMessage({ type: "connected" });
+      this._postCapabilities();
+      await this._useConfiguredModel();
+      // A reopened conversation continues where it left off
+      if (this._history.length > 0) {
+        await this.client
+          .setHistory(toChatTurns(this._history))
+          .catch((error) => console.error("Failed to restore chat history:", error));
+      }
+    } catch (error) {
+      console.error(`Failed to connect to Mistral for ${this.label}:`, error);
+      this._postMessage({ type: "connectionError", error: String(error) });
+      this._failQueue("Could not connect to Mistral");
+      return;
+    }
+
+    await this._flushQueue();
+  }
+
+  /**
+   * Re-send connection state, capabilities, context files and the chat, e.g.
+   * after the webview reloaded.
+   */
+  public postState(): void {
+    this._postMessage({ type: "connectionState", state: this.client.state });
+    this._postCapabilities();
+    if (this._model) {
+      this._postModelInfo();
+    }
+    this._updateContextList().catch((error) =>
+      console.error("Failed to refresh context list:", error)
+    );
+    this.postConversations();
+    this._postConversation();
+  }
+
+  /**
+   * Tell the webview which conversations are saved and which one is shown.
+   */
+  public postConversations(): void {
+    this._postMessage({
+      type: "conversations",
+      conversations: this._store.list(this.folderId),
+      activeConversationId: this._conversationId,
+    });
+    this._onDidChangeConversation.fire();
+  }
+
+  /**
+   * Start a new chat in this session. The current one stays in the history.
+   */
+  public newChat(): void {
+    // A reply still on its way belongs to the chat being left
+    this.cancel().catch((error) => console.error("Failed to cancel agent run:", error));
+    this._history = [];
+    this._conversationId = undefined;
+    this._store.setActive(this.id, undefined);
+    this.postConversations();
+    this._queue = [];
+    this._overBudget = undefined;
+    if (this.client.isConnected) {
+      this.client.clearContext(true, true).catch((error) =>
+        console.error("Failed to clear server session:", error)
+      );
+    }
+    this._postMessage({ type: "clearChat" });
+  }
+
+  /**
+   * Add a file to the context. Resolves to whether it was added.
+   */
+  public async addFileToContext(filePath: string): Promise<boolean> {
+    if (!this.client.isConnected) {
+      vscode.window.showWarningMessage("Mistral is not connected");
+      return false;
+    }
+
+    if (!this.client.supports("context")) {
+      vscode.window.showWarningMessage("The connected Mistral CLI does not support context files");
+      return false;
+    }
+
+    try {
+      const result = await this.client.addContext(filePath);
+      if (result.success) {
+        // Set up file watcher
+        this._watchFile(filePath);
+        // Notify webview
+        await this._updateContextList();
+        return true;
+      }
+      vscode.window.showWarningMessage(result.message);
+    } catch (error) {
+      vscode.window.showErrorMessage(`Failed to add file: ${error}`);
+    }
+    return false;
+  }
+
+  /**
+   * Clear all context files.
+   */
+  public async clearContext(): Promise<void> {
+    if (!this.client.isConnected) {
+      return;
+    }
+
+    try {
+      await this.client.clearContext(true, false);
+      this._fileWatchers.forEach((w) => w.dispose());
+      this._fileWatchers.clear();
+      await this._updateContextList();
+    } catch (error) {
+      vscode.window.showErrorMessage(`Failed to clear context: ${error}`);
+    }
+  }
+
+  public async removeFileFromContext(filePath: string): Promise<void> {
+    if (!this.client.isConnected) {
+      return;
+    }
+
+    try {
+      await this.client.removeContext(filePath);
+      this._unwatchFile(filePath);
+      await this._updateContextList();
+    } catch (error) {
+      vscode.window.showErrorMessage(`Failed to remove file: ${error}`);
+    }
+  }
+
+  /**
+   * Send a chat or agent message. While the CLI is connecting or reconnecting,
+   * and behind messages already waiting, it is queued and sent once connected.
+   * @param messageId - Webview id of the user message, for queue status updates
+   * @param generation - Overrides of the `mistral.generation.*` settings
+   */
+  public async sendMessage(
+    text: string,
+    useAgent: boolean,
+    messageId?: string,
+    generation?: GenerationParams,
+    editOf?: string
+  ): Promise<void> {
+    // A new message replaces one still waiting for room in the context window
+    if (this._overBudget) {
+      this._postStatus(this._overBudget.messageId, "failed");
+      this._overBudget = undefined;
+      this._postMessage({ type: "budgetCleared" });
+    }
+
+    const waiting = this._queue.length > 0 || this._flushingQueue;
+    if (!waiting && this.client.isConnected) {
+      await this._send({ messageId, text, useAgent, generation, editOf });
+      return;
+    }
+
+    if (!waiting && !this._isConnecting()) {
+      this._postMessage({ type: "error", message: "Not connected to Mistral" });
+      this._postStatus(messageId, "failed");
+      return;
+    }
+
+    const maxSize = vscode.workspace
+      .getConfiguration("mistral")
+      .get<number>("offlineQueue.maxSize", 10);
+    if (this._queue.length >= maxSize) {
+      this._postMessage({
+        type: "error",
+        message:
+          maxSize > 0
+            ? `Not connected to Mistral; ${this._queue.length} messages are already waiting to be sent`
+            : "Not connected to Mistral",
+      });
+      this._postStatus(messageId, "failed");
+      return;
+    }
+
+    this._queue.push({ messageId, text, useAgent, generation, editOf });
+    this._postStatus(messageId, "queued");
+    if (this.client.isConnected) {
+      await this._flushQueue();
+    }
+  }
+
+  /**
+   * Drop a queued message before it is sent.
+   */
+  public cancelQueued(messageId: string): void {
+    this._queue = this._queue.filter((queued) => queued.messageId !== messageId);
+  }
+
+  /**
+   * Act on the user's choice for a message held back by the budget check:
+   * send it anyway, drop it, or make room and check it again.
+   */
+  public async resolveBudget(
+    action: ResolveBudgetMessage["action"],
+    filePath?: string
+  ): Promise<void> {
+    const held = this._overBudget;
+    if (!held) {
+      return;
+    }
+
+    // Cancelling also stops a summary that is still being written
+    if (action === "cancel") {
+      this._summarizing?.abort();
+    }
+
+    if (action === "dropFile" && filePath) {
+      await this.removeFileFromContext(filePath);
+    } else if (action === "summarizeFile" && filePath) {
+      await this._summarizeContextFile(filePath, held.editOf);
+    }
+
+    // The user may have sent something else meanwhile
+    if (this._overBudget !== held) {
+      return;
+    }
+    this._overBudget = undefined;
+    this._postMessage({ type: "budgetCleared" });
+
+    if (action === "cancel") {
+      this._postStatus(held.messageId, "failed");
+      // Show the versions the edit would have branched from again
+      if (held.editOf !== undefined) {
+        this._postConversation();
+      }
+    } else {
+      await this._send(held, action !== "sendAnyway");
+    }
+    await this._flushQueue();
+  }
+
+  /**
+   * @param checkBudget - Hold the message back if it does not fit the context window
+   */
+  private async _send(message: QueuedMessage, checkBudget = true): Promise<void> {
+    const { text, useAgent } = message;
+    if (useAgent && !this.client.supports("tools")) {
+      this._postMessage({
+        type: "error",
+        message: "The connected Mistral CLI does not support agent mode",
+      });
+      return;
+    }
+
+    // An edit continues the chat from the turns before the message it replaces
+    const editIndex =
+      message.editOf !== undefined ? this._history.findIndex((m) => m.id === message.editOf) : -1;
+    if (message.editOf !== undefined && editIndex === -1) {
+      this._postMessage({ type: "error", message: "The edited message is no longer in this chat" });
+      this._postStatus(message.messageId, "failed");
+      return;
+    }
+    const history = editIndex === -1 ? this._history : this._history.slice(0, editIndex);
+
+    const controller = new AbortController();
+    this._activeRequest = controller;
+    this._agentRun = useAgent ? controller : undefined;
+    this._turn = { toolCalls: [] };
+    const sentAt = Date.now();
+
+    try {
+      // Get context files
+      let files: ContextFile[] = [];
+      if (this.client.supports("context")) {
+        const contextResult = await this.client.listContext({ signal: controller.signal });
+        files = contextResult.files;
+      }
+
+      if (checkBudget && !(await this._fitsBudget(message, history, files, controller.signal))) {
+        return;
+      }
+      if (editIndex !== -1) {
+        await this.client.setHistory(toChatTurns(history), { signal: controller.signal });
+      }
+
+      const contextFiles = files.map((f) => f.path);
+      const generation = resolveGeneration(message.generation);
+      const options = {
+        signal: controller.signal,
+        onEvent: (event: RpcStreamEvent) => this._postStreamEvent(event),
+      };
+      const result = useAgent
+        ? await this.client.agentRun(text, contextFiles, false, generation, options)
+        : await this.client.chat(text, contextFiles, generation, options);
+
+      // Without streaming there are no content.done notifications to finish the turn
+      if (!this.client.supports("streaming")) {
+        this._postMessage({ type: "contentDone", fullText: result.content });
+      }
+
+      this._recordTurn(message, result.content, sentAt, editIndex);
+    } catch (error) {
+      // Back to the version the edit would have replaced
+      if (editIndex !== -1) {
+        this._postConversation();
+        this._restoreHistory();
+      }
+      // The user stopped this request; the webview has already reset its state
+      if (!controller.signal.aborted) {
+        this._postMessage({ type: "error", message: String(error) });
+      }
+    } finally {
+      if (this._activeRequest === controller) {
+        this._activeRequest = undefined;
+      }
+      if (this._agentRun === controller) {
+        this._agentRun = undefined;
+      }
+    }
+  }
+
+  /**
+   * Replace the chat with a saved conversation, and the server's history with
+   * its turns.
+   */
+  public async openConversation(conversationId: string): Promise<void> {
+    if (conversationId === this._conversationId) {
+      return;
+    }
+    if (this._activeRequest) {
+      this._postMessage({
+        type: "error",
+        message: "Wait for the reply to finish, or stop it, before opening another chat",
+      });
+      return;
+    }
+
+    const messages = await this._store.load(conversationId);
+    if (!messages) {
+      this._postMessage({ type: "error", message: "This chat could not be loaded" });
+      return;
+    }
+
+    if (this._overBudget) {
+      this._postStatus(this._overBudget.messageId, "failed");
+      this._overBudget = undefined;
+    }
+    this._queue = [];
+    this._history = messages;
+    this._conversationId = conversationId;
+    this._store.setActive(this.id, conversationId);
+    this._postConversation();
+    this.postConversations();
+    await this._restoreHistory();
+  }
+
+  /**
+   * Show another version of the chat from an edited user message on.
+   * @param branch - Position of the version among all versions of the message
+   */
+  public async switchBranch(messageId: string, branch: number): Promise<void> {
+    if (this._activeRequest) {
+      this._postMessage({
+        type: "error",
+        message: "Wait for the reply to finish, or stop it, before switching versions",
+      });
+      return;
+    }
+    const index = this._history.findIndex((m) => m.id === messageId);
+    const versions = index === -1 ? [] : branchVersions(this._history, index);
+    if (branch >= versions.length) {
+      return;
+    }
+
+    this._history = showVersion(this._history, index, versions, branch);
+    this._postConversation();
+    this._saveConversation();
+    await this._restoreHistory();
+  }
+
+  /**
+   * Replace the last reply with a new answer to the same user message. The
+   * old reply stays selectable as a candidate.
+   */
+  public async regenerate(): Promise<void> {
+    const prompt = this._history[this._history.length - 2];
+    const last = this._history[this._history.length - 1];
+    const problem =
+      last?.role !== "assistant" || prompt?.role !== "user"
+        ? "There is no reply to regenerate"
+        : this._activeRequest
+          ? "Wait for the reply to finish, or stop it, before regenerating"
+          : !this.client.isConnected
+            ? "Not connected to Mistral"
+            : undefined;
+    if (problem) {
+      // The webview hid the reply; show it again
+      this._postConversation();
+      this._postMessage({ type: "error", message: problem });
+      return;
+    }
+
+    const controller = new AbortController();
+    this._activeRequest = controller;
+    this._turn = { toolCalls: [] };
+
+    try {
+      const files = this.client.supports("context")
+        ? (await this.client.listContext({ signal: controller.signal })).files
+        : [];
+      const contextFiles = files.map((f) => f.path);
+      // With the overrides the prompt was sent with, e.g. a temperature of 0
+      const generation = resolveGeneration(prompt.generation);
+      const options = {
+        signal: controller.signal,
+        onEvent: (event: RpcStreamEvent) => this._postStreamEvent(event),
+      };
+
+      let result: { content: string };
+      if (this.client.supports("regenerate")) {
+        result = await this.client.regenerate(contextFiles, generation, options);
+      } else {
+        // Without chat.regenerate, ask again from the turns before the prompt
+        await this.client.setHistory(toChatTurns(this._history.slice(0, -2)), options);
+        result = await this.client.chat(prompt.content, contextFiles, generation, options);
+      }
+
+      if (!this.client.supports("streaming")) {
+        this._postMessage({ type: "contentDone", fullText: result.content });
+      }
+
+      const candidates = [...replyCandidates(last), this._replyMessage(result.content)];
+      this._history = [
+        ...this._history.slice(0, -1),
+        showCandidate(candidates, candidates.length - 1),
+      ];
+      this._saveConversation();
+      this._postConversation();
+    } catch (error) {
+      // Back to the reply that was to be replaced
+      this._postConversation();
+      this._restoreHistory();
+      if (!controller.signal.aborted) {
+        this._postMessage({ type: "error", message: String(error) });
+      }
+    } finally {
+      if (this._activeRequest === controller) {
+        this._activeRequest = undefined;
+      }
+    }
+  }
+
+  /**
+   * Show another generated reply in place of an assistant message.
+   * @param candidate - Position of the reply among all replies to its user message
+   */
+  public async switchCandidate(messageId: string, candidate: number): Promise<void> {
+    if (this._activeRequest) {
+      this._postMessage({
+        type: "error",
+        message: "Wait for the reply to finish, or stop it, before switching replies",
+      });
+      return;
+    }
+    const index = this._history.findIndex((m) => m.id === messageId);
+    const candidates = index === -1 ? [] : replyCandidates(this._history[index]);
+    if (candidate >= candidates.length) {
+      return;
+    }
+
+    this._history = this._history.map((message, i) =>
+      i === index ? showCandidate(candidates, candidate) : message
+    );
+    this._postConversation();
+    this._saveConversation();
+    await this._restoreHistory();
+  }
+
+  /**
+   * The chat for exporting, or undefined while it has no messages.
+   */
+  public toChatExport(): ChatExport | undefined {
+    if (this._history.length === 0) {
+      return undefined;
+    }
+    const title =
+      this._store.list(this.folderId).find((c) => c.id === this._conversationId)?.title ??
+      titleFor(this._history.find((m) => m.role === "user")?.content ?? "");
+    return toChatExport(title, [...this._history], this._model);
+  }
+
+  /**
+   * Save an exported chat as a new conversation and open it.
+   */
+  public async importChat(chat: ChatExport): Promise<void> {
+    const conversationId = randomUUID();
+    await this._store.save(conversationId, this.folderId, chat.messages, chat.title);
+    await this.openConversation(conversationId);
+  }
+
+  public async renameConversation(conversationId: string, title: string): Promise<void> {
+    await this._store.rename(conversationId, title);
+  }
+
+  /**
+   * Delete a saved conversation after asking; deleting the open one starts a new chat.
+   */
+  public async deleteConversation(conversationId: string): Promise<void> {
+    const title = this._store.list(this.folderId).find((c) => c.id === conversationId)?.title;
+    if (title === undefined) {
+      return;
+    }
+    const choice = await vscode.window.showWarningMessage(
+      `Delete the chat "${title}"?`,
+      { modal: true },
+      "Delete"
+    );
+    if (choice !== "Delete") {
+      return;
+    }
+
+    await this._store.delete(conversationId);
+    if (conversationId === this._conversationId) {
+      this.newChat();
+    }
+  }
+
+  public async searchConversations(query: string): Promise<void> {
+    const conversationIds = query.trim() ? await this._store.search(this.folderId, query) : [];
+    this._postMessage({ type: "conversationSearchResults", query, conversationIds });
+  }
+
+  public async confirmTool(toolCallId: string, approved: boolean): Promise<void> {
+    const call = this._turn.toolCalls.find((c) => c.id === toolCallId);
+    if (call) {
+      call.approved = approved;
+    }
+    await this.client.agentConfirm(toolCallId, approved);
+  }
+
+  /**
+   * Drop the in-flight request; an agent run is also stopped with agent.cancel.
+   */
+  public async cancel(): Promise<void> {
+    const agentRun = this._agentRun !== undefined && this._agentRun === this._activeRequest;
+    this._activeRequest?.abort();
+    if (agentRun && this.client.isConnected) {
+      await this.client.agentCancel();
+    }
+  }
+
+  /**
+   * Apply changed `mistral.*` settings.
+   */
+  public applyConfig(): void {
+    const config = vscode.workspace.getConfiguration("mistral");
+    const model = config.get<string>("model", "mistral-small");
+
+    if (this.client.isConnected) {
+      this._useConfiguredModel().catch((error) => console.error("Failed to set model:", error));
+    }
+    const clientConfig = this._getClientConfig();
+    this.client.setTimeouts(clientConfig);
+    this.client.setHealthCheck(clientConfig);
+    this._postMessage({ type: "configChanged", model });
+  }
+
+  public dispose(): void {
+    this._queue = [];
+    this._overBudget = undefined;
+    this._activeRequest?.abort();
+    this.client.disconnect();
+    this.client.removeAllListeners();
+    this._fileWatchers.forEach((watcher) => watcher.dispose());
+    this._fileWatchers.clear();
+    this._onDidChangeModel.dispose();
+    this._onDidChangeConversation.dispose();
+    this._disposables.forEach((d) => d.dispose());
+    this._disposables = [];
+  }
+
+  /**
+   * Build the RPC client configuration from `mistral.*` settings.
+   */
+  private _getClientConfig(): RpcClientConfig {
+    const config = vscode.workspace.getConfiguration("mistral");
+    const timeouts = vscode.workspace.getConfiguration("mistral.timeout");
+    const contextTimeout = timeouts.get<number>("context", 10000);
+    const healthCheck = vscode.workspace.getConfiguration("mistral.healthCheck");
+
+    const { cli, endpoint } = resolveCliCommand(this.folder);
+
+    return {
+      cli,
+      endpoint,
+      framing: config.get<"auto" | "content-length" | "newline">("framing", "auto"),
+      clientInfo: {
+        name: "mistral-vscode",
+        version: this._context.extension.packageJSON.version,
+      },
+      timeout: timeouts.get<number>("default", 30000),
+      methodTimeouts: {
+        chat: timeouts.get<number>("chat", 60000),
+        "agent.run": timeouts.get<number>("agent", 300000),
+        "context.add": contextTimeout,
+        "context.remove": contextTimeout,
+        "context.list": contextTimeout,
+        "context.clear": contextTimeout,
+      },
+      healthCheckInterval: healthCheck.get<number>("interval", 15000),
+      healthCheckTimeout: healthCheck.get<number>("timeout", 5000),
+      maxMissedHealthChecks: healthCheck.get<number>("maxMissed", 2),
+    };
+  }
+
+  private _setupClientEvents(): void {
+    const client = this.client;
+
+    // Connection state changes
+    client.on("stateChange", (state: ConnectionState) => {
+      this._postMessage({ type: "connectionState", state });
+    });
+
+    client.on("reconnecting", (info: { attempt: number; delay: number }) => {
+      this._reconnecting = true;
+      this._postMessage({
+        type: "reconnecting",
+        attempt: info.attempt,
+        delay: info.delay,
+      });
+    });
+
+    client.on("reconnected", async () => {
+      this._reconnecting = false;
+      await this._restoreSession();
+      this._postMessage({ type: "reconnected" });
+      this._postCapabilities();
+      vscode.window.showInformationMessage(`Reconnected to Mistral (${this.label})`);
+      await this._flushQueue();
+    });
+
+    client.on(
+      "incompatibleServer",
+      (info: { serverVersion: string; clientVersion: string }) => {
+        vscode.window.showErrorMessage(
+          `Mistral CLI speaks protocol ${info.serverVersion}, but this extension ` +
+            `requires ${info.clientVersion}. Update mistral-cli or the extension.`
+        );
+      }
+    );
+
+    client.on("unresponsive", () => {
+      vscode.window.showWarningMessage(
+        `Mistral CLI for ${this.label} stopped responding. Restarting it...`
+      );
+    });
+
+    // Offered once per crash loop; the reconnect attempts go on meanwhile
+    client.on("crashed", (info: { recentCrashes: number }) => {
+      if (info.recentCrashes === CRASH_LOOP_THRESHOLD) {
+        const minutes = CRASH_WINDOW_MS / 60000;
+        this._offerCrashReport(
+          `Mistral CLI for ${this.label} crashed ${info.recentCrashes} times in ${minutes} minutes.`,
+          `${info.recentCrashes} unexpected exits within ${minutes} minutes`
+        );
+      }
+    });
+
+    client.on("reconnectFailed", () => {
+      this._reconnecting = false;
+      this._postMessage({ type: "reconnectFailed" });
+      this._failQueue("Could not reconnect to Mistral");
+      this._offerCrashReport(
+        `Failed to reconnect to Mistral (${this.label}). Please restart VS Code.`,
+        "Reconnecting failed"
+      );
+    });
+
+    // Streaming events tagged with a request id reach the webview through the
+    // onEvent of the request that produced them. Others, e.g. the reply to an
+    // agent.cancel, are not part of the chat. Untagged ones come from servers
+    // that do not tag their notifications.
+    for (const method of STREAM_EVENTS) {
+      client.on(method, (params: NotificationScope) => {
+        if (params.request_id === undefined && !this._summarizing) {
+          this._postStreamEvent({ method, params } as RpcStreamEvent);
+        }
+      });
+    }
+  }
+
+  /**
+   * Show a streaming event of the active request in the webview.
+   */
+  private _postStreamEvent(event: RpcStreamEvent): void {
+    const requestId = event.params.request_id;
+    switch (event.method) {
+      case "content.delta":
+        this._postMessage({ type: "contentDelta", text: event.params.text, requestId });
+        break;
+
+      case "content.done":
+        this._postMessage({ type: "contentDone", fullText: event.params.full_text, requestId });
+        break;
+
+      case "thinking.update":
+        this._postMessage({ type: "thinkingUpdate", thought: event.params.thought, requestId });
+        break;
+
+      case "tool.pending":
+        this._turn.toolCalls.push({
+          id: event.params.tool_call_id,
+          tool: event.params.tool,
+          arguments: event.params.arguments,
+        });
+        this._postMessage({
+          type: "toolPending",
+          toolCallId: event.params.tool_call_id,
+          tool: event.params.tool,
+          arguments: event.params.arguments,
+          requestId,
+        });
+        break;
+
+      case "tool.result": {
+        const call = this._turn.toolCalls.find((c) => c.id === event.params.tool_call_id);
+        if (call) {
+          call.success = event.params.success;
+          call.output = event.params.output;
+        }
+        this._postMessage({
+          type: "toolResult",
+          toolCallId: event.params.tool_call_id,
+          success: event.params.success,
+          output: event.params.output,
+          requestId,
+        });
+        break;
+      }
+
+      case "token.usage":
+        this._turn.usage = {
+          prompt: event.params.prompt,
+          completion: event.params.completion,
+          total: event.params.total,
+        };
+        this._postMessage({
+          type: "tokenUsage",
+          prompt: event.params.prompt,
+          completion: event.params.completion,
+          total: event.params.total,
+          requestId,
+        });
+        break;
+
+      case "error":
+        this._postMessage({
+          type: "error",
+          code: event.params.code,
+          message: event.params.message,
+          requestId,
+        });
+        break;
+    }
+  }
+
+  /**
+   * Switch the CLI to the model in `mistral.model`. A model the CLI rejects
+   * is reported with a way to pick another, and the CLI keeps its current one.
+   */
+  private async _useConfiguredModel(): Promise<void> {
+    const model = vscode.workspace.getConfiguration("mistral").get<string>("model", "mistral-small");
+
+    try {
+      await this.client.setModel(model);
+      this._rejectedModel = undefined;
+    } catch (error) {
+      if (!(error instanceof RpcError)) {
+        throw error;
+      }
+      if (this._rejectedModel !== model) {
+        this._rejectedModel = model;
+        vscode.window
+          .showWarningMessage(
+            `Mistral CLI for ${this.label} rejected model "${model}": ${error.rawMessage}`,
+            SELECT_MODEL
+          )
+          .then((action) => {
+            if (action === SELECT_MODEL) {
+              vscode.commands.executeCommand("mistral.selectModel");
+            }
+          });
+      }
+    }
+
+    await this._updateModelInfo();
+  }
+
+  /**
+   * Add a completed turn to the history and save the conversation.
+   * @param message - The user's message, kept with its generation overrides
+   * @param sentAt - When the user's message was sent
+   * @param editIndex - Position of the user message the turn replaces, as a
+   *   new version next to the old one; -1 to add it at the end
+   */
+  private _recordTurn(
+    message: QueuedMessage,
+    reply: string,
+    sentAt: number,
+    editIndex = -1
+  ): void {
+    const { messageId = randomUUID(), text, generation } = message;
+    const turn: ConversationMessage[] = [
+      {
+        id: messageId,
+        role: "user",
+        content: text,
+        timestamp: sentAt,
+        ...(generation && Object.keys(generation).length > 0 && { generation }),
+      },
+      this._replyMessage(reply),
+    ];
+
+    if (editIndex === -1) {
+      this._history.push(...turn);
+    } else {
+      const versions = branchVersions(this._history, editIndex);
+      this._history = showVersion(this._history, editIndex, [...versions, turn], versions.length);
+    }
+
+    this._startConversation();
+    this._saveConversation();
+    // The webview learns the new version's number, and a chat open in both
+    // the sidebar and the editor shows the turn in the one that did not send
+    // it. Queued messages are only in the sender's view until they are sent.
+    if (editIndex !== -1 || this._queue.length === 0) {
+      this._postConversation();
+    }
+  }
+
+  /**
+   * The assistant message for a finished request, with its tool calls and
+   * token usage.
+   */
+  private _replyMessage(content: string): ConversationMessage {
+    const { toolCalls, usage } = this._turn;
+    this._turn = { toolCalls: [] };
+    return {
+      id: randomUUID(),
+      role: "assistant",
+      content,
+      timestamp: Date.now(),
+      ...(this._model ? { model: this._model } : {}),
+      ...(toolCalls.length > 0 ? { toolCalls } : {}),
+      ...(usage ? { usage } : {}),
+    };
+  }
+
+  private _saveConversation(): void {
+    if (this._conversationId === undefined) {
+      return;
+    }
+    this._store
+      .save(this._conversationId, this.folderId, [...this._history])
+      .catch((error) => console.error("Failed to save conversation:", error));
+  }
+
+  /**
+   * Replace the CLI's history with the chat's turns.
+   */
+  private async _restoreHistory(): Promise<void> {
+    if (!this.client.isConnected) {
+      return;
+    }
+    try {
+      await this.client.setHistory(toChatTurns(this._history));
+    } catch (error) {
+      this._postMessage({
+        type: "error",
+        message: `Failed to restore the chat in the Mistral CLI: ${error}`,
+      });
+    }
+  }
+
+  /**
+   * Reopen the conversation the session showed last, e.g. before a window reload.
+   */
+  private async _resumeConversation(): Promise<void> {
+    const id = this._store.getActive(this.id);
+    const messages = id !== undefined ? await this._store.load(id) : undefined;
+    if (id === undefined || !messages) {
+      return;
+    }
+    this._history = messages;
+    this._conversationId = id;
+    this._postConversation();
+    this.postConversations();
+  }
+
+  /**
+   * Show the saved conversation's messages, with ids to edit them by.
+   */
+  private _postConversation(): void {
+    if (this._conversationId === undefined) {
+      return;
+    }
+    for (const message of this._history) {
+      message.id ??= randomUUID();
+    }
+    this._postMessage({
+      type: "conversationOpened",
+      conversationId: this._conversationId,
+      messages: this._history,
+    });
+  }
+
+  /**
+   * Read the model, its context window and the model catalog from the CLI
+   * and tell the webview.
+   */
+  private async _updateModelInfo(): Promise<void> {
+    const info = await this.client.getModel();
+    this._models = await loadModels(this.client);
+    this._model = info.model;
+    this._contextWindow = contextWindowFor(info.model, info.context_window, this._models);
+    this._postModelInfo();
+    this._onDidChangeModel.fire();
+  }
+
+  private _postModelInfo(): void {
+    this._postMessage({
+      type: "modelInfo",
+      model: this._model,
+      contextWindow: this._contextWindow,
+      models: this._models,
+    });
+  }
+
+  /**
+   * Check a message against the context window, less the tokens kept for the
+   * reply. One that does not fit is held, and the webview asks the user to
+   * drop or summarize context files, or to send it anyway.
+   * @param history - Turns the message follows
+   */
+  private async _fitsBudget(
+    message: QueuedMessage,
+    history: ConversationMessage[],
+    files: ContextFile[],
+    signal: AbortSignal
+  ): Promise<boolean> {
+    const config = vscode.workspace.getConfiguration("mistral.contextBudget");
+    if (!config.get<boolean>("enabled", true)) {
+      return true;
+    }
+
+    // A reply capped by max_tokens needs no more room than that
+    const replyTokens =
+      resolveGeneration(message.generation).max_tokens ?? config.get<number>("replyTokens", 2048);
+    const limit = Math.max(0, this._contextWindow - replyTokens);
+    // An edit continues from earlier turns than the CLI holds until it is sent
+    const serverHistory = message.editOf === undefined;
+    const budget = await measureBudget(
+      this.client,
+      message.text,
+      history,
+      serverHistory,
+      files,
+      limit,
+      { signal }
+    );
+    if (budget.total <= budget.limit) {
+      return true;
+    }
+
+    this._overBudget = message;
+    this._postMessage({
+      type: "budgetWarning",
+      messageId: message.messageId,
+      model: this._model,
+      ...budget,
+      files,
+    });
+    return false;
+  }
+
+  /**
+   * Give the chat an id the first time it is saved.
+   */
+  private _startConversation(): void {
+    if (this._conversationId === undefined) {
+      this._conversationId = randomUUID();
+      this._store.setActive(this.id, this._conversationId);
+    }
+  }
+
+  /**
+   * Swap a context file for a summary: ask for one with only that file
+   * attached, keep it in the history, and remove the file from the context.
+   * The request is marked as generated, since the user did not type it, and
+   * its reply is not streamed into the chat.
+   * @param before - Id of an edited user message held back by the budget
+   *   check; the summary goes before it, where the edit continues the chat
+   */
+  private async _summarizeContextFile(filePath: string, before?: string): Promise<void> {
+    const name = vscode.workspace.asRelativePath(filePath);
+    if (this._activeRequest) {
+      this._postMessage({
+        type: "error",
+        message: `Wait for the reply to finish, or stop it, before summarizing ${name}`,
+      });
+      return;
+    }
+    const prompt =
+      `Summarize ${name} for later questions about it: its purpose, its main types ` +
+      "and functions, and what is needed to change it. Do not repeat the code.";
+
+    const controller = new AbortController();
+    this._activeRequest = controller;
+    this._summarizing = controller;
+    let usage: TokenUsage | undefined;
+
+    try {
+      const sentAt = Date.now();
+      const result = await this.client.chat(prompt, [filePath], resolveGeneration(), {
+        signal: controller.signal,
+        onEvent: (event) => {
+          if (event.method === "token.usage") {
+            const { prompt, completion, total } = event.params;
+            usage = { prompt, completion, total };
+          }
+        },
+      });
+      const summary: ConversationMessage[] = [
+        { id: randomUUID(), role: "user", content: prompt, timestamp: sentAt, generated: true },
+        {
+          id: randomUUID(),
+          role: "assistant",
+          content: result.content,
+          timestamp: Date.now(),
+          ...(this._model ? { model: this._model } : {}),
+          ...(usage ? { usage } : {}),
+        },
+      ];
+      const index = before !== undefined ? this._history.findIndex((m) => m.id === before) : -1;
+      this._history.splice(index === -1 ? this._history.length : index, 0, ...summary);
+      this._startConversation();
+      this._saveConversation();
+      await this.removeFileFromContext(filePath);
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        this._postMessage({ type: "error", message: `Failed to summarize ${name}: ${error}` });
+      }
+    } finally {
+      this._summarizing = undefined;
+      if (this._activeRequest === controller) {
+        this._activeRequest = undefined;
+      }
+    }
+  }
+
+  private async _updateContextList(): Promise<void> {
+    if (!this.client.isConnected || !this.client.supports("context")) {
+      return;
+    }
+
+    const result = await this.client.listContext();
+    this._postMessage({
+      type: "contextUpdated",
+      files: result.files,
+      totalTokens: result.total_tokens,
+    });
+  }
+
+  private _watchFile(filePath: string): void {
+    if (this._fileWatchers.has(filePath)) {
+      return;
+    }
+
+    const watcher = vscode.workspace.createFileSystemWatcher(filePath);
+
+    watcher.onDidChange(() => {
+      this._postMessage({
+        type: "fileChanged",
+        filePath,
+      });
+    });
+
+    watcher.onDidDelete(() => {
+      this.removeFileFromContext(filePath);
+    });
+
+    this._fileWatchers.set(filePath, watcher);
+  }
+
+  private _unwatchFile(filePath: string): void {
+    const watcher = this._fileWatchers.get(filePath);
+    if (watcher) {
+      watcher.dispose();
+      this._fileWatchers.delete(filePath);
+    }
+  }
+
+  /**
+   * Answer requests the CLI sends to the editor.
+   */
+  private _registerRequestHandlers(): void {
+    // Current text of a file, including unsaved edits if it is open. Only
+    // files in the session's folder or already open may be read.
+    this.client.onRequest("editor.readBuffer", async (params) => {
+      const document = await vscode.workspace.openTextDocument(
+        this._resolveServerPath(params.file_path)
+      );
+      return {
+        content: document.getText(),
+        is_dirty: document.isDirty,
+        language_id: document.languageId,
+      };
+    });
+
+    // Let the user choose; selected is null if the pick was dismissed
+    this.client.onRequest("editor.quickPick", async (params) => {
+      const { items, title } = params;
+
+      if (params.can_pick_many === true) {
+        const picked = await vscode.window.showQuickPick(items, { title, canPickMany: true });
+        return { selected: picked ?? null };
+      }
+
+      const picked = await vscode.window.showQuickPick(items, { title });
+      return { selected: picked === undefined ? null : [picked] };
+    });
+  }
+
+  /**
+   * Resolve a path from the CLI against the session's folder.
+   * @throws RpcError if the file is outside the folder and not open
+   */
+  private _resolveServerPath(filePath: string): vscode.Uri {
+    const openPaths = vscode.workspace.textDocuments
+      .filter((document) => document.uri.scheme === "file")
+      .map((document) => document.uri.fsPath);
+    const resolved = resolveServerPath(filePath, this.folder?.uri.fsPath, openPaths);
+    if (resolved === undefined) {
+      throw new RpcError(
+        -32602,
+        `Not in the ${this.label} folder or open in the editor: ${filePath}`
+      );
+    }
+    return vscode.Uri.file(resolved);
+  }
+
+  /**
+   * Replay model, context files and chat history into a restarted CLI process,
+   * which starts with an empty session.
+   */
+  private async _restoreSession(): Promise<void> {
+    const client = this.client;
+    if (!client.isConnected) {
+      return;
+    }
+
+    const config = vscode.workspace.getConfiguration("mistral");
+
+    try {
+      await this._useConfiguredModel();
+    } catch (error) {
+      console.error("Failed to restore model:", error);
+    }
+
+    if (client.supports("context")) {
+      for (const filePath of [...this._fileWatchers.keys()]) {
+        try {
+          const result = await client.addContext(filePath);
+          if (!result.success) {
+            this._unwatchFile(filePath);
+          }
+        } catch (error) {
+          console.error(`Failed to restore context file ${filePath}:`, error);
+          this._unwatchFile(filePath);
+        }
+      }
+      await this._updateContextList().catch((error) =>
+        console.error("Failed to refresh context list:", error)
+      );
+    }
+
+    if (this._history.length > 0 && config.get<boolean>("restoreHistoryOnReconnect", true)) {
+      try {
+        await client.setHistory(toChatTurns(this._history));
+      } catch (error) {
+        console.error("Failed to restore chat history:", error);
+      }
+    }
+  }
+
+  /**
+   * Whether a connection attempt is under way, so a message can wait for it.
+   */
+  private _isConnecting(): boolean {
+    return this._reconnecting || this.client.state === ConnectionState.Connecting;
+  }
+
+  /**
+   * Send queued messages one at a time, oldest first, while connected.
+   */
+  private async _flushQueue(): Promise<void> {
+    if (this._flushingQueue) {
+      return;
+    }
+
+    this._flushingQueue = true;
+    try {
+      // Stops at a message over budget, to keep the order; resolveBudget resumes
+      while (this.client.isConnected && this._queue.length > 0 && !this._overBudget) {
+        const next = this._queue.shift()!;
+        this._postStatus(next.messageId, "sent");
+        await this._send(next);
+      }
+    } finally {
+      this._flushingQueue = false;
+    }
+  }
+
+  /**
+   * Give up on every queued message, e.g. when reconnecting failed.
+   */
+  private _failQueue(reason: string): void {
+    if (this._queue.length === 0) {
+      return;
+    }
+
+    const dropped = this._queue;
+    this._queue = [];
+    dropped.forEach((queued) => this._postStatus(queued.messageId, "failed"));
+    this._postMessage({
+      type: "error",
+      message: `${reason}; ${dropped.length} queued message${dropped.length === 1 ? " was" : "s were"} not sent`,
+    });
+  }
+
+  private _postStatus(messageId: string | undefined, status: "queued" | "sent" | "failed"): void {
+    if (messageId) {
+      this._postMessage({ type: "messageStatus", messageId, status });
+    }
+  }
+
+  /**
+   * Show an error with "Show Crash Details" and "Copy Diagnostic Report" actions.
+   */
+  private _offerCrashReport(message: string, summary: string): void {
+    offerCrashReport(message, this.client, {
+      session: this.label,
+      summary,
+      extensionVersion: this._context.extension.packageJSON.version,
+    }).catch((error) => console.error("Failed to show crash report:", error));
+  }
+
+  /**
+   * Tell the webview which features the connected server supports.
+   */
+  private _postCapabilities(): void {
+    const info = this.client.serverInfo;
+    if (info) {
+      this._postMessage({
+        type: "capabilities",
+        capabilities: info.capabilities,
+        serverVersion: info.version,
+        protocolVersion: info.protocolVersion,
+      });
+    }
+  }
+
+  private _postMessage(message: SessionMessage): void {
+    this._post({ ...message, sessionId: this.id } as ExtensionToWebviewMessage);
+  }
+}
+
+/**
+ * Turns as the server's history.set expects them, without timestamps.
+ */
+function toChatTurns(messages: ConversationMessage[]): ChatTurn[] {
+  return messages.map(({ role, content }) => ({ role, content }));
+}
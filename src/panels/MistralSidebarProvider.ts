@@ -1,41 +1,73 @@
 /**
  * Mistral Sidebar Provider
  *
- * Implements the WebviewViewProvider for the Mistral chat sidebar.
- * Manages the connection to the CLI server and bridges communication
- * between the webview and the RPC client.
+ * Implements the WebviewViewProvider for the Mistral chat sidebar, and the
+ * same chat in an editor panel. Bridges the webviews and the chat sessions,
+ * tabs of the workspace folders, each with its own CLI connection.
  */
 
 import * as vscode from "vscode";
 import * as path from "path";
-import { ConnectionState, MistralRpcClient, RpcEvents } from "../client/rpc";
-import { SmartApplyService, ApplyPayload } from "../services";
-
-/**
- * Messages sent from the webview to the extension.
- */
-interface WebviewMessage {
-  type: string;
-  [key: string]: unknown;
-}
+import {
+  SmartApplyService,
+  ApplyPayload,
+  RpcLogService,
+  describeModel,
+  readGenerationDefaults,
+  exportChat,
+  pickChatToImport,
+  ChatFormat,
+} from "../services";
+import { ExtensionToWebviewMessage, WebviewToExtensionMessage } from "../protocol/types";
+import { checkWebviewMessage, describeProblems } from "../protocol/validate";
+import { ChatSession } from "./ChatSession";
+import { SessionManager } from "./SessionManager";
 
 /**
  * Provider for the Mistral chat sidebar webview.
  */
 export class MistralSidebarProvider implements vscode.WebviewViewProvider {
   public static readonly viewType = "mistral.chat";
+  public static readonly panelType = "mistral.chatEditor";
 
   private _view?: vscode.WebviewView;
-  private _client?: MistralRpcClient;
+  private _panel?: vscode.WebviewPanel;
+  /** Webview that alone gets the messages posted while it loads */
+  private _postTarget?: vscode.Webview;
+  private _sessions: SessionManager;
   private _smartApply: SmartApplyService;
+  private _rpcLog: RpcLogService;
+  private _modelStatus: vscode.StatusBarItem;
   private _disposables: vscode.Disposable[] = [];
-  private _fileWatchers = new Map<string, vscode.FileSystemWatcher>();
 
   constructor(
     private readonly _extensionUri: vscode.Uri,
     private readonly _context: vscode.ExtensionContext
   ) {
     this._smartApply = new SmartApplyService();
+    this._rpcLog = new RpcLogService();
+    this._sessions = new SessionManager(_context, (message) => this._postMessage(message));
+
+    // The status bar shows the model of the session in the sidebar
+    this._modelStatus = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Right);
+    this._modelStatus.command = "mistral.selectModel";
+    this._updateModelStatus();
+    this._modelStatus.show();
+
+    // The RPC log follows the session shown in the sidebar
+    this._rpcLog.attach(this._sessions.active.client);
+    this._disposables.push(
+      this._modelStatus,
+      this._sessions.onDidChangeActive((session) => {
+        this._rpcLog.attach(session.client);
+        this._updateModelStatus();
+      }),
+      this._sessions.onDidChangeModel((session) => {
+        if (session === this._sessions.active) {
+          this._updateModelStatus();
+        }
+      })
+    );
   }
 
   /**
@@ -48,97 +80,227 @@ export class MistralSidebarProvider implements vscode.WebviewViewProvider {
   ): void {
     this._view = webviewView;
 
-    // Configure webview
     webviewView.webview.options = {
       enableScripts: true,
-      localResourceRoots: [
-        vscode.Uri.joinPath(this._extensionUri, "dist"),
-        vscode.Uri.joinPath(this._extensionUri, "src", "webview", "dist"),
-      ],
+      localResourceRoots: this._localResourceRoots(),
     };
-
-    // Set HTML content
-    webviewView.webview.html = this._getHtmlForWebview(webviewView.webview);
-
-    // Handle messages from webview
-    this._disposables.push(
-      webviewView.webview.onDidReceiveMessage((message: WebviewMessage) => {
-        this._handleWebviewMessage(message);
-      })
-    );
+    this._attachWebview(webviewView.webview);
 
     // Handle webview visibility changes
     this._disposables.push(
       webviewView.onDidChangeVisibility(() => {
         if (webviewView.visible) {
-          this._ensureConnected();
+          this._sessions.active.ensureConnected();
         }
       })
     );
 
     // Initialize connection
-    this._initializeClient();
+    this._sessions.active.ensureConnected();
+  }
+
+  /**
+   * Open the chat in an editor panel, or show the one already open. It shows
+   * the same sessions as the sidebar.
+   */
+  public openChatInEditor(): void {
+    if (this._panel) {
+      this._panel.reveal();
+      return;
+    }
+
+    const panel = vscode.window.createWebviewPanel(
+      MistralSidebarProvider.panelType,
+      "Mistral Chat",
+      vscode.ViewColumn.Active,
+      {
+        enableScripts: true,
+        retainContextWhenHidden: true,
+        localResourceRoots: this._localResourceRoots(),
+      }
+    );
+    panel.iconPath = vscode.Uri.joinPath(this._extensionUri, "resources", "icon.svg");
+    this._panel = panel;
+    const attached = this._attachWebview(panel.webview);
+
+    panel.onDidChangeViewState(() => {
+      if (panel.visible) {
+        this._sessions.active.ensureConnected();
+      }
+    });
+    panel.onDidDispose(() => {
+      attached.dispose();
+      this._panel = undefined;
+    });
+  }
+
+  /**
+   * Start a chat in a new tab of the active session's folder.
+   */
+  public newTab(): void {
+    this._sessions.openTab();
   }
 
   /**
    * Clean up resources.
    */
   public dispose(): void {
-    this._client?.disconnect();
+    this._panel?.dispose();
+    this._sessions.dispose();
     this._smartApply.dispose();
-    this._fileWatchers.forEach((watcher) => watcher.dispose());
-    this._fileWatchers.clear();
+    this._rpcLog.dispose();
     this._disposables.forEach((d) => d.dispose());
     this._disposables = [];
   }
 
   /**
-   * Start a new chat session.
+   * Show the RPC traffic log.
+   */
+  public async showRpcLog(): Promise<void> {
+    await this._rpcLog.show();
+  }
+
+  /**
+   * Export the recorded RPC traffic as JSONL.
+   */
+  public async exportRpcLog(): Promise<void> {
+    await this._rpcLog.exportJsonl();
+  }
+
+  /**
+   * Start a new chat in the active session.
    */
   public newChat(): void {
-    this._client?.clearContext(true, true);
-    this._postMessage({ type: "clearChat" });
+    this._sessions.active.newChat();
   }
 
   /**
-   * Add a file to the context.
+   * Add a file to the context of the session whose folder contains it.
    */
   public async addFileToContext(filePath: string): Promise<void> {
-    if (!this._client?.isConnected) {
-      vscode.window.showWarningMessage("Mistral is not connected");
+    const session = this._sessions.forPath(filePath);
+    await session.ensureConnected();
+    const added = await session.addFileToContext(filePath);
+
+    if (added && session !== this._sessions.active) {
+      vscode.window.showInformationMessage(
+        `Added ${path.basename(filePath)} to the ${session.label} chat`
+      );
+    }
+  }
+
+  /**
+   * Clear all context files of the active session.
+   */
+  public async clearContext(): Promise<void> {
+    await this._sessions.active.clearContext();
+  }
+
+  /**
+   * Let the user pick the session, a chat tab of a folder, shown in the chat.
+   */
+  public async switchSession(): Promise<void> {
+    const sessions = this._sessions.sessions;
+    if (sessions.length < 2) {
+      vscode.window.showInformationMessage("This workspace has a single Mistral chat session");
       return;
     }
 
-    try {
-      const result = await this._client.addContext(filePath);
-      if (result.success) {
-        // Set up file watcher
-        this._watchFile(filePath);
-        // Notify webview
-        await this._updateContextList();
-      } else {
-        vscode.window.showWarningMessage(result.message);
+    const picked = await vscode.window.showQuickPick(
+      sessions.map((session) => ({
+        label: session.label,
+        description: [session.title, session === this._sessions.active ? "active" : undefined]
+          .filter(Boolean)
+          .join(" · "),
+        detail: session.folder?.uri.fsPath,
+        id: session.id,
+      })),
+      { title: "Switch Mistral Chat Session" }
+    );
+    if (picked) {
+      this._sessions.setActive(picked.id);
+    }
+  }
+
+  /**
+   * Set `mistral.model`, picking from the active session's catalog when no
+   * model is given. The setting is changed where it is defined, so a
+   * workspace choice stays in the workspace.
+   */
+  public async selectModel(model?: string): Promise<void> {
+    const session = this._sessions.active;
+
+    if (model === undefined) {
+      const picked = await vscode.window.showQuickPick(
+        session.models.map((info) => ({
+          label: info.id,
+          description: [info.name, info.id === session.model ? "current" : undefined]
+            .filter(Boolean)
+            .join(" · "),
+          detail: describeModel(info) || undefined,
+        })),
+        { title: "Select Mistral Model" }
+      );
+      if (!picked) {
+        return;
       }
-    } catch (error) {
-      vscode.window.showErrorMessage(`Failed to add file: ${error}`);
+      model = picked.label;
     }
+
+    const config = vscode.workspace.getConfiguration("mistral");
+    const target =
+      config.inspect<string>("model")?.workspaceValue !== undefined
+        ? vscode.ConfigurationTarget.Workspace
+        : vscode.ConfigurationTarget.Global;
+    await config.update("model", model, target);
   }
 
   /**
-   * Clear all context files.
+   * Export a session's chat, asking for the format when none is given.
    */
-  public async clearContext(): Promise<void> {
-    if (!this._client?.isConnected) {
+  public async exportChat(
+    format?: ChatFormat,
+    session: ChatSession = this._sessions.active
+  ): Promise<void> {
+    const chat = session.toChatExport();
+    if (!chat) {
+      vscode.window.showInformationMessage("There is no chat to export yet");
       return;
     }
 
+    if (format === undefined) {
+      const picked = await vscode.window.showQuickPick(
+        [
+          { label: "Markdown", description: "to read or share", format: "markdown" as const },
+          { label: "JSON", description: "to import again", format: "json" as const },
+        ],
+        { title: "Export Mistral Chat" }
+      );
+      if (!picked) {
+        return;
+      }
+      format = picked.format;
+    }
+
+    try {
+      await exportChat(chat, format);
+    } catch (error) {
+      vscode.window.showErrorMessage(`Failed to export chat: ${error}`);
+    }
+  }
+
+  /**
+   * Import an exported chat into a session as a new conversation.
+   */
+  public async importChat(session: ChatSession = this._sessions.active): Promise<void> {
     try {
-      await this._client.clearContext(true, false);
-      this._fileWatchers.forEach((w) => w.dispose());
-      this._fileWatchers.clear();
-      await this._updateContextList();
+      const chat = await pickChatToImport();
+      if (chat) {
+        await session.importChat(chat);
+      }
     } catch (error) {
-      vscode.window.showErrorMessage(`Failed to clear context: ${error}`);
+      const reason = error instanceof Error ? error.message : String(error);
+      vscode.window.showErrorMessage(`Failed to import chat: ${reason}`);
     }
   }
 
@@ -146,179 +308,182 @@ export class MistralSidebarProvider implements vscode.WebviewViewProvider {
    * Handle configuration changes.
    */
   public onConfigurationChanged(): void {
-    const config = vscode.workspace.getConfiguration("mistral");
-    const model = config.get<string>("model", "mistral-small");
-
-    this._client?.setModel(model);
-    this._postMessage({ type: "configChanged", model });
+    this._sessions.sessions.forEach((session) => session.applyConfig());
+    this._rpcLog.applyConfig();
+    this._updateModelStatus();
+    this._postGenerationDefaults();
   }
 
   // ===========================================================================
   // Private methods
   // ===========================================================================
 
-  private async _initializeClient(): Promise<void> {
-    const config = vscode.workspace.getConfiguration("mistral");
-    const cliPath = config.get<string>("cliPath") || "mistral";
-
-    this._client = new MistralRpcClient({ cliPath });
-
-    // Set up event listeners
-    this._setupClientEvents();
+  /**
+   * Load the chat into a webview and handle its messages.
+   */
+  private _attachWebview(webview: vscode.Webview): vscode.Disposable {
+    webview.html = this._getHtmlForWebview(webview);
+
+    const subscription = webview.onDidReceiveMessage((message: unknown) => {
+      const problems = checkWebviewMessage("toExtension", message);
+      if (problems.length > 0) {
+        console.error(describeProblems("webview message", problems));
+        return;
+      }
+      this._handleWebviewMessage(message as WebviewToExtensionMessage, webview);
+    });
+    this._disposables.push(subscription);
+    return subscription;
+  }
 
-    // Connect
-    await this._ensureConnected();
+  private _localResourceRoots(): vscode.Uri[] {
+    return [
+      vscode.Uri.joinPath(this._extensionUri, "dist"),
+      vscode.Uri.joinPath(this._extensionUri, "src", "webview", "dist"),
+    ];
   }
 
-  private _setupClientEvents(): void {
-    if (!this._client) {
-      return;
-    }
+  /**
+   * @param source - Webview the message came from
+   */
+  private async _handleWebviewMessage(
+    message: WebviewToExtensionMessage,
+    source: vscode.Webview
+  ): Promise<void> {
+    // Chat messages name the session they belong to
+    const session =
+      ("sessionId" in message && this._sessions.get(message.sessionId)) || this._sessions.active;
 
-    // Connection state changes
-    this._client.on("stateChange", (state: ConnectionState) => {
-      this._postMessage({ type: "connectionState", state });
-    });
+    switch (message.type) {
+      case "ready":
+        // Only the webview that loaded needs the state the other one has
+        this._postTarget = source;
+        try {
+          this._sessions.postSessions();
+          this._postGenerationDefaults();
+          this._sessions.sessions.forEach((s) => s.postState());
+        } finally {
+          this._postTarget = undefined;
+        }
+        await this._sessions.active.ensureConnected();
+        break;
 
-    this._client.on("reconnecting", (info: { attempt: number; delay: number }) => {
-      this._postMessage({
-        type: "reconnecting",
-        attempt: info.attempt,
-        delay: info.delay,
-      });
-    });
+      case "switchSession":
+        this._sessions.setActive(message.sessionId);
+        break;
 
-    this._client.on("reconnected", () => {
-      this._postMessage({ type: "reconnected" });
-      vscode.window.showInformationMessage("Reconnected to Mistral");
-    });
+      case "newTab":
+        this._sessions.openTab(session.folderId);
+        break;
 
-    this._client.on("reconnectFailed", () => {
-      this._postMessage({ type: "reconnectFailed" });
-      vscode.window.showErrorMessage(
-        "Failed to reconnect to Mistral. Please restart VS Code."
-      );
-    });
+      case "closeTab":
+        this._sessions.closeTab(message.sessionId);
+        break;
 
-    // Content streaming
-    this._client.on("content.delta", (params: RpcEvents["content.delta"]) => {
-      this._postMessage({ type: "contentDelta", text: params.text });
-    });
+      case "sendMessage":
+        await session.sendMessage(
+          message.text,
+          message.useAgent,
+          message.messageId,
+          message.generation,
+          message.editOf
+        );
+        break;
 
-    this._client.on("content.done", (params: RpcEvents["content.done"]) => {
-      this._postMessage({ type: "contentDone", fullText: params.full_text });
-    });
+      case "regenerate":
+        await session.regenerate();
+        break;
 
-    // Agent events
-    this._client.on("thinking.update", (params: RpcEvents["thinking.update"]) => {
-      this._postMessage({ type: "thinkingUpdate", thought: params.thought });
-    });
+      case "switchCandidate":
+        await session.switchCandidate(message.messageId, message.candidate);
+        break;
 
-    this._client.on("tool.pending", (params: RpcEvents["tool.pending"]) => {
-      this._postMessage({
-        type: "toolPending",
-        toolCallId: params.tool_call_id,
-        tool: params.tool,
-        arguments: params.arguments,
-      });
-    });
+      case "switchBranch":
+        await session.switchBranch(message.messageId, message.branch);
+        break;
 
-    this._client.on("tool.result", (params: RpcEvents["tool.result"]) => {
-      this._postMessage({
-        type: "toolResult",
-        toolCallId: params.tool_call_id,
-        success: params.success,
-        output: params.output,
-      });
-    });
+      case "openConversation": {
+        // A conversation open in another tab is shown there, not opened twice
+        const showing = this._sessions.showing(session.folderId, message.conversationId);
+        if (showing) {
+          this._sessions.setActive(showing.id);
+        } else {
+          await session.openConversation(message.conversationId);
+        }
+        break;
+      }
 
-    // Token usage
-    this._client.on("token.usage", (params: RpcEvents["token.usage"]) => {
-      this._postMessage({
-        type: "tokenUsage",
-        prompt: params.prompt,
-        completion: params.completion,
-        total: params.total,
-      });
-    });
+      case "renameConversation":
+        await session.renameConversation(message.conversationId, message.title);
+        break;
 
-    // Errors
-    this._client.on("error", (params: RpcEvents["error"]) => {
-      this._postMessage({ type: "error", code: params.code, message: params.message });
-    });
-  }
+      case "deleteConversation":
+        await session.deleteConversation(message.conversationId);
+        break;
 
-  private async _ensureConnected(): Promise<void> {
-    if (this._client?.isConnected) {
-      return;
-    }
+      case "searchConversations":
+        await session.searchConversations(message.query);
+        break;
 
-    try {
-      await this._client?.connect();
-      this._postMessage({ type: "connected" });
+      case "exportChat":
+        await this.exportChat(message.format, session);
+        break;
 
-      // Set initial model
-      const config = vscode.workspace.getConfiguration("mistral");
-      const model = config.get<string>("model", "mistral-small");
-      await this._client?.setModel(model);
-    } catch (error) {
-      console.error("Failed to connect to Mistral:", error);
-      this._postMessage({ type: "connectionError", error: String(error) });
-    }
-  }
+      case "importChat":
+        await this.importChat(session);
+        break;
 
-  private async _handleWebviewMessage(message: WebviewMessage): Promise<void> {
-    switch (message.type) {
-      case "ready":
-        await this._ensureConnected();
+      case "cancelQueued":
+        session.cancelQueued(message.messageId);
         break;
 
-      case "sendMessage":
-        await this._handleSendMessage(message.text as string, message.useAgent as boolean);
+      case "selectModel":
+        await this.selectModel(message.model);
+        break;
+
+      case "resolveBudget":
+        await session.resolveBudget(message.action, message.filePath);
         break;
 
       case "confirmTool":
-        await this._client?.agentConfirm(
-          message.toolCallId as string,
-          message.approved as boolean
-        );
+        await session.confirmTool(message.toolCallId, message.approved);
         break;
 
       case "cancelAgent":
-        await this._client?.agentCancel();
+        await session.cancel();
         break;
 
       case "addFile":
-        await this.addFileToContext(message.filePath as string);
+        await this.addFileToContext(message.filePath);
         break;
 
       case "removeFile":
-        await this._removeFileFromContext(message.filePath as string);
+        await session.removeFileFromContext(message.filePath);
         break;
 
       case "applyCode":
         // Legacy support: convert to new format
         await this._handleApplyUpdate({
-          code: message.code as string,
-          language: message.language as string || "plaintext",
+          code: message.code,
+          language: message.language || "plaintext",
           intent: "edit", // Default to edit for backward compatibility
         });
         break;
 
       case "applyUpdate":
-        await this._handleApplyUpdate(message.payload as ApplyPayload | ApplyPayload[]);
+        await this._handleApplyUpdate(message.payload);
         break;
 
       case "acceptChange":
-        await this._smartApply.acceptChange(message.changeId as string);
+        await this._smartApply.acceptChange(message.changeId);
         break;
 
       case "rejectChange":
-        await this._smartApply.rejectChange(message.changeId as string);
+        await this._smartApply.rejectChange(message.changeId);
         break;
 
       case "copyCode":
-        await vscode.env.clipboard.writeText(message.code as string);
+        await vscode.env.clipboard.writeText(message.code);
         vscode.window.showInformationMessage("Code copied to clipboard");
         break;
 
@@ -328,82 +493,6 @@ export class MistralSidebarProvider implements vscode.WebviewViewProvider {
     }
   }
 
-  private async _handleSendMessage(text: string, useAgent: boolean): Promise<void> {
-    if (!this._client?.isConnected) {
-      this._postMessage({ type: "error", message: "Not connected to Mistral" });
-      return;
-    }
-
-    try {
-      // Get context files
-      const contextResult = await this._client.listContext();
-      const contextFiles = contextResult.files.map((f) => f.path);
-
-      if (useAgent) {
-        await this._client.agentRun(text, contextFiles);
-      } else {
-        await this._client.chat(text, contextFiles);
-      }
-    } catch (error) {
-      this._postMessage({ type: "error", message: String(error) });
-    }
-  }
-
-  private async _removeFileFromContext(filePath: string): Promise<void> {
-    if (!this._client?.isConnected) {
-      return;
-    }
-
-    try {
-      await this._client.removeContext(filePath);
-
-      // Remove file watcher
-      const watcher = this._fileWatchers.get(filePath);
-      if (watcher) {
-        watcher.dispose();
-        this._fileWatchers.delete(filePath);
-      }
-
-      await this._updateContextList();
-    } catch (error) {
-      vscode.window.showErrorMessage(`Failed to remove file: ${error}`);
-    }
-  }
-
-  private async _updateContextList(): Promise<void> {
-    if (!this._client?.isConnected) {
-      return;
-    }
-
-    const result = await this._client.listContext();
-    this._postMessage({
-      type: "contextUpdated",
-      files: result.files,
-      totalTokens: result.total_tokens,
-    });
-  }
-
-  private _watchFile(filePath: string): void {
-    if (this._fileWatchers.has(filePath)) {
-      return;
-    }
-
-    const watcher = vscode.workspace.createFileSystemWatcher(filePath);
-
-    watcher.onDidChange(() => {
-      this._postMessage({
-        type: "fileChanged",
-        filePath,
-      });
-    });
-
-    watcher.onDidDelete(() => {
-      this._removeFileFromContext(filePath);
-    });
-
-    this._fileWatchers.set(filePath, watcher);
-  }
-
   /**
    * Handle the new applyUpdate message with smart code application.
    */
@@ -450,8 +539,38 @@ export class MistralSidebarProvider implements vscode.WebviewViewProvider {
     }
   }
 
-  private _postMessage(message: Record<string, unknown>): void {
+  /**
+   * Show the active session's model, or the configured one until the CLI
+   * reports it.
+   */
+  private _updateModelStatus(): void {
+    const session = this._sessions.active;
+    const model =
+      session.model ||
+      vscode.workspace.getConfiguration("mistral").get<string>("model", "mistral-small");
+    const info = session.models.find((candidate) => candidate.id === model);
+
+    this._modelStatus.text = `$(hubot) ${model}`;
+    this._modelStatus.tooltip = [
+      `Mistral model for ${session.label}: ${info?.name ?? model}`,
+      info ? describeModel(info) : undefined,
+      "Click to select another model",
+    ]
+      .filter(Boolean)
+      .join("\n");
+  }
+
+  private _postGenerationDefaults(): void {
+    this._postMessage({ type: "generationDefaults", params: readGenerationDefaults() });
+  }
+
+  private _postMessage(message: ExtensionToWebviewMessage): void {
+    if (this._postTarget) {
+      this._postTarget.postMessage(message);
+      return;
+    }
     this._view?.webview.postMessage(message);
+    this._panel?.webview.postMessage(message);
   }
 
   private _getHtmlForWebview(webview: vscode.Webview): string {
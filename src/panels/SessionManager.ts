@@ -0,0 +1,260 @@
+/**
+ * Session Manager
+ *
+ * Keeps one chat session, each with its own CLI process, per workspace folder
+ * so multi-root workspaces do not share one context. A window without folders
+ * gets a single session. Each folder can open more sessions as chat tabs,
+ * which share the folder's saved conversations. Sessions connect when they
+ * are first used.
+ */
+
+import { randomUUID } from "crypto";
+import * as vscode from "vscode";
+import { ExtensionToWebviewMessage } from "../protocol/types";
+import { ConversationStore } from "../services";
+import { ChatSession } from "./ChatSession";
+
+/**
+ * Id of the session used when no folder is open.
+ */
+const NO_FOLDER_SESSION = "default";
+
+/**
+ * Workspace state key of the extra tabs of each folder, to reopen them after a reload.
+ */
+const TABS_KEY = "mistral.chatTabs";
+
+export class SessionManager implements vscode.Disposable {
+  private _sessions = new Map<string, ChatSession>();
+  private _activeId = NO_FOLDER_SESSION;
+  private _disposables: vscode.Disposable[] = [];
+  /** Saved conversations of all sessions */
+  private _store: ConversationStore;
+
+  private readonly _onDidChangeActive = new vscode.EventEmitter<ChatSession>();
+  /** Fired when another session becomes the active one */
+  public readonly onDidChangeActive = this._onDidChangeActive.event;
+
+  private readonly _onDidChangeModel = new vscode.EventEmitter<ChatSession>();
+  /** Fired when a session's model or model catalog changes */
+  public readonly onDidChangeModel = this._onDidChangeModel.event;
+
+  constructor(
+    private readonly _context: vscode.ExtensionContext,
+    private readonly _post: (message: ExtensionToWebviewMessage) => void
+  ) {
+    this._store = new ConversationStore(_context);
+    this._syncFolders(true);
+
+    this._disposables.push(
+      this._store,
+      vscode.workspace.onDidChangeWorkspaceFolders(() => this._syncFolders()),
+      this._onDidChangeActive,
+      this._onDidChangeModel
+    );
+  }
+
+  /**
+   * Sessions in workspace folder order, each folder's first tab followed by
+   * its other tabs.
+   */
+  public get sessions(): ChatSession[] {
+    return [...this._sessions.values()];
+  }
+
+  /**
+   * The session shown in the chat.
+   */
+  public get active(): ChatSession {
+    return this._sessions.get(this._activeId) ?? this.sessions[0];
+  }
+
+  public get(id: unknown): ChatSession | undefined {
+    return typeof id === "string" ? this._sessions.get(id) : undefined;
+  }
+
+  /**
+   * The session whose folder contains a file; the active session for files
+   * outside every folder.
+   */
+  public forPath(filePath: string): ChatSession {
+    if (this.active.contains(filePath)) {
+      return this.active;
+    }
+    return this.sessions.find((session) => session.contains(filePath)) ?? this.active;
+  }
+
+  /**
+   * The tab of a folder that shows a saved conversation, if any.
+   */
+  public showing(folderId: string, conversationId: string): ChatSession | undefined {
+    return this.sessions.find(
+      (session) => session.folderId === folderId && session.conversationId === conversationId
+    );
+  }
+
+  /**
+   * Open a chat tab after the other tabs of a folder and show it.
+   * @param folderId - Folder of the tab; that of the active session by default
+   */
+  public openTab(folderId = this.active.folderId): ChatSession | undefined {
+    const primary = this._sessions.get(folderId);
+    if (!primary) {
+      return undefined;
+    }
+
+    const session = this._createSession(`${folderId}#${randomUUID()}`, primary.folder, folderId);
+    const sessions = this.sessions;
+    const last = sessions.map((s) => s.folderId).lastIndexOf(folderId);
+    sessions.splice(last + 1, 0, session);
+    this._sessions = new Map(sessions.map((s) => [s.id, s]));
+    this._saveTabs();
+    this.setActive(session.id);
+    return session;
+  }
+
+  /**
+   * Close a chat tab and stop its CLI process. A folder's first tab stays open.
+   */
+  public closeTab(id: string): void {
+    const session = this._sessions.get(id);
+    if (!session || session.id === session.folderId) {
+      return;
+    }
+
+    const wasActive = id === this._activeId;
+    session.dispose();
+    this._sessions.delete(id);
+    this._store.setActive(id, undefined);
+    this._saveTabs();
+    if (wasActive) {
+      this._activeId = session.folderId;
+      this._onDidChangeActive.fire(this.active);
+      this.active.ensureConnected();
+    }
+    this.postSessions();
+  }
+
+  /**
+   * Show another session in the chat and connect it if needed.
+   */
+  public setActive(id: string): void {
+    const session = this._sessions.get(id);
+    if (!session || id === this._activeId) {
+      return;
+    }
+
+    this._activeId = id;
+    this.postSessions();
+    this._onDidChangeActive.fire(session);
+    session.ensureConnected();
+  }
+
+  /**
+   * Tell the webview which sessions exist and which one is active.
+   */
+  public postSessions(): void {
+    this._post({
+      type: "sessions",
+      sessions: this.sessions.map((session) => ({
+        id: session.id,
+        label: session.label,
+        folderId: session.folderId,
+        title: session.title,
+      })),
+      activeSessionId: this.active.id,
+    });
+  }
+
+  public dispose(): void {
+    this._sessions.forEach((session) => session.dispose());
+    this._sessions.clear();
+    this._disposables.forEach((d) => d.dispose());
+    this._disposables = [];
+  }
+
+  /**
+   * Create sessions for new folders and dispose those of removed folders,
+   * with their tabs. The tabs open at the last reload are created again.
+   * @param initial - Only build the sessions; nothing is listening yet
+   */
+  private _syncFolders(initial = false): void {
+    const folders = vscode.workspace.workspaceFolders ?? [];
+    const wanted = new Map<string, vscode.WorkspaceFolder | undefined>(
+      folders.length > 0
+        ? folders.map((folder) => [folder.uri.toString(), folder])
+        : [[NO_FOLDER_SESSION, undefined]]
+    );
+
+    for (const [id, session] of this._sessions) {
+      if (!wanted.has(session.folderId)) {
+        session.dispose();
+        this._sessions.delete(id);
+      }
+    }
+
+    const savedTabs = this._context.workspaceState.get<Record<string, string[]>>(TABS_KEY, {});
+    const sessions = new Map<string, ChatSession>();
+    for (const [folderId, folder] of wanted) {
+      const tabs = this.sessions.filter((session) => session.folderId === folderId);
+      if (tabs.length === 0) {
+        tabs.push(
+          this._createSession(folderId, folder, folderId),
+          ...(savedTabs[folderId] ?? []).map((id) => this._createSession(id, folder, folderId))
+        );
+      }
+      tabs.forEach((session) => sessions.set(session.id, session));
+    }
+    this._sessions = sessions;
+    if (!initial) {
+      this._saveTabs();
+    }
+
+    const previousActive = this._activeId;
+    if (!this._sessions.has(this._activeId)) {
+      this._activeId = this.sessions[0].id;
+    }
+    if (initial) {
+      return;
+    }
+
+    this.postSessions();
+    if (this._activeId !== previousActive) {
+      this._onDidChangeActive.fire(this.active);
+      this.active.ensureConnected();
+    }
+  }
+
+  /**
+   * Remember the extra tabs of each folder.
+   */
+  private _saveTabs(): void {
+    const tabs: Record<string, string[]> = {};
+    for (const session of this.sessions) {
+      if (session.id !== session.folderId) {
+        (tabs[session.folderId] ??= []).push(session.id);
+      }
+    }
+    this._context.workspaceState.update(TABS_KEY, tabs);
+  }
+
+  private _createSession(
+    id: string,
+    folder: vscode.WorkspaceFolder | undefined,
+    folderId: string
+  ): ChatSession {
+    const session = new ChatSession(
+      id,
+      folder?.name ?? "Mistral",
+      folder,
+      folderId,
+      this._context,
+      this._store,
+      this._post
+    );
+    // The session's emitters are disposed with it, which ends these subscriptions
+    session.onDidChangeModel(() => this._onDidChangeModel.fire(session));
+    session.onDidChangeConversation(() => this.postSessions());
+    return session;
+  }
+}
@@ -0,0 +1,50 @@
+/**
+ * Server Paths
+ *
+ * Which files a chat session lets its CLI read with editor.readBuffer: files
+ * in the session's folder, and documents the user already has open. Anything
+ * else, e.g. `../../.ssh/id_rsa`, is refused.
+ */
+
+import * as path from "path";
+
+/**
+ * Resolve a path from the server, or refuse it.
+ * @param filePath - Absolute, or relative to the session's folder
+ * @param folder - The session's folder; none in a window without folders,
+ *   where only open documents can be read
+ * @param openPaths - Files open in the editor
+ * @returns The absolute path, or undefined if it is outside the folder and not open
+ */
+export function resolveServerPath(
+  filePath: string,
+  folder: string | undefined,
+  openPaths: string[]
+): string | undefined {
+  if (!path.isAbsolute(filePath) && folder === undefined) {
+    return undefined;
+  }
+  const resolved = path.resolve(folder ?? "", filePath);
+
+  if (folder !== undefined) {
+    const relative = path.relative(comparable(folder), comparable(resolved));
+    const outside =
+      relative === ".." || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative);
+    if (!outside) {
+      return resolved;
+    }
+  }
+  return openPaths.some((open) => comparable(open) === comparable(resolved))
+    ? resolved
+    : undefined;
+}
+
+/**
+ * A normalized path, in lower case where file names ignore case.
+ */
+function comparable(filePath: string): string {
+  const normalized = path.resolve(filePath);
+  return process.platform === "win32" || process.platform === "darwin"
+    ? normalized.toLowerCase()
+    : normalized;
+}
@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+/**
+ * Generate types.ts from schema.json.
+ *
+ * Usage:
+ *   node src/protocol/generate.js           Write types.ts
+ *   node src/protocol/generate.js --check   Exit with 1 if types.ts is out of date
+ *
+ * Named definitions become interfaces or type aliases of the same name.
+ * Methods get `<Name>Params` and `<Name>Result` types, notifications
+ * `<Name>Notification`, and webview messages use their schema title. Maps
+ * from names to types (MethodParams, Notifications, ...) and unions of the
+ * webview messages tie them together.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const schema = require("./schema.json");
+
+const OUTPUT = path.join(__dirname, "types.ts");
+
+const HEADER = `/**
+ * Protocol Types
+ *
+ * Generated from schema.json by generate.js. Do not edit; change the schema
+ * and run \`npm run generate:protocol\`.
+ */
+`;
+
+/**
+ * Render the whole types.ts file.
+ */
+function generate() {
+  const blocks = [HEADER];
+  const add = (name, node) => blocks.push(declaration(name, node));
+  const map = (name, description, entries) =>
+    blocks.push(
+      `${comment(description, "")}export interface ${name} {\n` +
+        entries.map(([key, type]) => `  ${propertyKey(key)}: ${type};\n`).join("") +
+        "}\n"
+    );
+
+  blocks.push(section("Shared definitions"));
+  for (const [name, node] of Object.entries(schema.definitions)) {
+    add(name, node);
+  }
+
+  blocks.push(section("Methods the client calls on the server"));
+  for (const [method, entry] of Object.entries(schema.methods)) {
+    add(`${typeName(method)}Params`, { description: entry.description, ...entry.params });
+    add(`${typeName(method)}Result`, entry.result);
+  }
+  map("MethodParams", "Params of each method, by method name", Object.keys(schema.methods).map(
+    (method) => [method, `${typeName(method)}Params`]
+  ));
+  map("MethodResults", "Result of each method, by method name", Object.keys(schema.methods).map(
+    (method) => [method, `${typeName(method)}Result`]
+  ));
+
+  blocks.push(section("Notifications"));
+  for (const [method, node] of Object.entries({ ...schema.notifications, ...schema.clientNotifications })) {
+    add(`${typeName(method)}Notification`, node);
+  }
+  map("Notifications", "Params of each notification the server sends, by method", Object.keys(
+    schema.notifications
+  ).map((method) => [method, `${typeName(method)}Notification`]));
+  map("ClientNotifications", "Params of each notification the client sends, by method", Object.keys(
+    schema.clientNotifications
+  ).map((method) => [method, `${typeName(method)}Notification`]));
+
+  blocks.push(section("Requests the server sends to the client"));
+  for (const [method, entry] of Object.entries(schema.serverRequests)) {
+    add(`${typeName(method)}Params`, { description: entry.description, ...entry.params });
+    add(`${typeName(method)}Result`, entry.result);
+  }
+  map("ServerRequestParams", "Params of each server request, by method", Object.keys(
+    schema.serverRequests
+  ).map((method) => [method, `${typeName(method)}Params`]));
+  map("ServerRequestResults", "Result of each server request, by method", Object.keys(
+    schema.serverRequests
+  ).map((method) => [method, `${typeName(method)}Result`]));
+
+  blocks.push(section("Webview messages"));
+  for (const direction of ["toExtension", "toWebview"]) {
+    for (const node of Object.values(schema.webview[direction])) {
+      add(node.title, node);
+    }
+  }
+  blocks.push(union(
+    "WebviewToExtensionMessage",
+    "Any message the webview posts to the extension",
+    Object.values(schema.webview.toExtension).map((node) => node.title)
+  ));
+  blocks.push(union(
+    "ExtensionToWebviewMessage",
+    "Any message the extension posts to the webview",
+    Object.values(schema.webview.toWebview).map((node) => node.title)
+  ));
+
+  return blocks.join("\n");
+}
+
+/**
+ * An exported interface for objects with known properties, a type alias otherwise.
+ */
+function declaration(name, node) {
+  const doc = comment(node.description, "");
+  if (node.type === "object" && node.properties && !node.$ref) {
+    return `${doc}export interface ${name} ${objectType(node, "")}\n`;
+  }
+  return `${doc}export type ${name} = ${typeOf(node, "")};\n`;
+}
+
+/**
+ * TypeScript type for a schema node.
+ * @param indent - Indentation of the line the type starts on
+ */
+function typeOf(node, indent) {
+  if (node.$ref) {
+    return node.$ref.split("/").pop();
+  }
+  if (node.const !== undefined) {
+    return JSON.stringify(node.const);
+  }
+  if (node.enum) {
+    return node.enum.map((option) => JSON.stringify(option)).join(" | ");
+  }
+  if (node.oneOf || node.anyOf) {
+    return (node.oneOf || node.anyOf).map((branch) => typeOf(branch, indent)).join(" | ");
+  }
+  if (Array.isArray(node.type)) {
+    return node.type.map((type) => typeOf({ ...node, type }, indent)).join(" | ");
+  }
+
+  switch (node.type) {
+    case "string":
+    case "boolean":
+    case "null":
+      return node.type;
+    case "integer":
+    case "number":
+      return "number";
+    case "array": {
+      const item = node.items ? typeOf(node.items, indent) : "unknown";
+      return /^\w+$/.test(item) ? `${item}[]` : `Array<${item}>`;
+    }
+    case "object":
+      return node.properties ? objectType(node, indent) : "Record<string, unknown>";
+    default:
+      return "unknown";
+  }
+}
+
+/**
+ * Object literal type with one line per property.
+ */
+function objectType(node, indent) {
+  const inner = indent + "  ";
+  const required = new Set(node.required || []);
+  const lines = Object.entries(node.properties).map(
+    ([key, property]) =>
+      comment(property.description, inner) +
+      `${inner}${propertyKey(key)}${required.has(key) ? "" : "?"}: ${typeOf(property, inner)};\n`
+  );
+  if (node.additionalProperties === true) {
+    lines.push(`${inner}[key: string]: unknown;\n`);
+  }
+  return `{\n${lines.join("")}${indent}}`;
+}
+
+function union(name, description, members) {
+  return `${comment(description, "")}export type ${name} =\n` +
+    members.map((member) => `  | ${member}`).join("\n") + ";\n";
+}
+
+function section(title) {
+  const rule = "// " + "=".repeat(74);
+  return `${rule}\n// ${title}\n${rule}\n`;
+}
+
+function comment(text, indent) {
+  return text ? `${indent}/** ${text} */\n` : "";
+}
+
+/**
+ * `agent.run` -> `AgentRun`, `$/cancelRequest` -> `CancelRequest`.
+ */
+function typeName(method) {
+  return method
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map((word) => word[0].toUpperCase() + word.slice(1))
+    .join("");
+}
+
+function propertyKey(key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+}
+
+function main() {
+  const output = generate();
+
+  if (process.argv.includes("--check")) {
+    const current = fs.existsSync(OUTPUT) ? fs.readFileSync(OUTPUT, "utf8") : "";
+    if (current !== output) {
+      console.error("src/protocol/types.ts is out of date; run `npm run generate:protocol`");
+      process.exit(1);
+    }
+    return;
+  }
+
+  fs.writeFileSync(OUTPUT, output);
+  console.log(`Wrote ${path.relative(process.cwd(), OUTPUT)}`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { generate };
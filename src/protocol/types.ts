@@ -0,0 +1,989 @@
+/**
+ * Protocol Types
+ *
+ * Generated from schema.json by generate.js. Do not edit; change the schema
+ * and run `npm run generate:protocol`.
+ */
+
+// ==========================================================================
+// Shared definitions
+// ==========================================================================
+
+/** Id of the request whose work produced a notification */
+export type RequestId = number;
+
+/** Features a server can advertise */
+export interface ServerCapabilities {
+  /** Streams content.delta notifications while generating */
+  streaming: boolean;
+  /** Supports agent runs with tool calls */
+  tools: boolean;
+  /** Supports context.* file management */
+  context: boolean;
+  /** Counts tokens with the model's tokenizer via tokens.count */
+  token_count?: boolean;
+  /** Lists the models it offers via model.list */
+  model_list?: boolean;
+  /** Replaces the last reply via chat.regenerate */
+  regenerate?: boolean;
+}
+
+/** How messages are delimited on the wire */
+export type MessageFraming = "newline" | "content-length";
+
+/** A single conversation turn, as stored in the server's chat history */
+export interface ChatTurn {
+  role: "user" | "assistant";
+  content: string;
+}
+
+/** A model the server offers */
+export interface ModelInfo {
+  /** Name passed to model.set */
+  id: string;
+  /** Display name */
+  name?: string;
+  /** Tokens the model accepts per request, prompt and reply together */
+  context_window?: number;
+  /** Whether agent runs can use the model */
+  supports_tools?: boolean;
+  /** Price in US dollars per million tokens */
+  cost?: {
+    input: number;
+    output: number;
+  };
+}
+
+/** Sampling settings for one request; omitted fields use the server's defaults */
+export interface GenerationParams {
+  /** Randomness of the reply, from 0 (deterministic) to 2 */
+  temperature?: number;
+  /** Sample only from the most likely tokens whose probabilities add up to this */
+  top_p?: number;
+  /** Most tokens the reply may have */
+  max_tokens?: number;
+  /** Generation stops before the first of these strings */
+  stop?: string[];
+}
+
+/** A file in the conversation context */
+export interface ContextFile {
+  path: string;
+  /** Estimated token count */
+  tokens: number;
+}
+
+/** Arguments of a tool call, as chosen by the model */
+export type ToolArguments = Record<string, unknown>;
+
+/** Connection state of a session's RPC client */
+export type ConnectionState = "disconnected" | "connecting" | "connected" | "degraded" | "reconnecting" | "error";
+
+/** What applying a code block should do */
+export type ApplyIntent = "create" | "edit" | "command";
+
+/** A code block the user asked to apply */
+export interface ApplyPayload {
+  code: string;
+  language: string;
+  intent: ApplyIntent;
+  /** Filename or path hint */
+  target?: string;
+  /** Function/class name or context line */
+  anchor?: string;
+}
+
+/** Chat session a message belongs to; the active session when null or missing */
+export type SessionId = string | null;
+
+/** A chat session, shown as a tab of its folder in the session selector */
+export interface SessionInfo {
+  id: string;
+  label: string;
+  /** Session of the folder's first tab; the folder's tabs share its saved conversations */
+  folderId: string;
+  /** Title of the chat shown, for the tab */
+  title: string;
+}
+
+/** A saved conversation, as listed in the chat history */
+export interface ConversationSummary {
+  id: string;
+  title: string;
+  /** Milliseconds since the epoch */
+  createdAt: number;
+  /** Time of the last completed turn */
+  updatedAt: number;
+  messageCount: number;
+}
+
+/** A completed turn of a saved conversation */
+export interface ConversationMessage {
+  /** Webview id of the message, to name it in editMessage and switchBranch */
+  id?: string;
+  role: "user" | "assistant";
+  content: string;
+  /** Milliseconds since the epoch */
+  timestamp: number;
+  /** Model that wrote an assistant message */
+  model?: string;
+  /** Overrides of the mistral.generation.* settings a user message was sent with; regenerating its reply uses them again */
+  generation?: GenerationParams;
+  /** A user message the extension wrote, e.g. asking for a summary of a context file to make room */
+  generated?: boolean;
+  toolCalls?: ToolCallRecord[];
+  usage?: TokenUsage;
+  /** Position of this reply among all replies generated for the same user message */
+  candidate?: number;
+  /** The other replies generated for the same user message, from regenerating it */
+  candidates?: ConversationMessage[];
+  /** Position of this version of an edited user message among all of its versions */
+  branch?: number;
+  /** The other versions of the conversation from an edited user message on, each starting with that version of the message */
+  branches?: Array<ConversationMessage[]>;
+}
+
+/** A tool call made while writing an assistant message, and its outcome */
+export interface ToolCallRecord {
+  id: string;
+  tool: string;
+  arguments: ToolArguments;
+  /** Missing if the call was never confirmed or denied */
+  approved?: boolean;
+  success?: boolean;
+  output?: string;
+}
+
+/** Tokens used by a request */
+export interface TokenUsage {
+  prompt: number;
+  completion: number;
+  total: number;
+}
+
+/** A conversation exported to share or import, as written by "Export Chat as JSON" */
+export interface ChatExport {
+  format: "mistral-chat";
+  version: 1;
+  title: string;
+  /** ISO 8601 time */
+  exportedAt: string;
+  /** Model in use when the chat was exported */
+  model?: string;
+  messages: ConversationMessage[];
+}
+
+/** Result of methods that only report success */
+export interface Success {
+  success?: boolean;
+}
+
+/** Params or result without values */
+export type Empty = Record<string, unknown>;
+
+// ==========================================================================
+// Methods the client calls on the server
+// ==========================================================================
+
+/** First request on every connection; negotiates protocol version, capabilities and framing */
+export interface InitializeParams {
+  protocol_version?: string;
+  client_info?: {
+    name: string;
+    version: string;
+  };
+  capabilities?: {
+    cancellation?: boolean;
+    request_correlation?: boolean;
+    batch?: boolean;
+    framing?: MessageFraming[];
+    /** Server requests the client can answer */
+    server_requests?: string[];
+  };
+}
+
+/** Servers that predate negotiation leave out protocol_version and framing */
+export interface InitializeResult {
+  version?: string;
+  protocol_version?: string;
+  capabilities?: {
+    streaming?: boolean;
+    tools?: boolean;
+    context?: boolean;
+    token_count?: boolean;
+    model_list?: boolean;
+    regenerate?: boolean;
+  };
+  framing?: MessageFraming;
+}
+
+/** Health check; answered even while a chat is streaming */
+export type PingParams = Empty;
+
+export type PingResult = Empty;
+
+/** Send a chat message; the reply streams as content.* notifications */
+export interface ChatParams {
+  /** Defaults to an empty message */
+  message?: string;
+  context_files?: string[];
+  generation?: GenerationParams;
+}
+
+export interface ChatResult {
+  content: string;
+}
+
+/** Drop the last assistant turn from the history and answer the user turn before it again; the reply streams like a chat reply */
+export interface ChatRegenerateParams {
+  context_files?: string[];
+  generation?: GenerationParams;
+}
+
+export interface ChatRegenerateResult {
+  content: string;
+}
+
+/** Run an agent task that may call tools */
+export interface AgentRunParams {
+  /** Defaults to an empty task */
+  task?: string;
+  context_files?: string[];
+  /** Run tools without asking */
+  auto_confirm?: boolean;
+  generation?: GenerationParams;
+}
+
+export interface AgentRunResult {
+  content: string;
+  /** A tool call is waiting for agent.confirm */
+  pending?: boolean;
+  tool_call_id?: string;
+}
+
+/** Stop the running agent task and drop pending tool calls */
+export type AgentCancelParams = Empty;
+
+export type AgentCancelResult = Success;
+
+/** Approve or deny a pending tool call */
+export interface AgentConfirmParams {
+  tool_call_id: string;
+  approved: boolean;
+}
+
+export type AgentConfirmResult = Success;
+
+/** Add a file to the conversation context */
+export interface ContextAddParams {
+  file_path: string;
+}
+
+export interface ContextAddResult {
+  success: boolean;
+  message: string;
+}
+
+/** Remove a file from the conversation context */
+export interface ContextRemoveParams {
+  file_path: string;
+}
+
+export interface ContextRemoveResult {
+  success: boolean;
+  message: string;
+}
+
+/** List the files in the conversation context */
+export type ContextListParams = Empty;
+
+export interface ContextListResult {
+  files: ContextFile[];
+  total_tokens: number;
+}
+
+/** Clear context files and/or chat history */
+export interface ContextClearParams {
+  /** Clear context files (default true) */
+  files?: boolean;
+  /** Clear chat history (default true) */
+  history?: boolean;
+}
+
+export type ContextClearResult = Empty;
+
+/** Choose the model for later requests; models the server does not offer are rejected with -32602 */
+export interface ModelSetParams {
+  model: string;
+}
+
+export type ModelSetResult = Success;
+
+/** The model in use */
+export type ModelGetParams = Empty;
+
+export interface ModelGetResult {
+  model: string;
+  /** Tokens the model accepts per request, prompt and reply together */
+  context_window?: number;
+}
+
+/** The models the server offers */
+export type ModelListParams = Empty;
+
+export interface ModelListResult {
+  models: ModelInfo[];
+}
+
+/** Count the tokens a chat with this message would send, with the model's tokenizer */
+export interface TokensCountParams {
+  message: string;
+  /** Files sent with the message; defaults to all context files */
+  context_files?: string[];
+}
+
+export interface TokensCountResult {
+  message: number;
+  /** Earlier turns of the chat */
+  history: number;
+  /** Context files */
+  context: number;
+  /** Everything sent, including any system prompt */
+  total: number;
+}
+
+/** Replace the server's chat history, e.g. after a reconnect */
+export interface HistorySetParams {
+  messages: ChatTurn[];
+}
+
+export interface HistorySetResult {
+  success?: boolean;
+  count?: number;
+}
+
+/** The server's chat history */
+export type HistoryGetParams = Empty;
+
+export interface HistoryGetResult {
+  messages: ChatTurn[];
+}
+
+/** Mock server only: relay a request to the client and report its reply */
+export interface DebugServerRequestParams {
+  method: string;
+  params?: Record<string, unknown>;
+  timeout_ms?: number;
+}
+
+export interface DebugServerRequestResult {
+  result?: unknown;
+  error?: unknown;
+}
+
+/** Params of each method, by method name */
+export interface MethodParams {
+  initialize: InitializeParams;
+  ping: PingParams;
+  chat: ChatParams;
+  "chat.regenerate": ChatRegenerateParams;
+  "agent.run": AgentRunParams;
+  "agent.cancel": AgentCancelParams;
+  "agent.confirm": AgentConfirmParams;
+  "context.add": ContextAddParams;
+  "context.remove": ContextRemoveParams;
+  "context.list": ContextListParams;
+  "context.clear": ContextClearParams;
+  "model.set": ModelSetParams;
+  "model.get": ModelGetParams;
+  "model.list": ModelListParams;
+  "tokens.count": TokensCountParams;
+  "history.set": HistorySetParams;
+  "history.get": HistoryGetParams;
+  "debug.serverRequest": DebugServerRequestParams;
+}
+
+/** Result of each method, by method name */
+export interface MethodResults {
+  initialize: InitializeResult;
+  ping: PingResult;
+  chat: ChatResult;
+  "chat.regenerate": ChatRegenerateResult;
+  "agent.run": AgentRunResult;
+  "agent.cancel": AgentCancelResult;
+  "agent.confirm": AgentConfirmResult;
+  "context.add": ContextAddResult;
+  "context.remove": ContextRemoveResult;
+  "context.list": ContextListResult;
+  "context.clear": ContextClearResult;
+  "model.set": ModelSetResult;
+  "model.get": ModelGetResult;
+  "model.list": ModelListResult;
+  "tokens.count": TokensCountResult;
+  "history.set": HistorySetResult;
+  "history.get": HistoryGetResult;
+  "debug.serverRequest": DebugServerRequestResult;
+}
+
+// ==========================================================================
+// Notifications
+// ==========================================================================
+
+/** Next piece of streamed reply text */
+export interface ContentDeltaNotification {
+  text: string;
+  request_id?: RequestId;
+}
+
+/** The streamed reply is complete */
+export interface ContentDoneNotification {
+  full_text: string;
+  request_id?: RequestId;
+}
+
+/** What the agent is working on */
+export interface ThinkingUpdateNotification {
+  thought: string;
+  request_id?: RequestId;
+}
+
+/** A tool call waits for agent.confirm */
+export interface ToolPendingNotification {
+  tool_call_id: string;
+  tool: string;
+  arguments: ToolArguments;
+  request_id?: RequestId;
+}
+
+/** Outcome of a confirmed or denied tool call */
+export interface ToolResultNotification {
+  tool_call_id: string;
+  success: boolean;
+  output: string;
+  request_id?: RequestId;
+}
+
+/** Tokens used by a request */
+export interface TokenUsageNotification {
+  prompt: number;
+  completion: number;
+  total: number;
+  request_id?: RequestId;
+}
+
+/** An error while working on a request */
+export interface ErrorNotification {
+  code: string;
+  message: string;
+  request_id?: RequestId;
+}
+
+/** Stop work on a request; the server answers it with error -32800 */
+export interface CancelRequestNotification {
+  id: number | string;
+}
+
+/** Params of each notification the server sends, by method */
+export interface Notifications {
+  "content.delta": ContentDeltaNotification;
+  "content.done": ContentDoneNotification;
+  "thinking.update": ThinkingUpdateNotification;
+  "tool.pending": ToolPendingNotification;
+  "tool.result": ToolResultNotification;
+  "token.usage": TokenUsageNotification;
+  error: ErrorNotification;
+}
+
+/** Params of each notification the client sends, by method */
+export interface ClientNotifications {
+  "$/cancelRequest": CancelRequestNotification;
+}
+
+// ==========================================================================
+// Requests the server sends to the client
+// ==========================================================================
+
+/** Current text of a file, including unsaved edits if it is open */
+export interface EditorReadBufferParams {
+  /** Absolute, or relative to the session's folder */
+  file_path: string;
+}
+
+export interface EditorReadBufferResult {
+  content: string;
+  is_dirty: boolean;
+  language_id: string;
+}
+
+/** Let the user choose from a list */
+export interface EditorQuickPickParams {
+  title?: string;
+  items: string[];
+  can_pick_many?: boolean;
+}
+
+export interface EditorQuickPickResult {
+  /** Picked items; null if the pick was dismissed */
+  selected: string[] | null;
+}
+
+/** Params of each server request, by method */
+export interface ServerRequestParams {
+  "editor.readBuffer": EditorReadBufferParams;
+  "editor.quickPick": EditorQuickPickParams;
+}
+
+/** Result of each server request, by method */
+export interface ServerRequestResults {
+  "editor.readBuffer": EditorReadBufferResult;
+  "editor.quickPick": EditorQuickPickResult;
+}
+
+// ==========================================================================
+// Webview messages
+// ==========================================================================
+
+/** The webview loaded and listens for messages */
+export interface ReadyMessage {
+  type: "ready";
+}
+
+/** The user picked another session in the selector */
+export interface SwitchSessionMessage {
+  type: "switchSession";
+  sessionId: string;
+}
+
+/** Open a chat tab in the session's folder */
+export interface NewTabMessage {
+  type: "newTab";
+  sessionId?: SessionId;
+}
+
+/** Close a chat tab; a folder's first tab stays open */
+export interface CloseTabMessage {
+  type: "closeTab";
+  sessionId: string;
+}
+
+/** Reopen a saved conversation in the session */
+export interface OpenConversationMessage {
+  type: "openConversation";
+  sessionId?: SessionId;
+  conversationId: string;
+}
+
+export interface RenameConversationMessage {
+  type: "renameConversation";
+  sessionId?: SessionId;
+  conversationId: string;
+  title: string;
+}
+
+/** Delete a saved conversation, after the extension asks for confirmation */
+export interface DeleteConversationMessage {
+  type: "deleteConversation";
+  sessionId?: SessionId;
+  conversationId: string;
+}
+
+/** Save the session's chat to a file */
+export interface ExportChatMessage {
+  type: "exportChat";
+  sessionId?: SessionId;
+  format: "markdown" | "json";
+}
+
+/** Pick an exported chat and open it in the session */
+export interface ImportChatMessage {
+  type: "importChat";
+  sessionId?: SessionId;
+}
+
+/** Find saved conversations whose title or messages contain the query */
+export interface SearchConversationsMessage {
+  type: "searchConversations";
+  sessionId?: SessionId;
+  query: string;
+}
+
+export interface SendMessageMessage {
+  type: "sendMessage";
+  sessionId?: SessionId;
+  text: string;
+  useAgent: boolean;
+  /** Webview id of the user message, used in messageStatus */
+  messageId?: string;
+  /** Overrides of the mistral.generation.* settings for this message */
+  generation?: GenerationParams;
+  /** Id of an earlier user message this one replaces; the chat branches there and the old version stays selectable */
+  editOf?: string;
+}
+
+/** Replace the chat's last reply with a new one; the old reply stays selectable */
+export interface RegenerateMessage {
+  type: "regenerate";
+  sessionId?: SessionId;
+}
+
+/** Show another generated reply in place of an assistant message */
+export interface SwitchCandidateMessage {
+  type: "switchCandidate";
+  sessionId?: SessionId;
+  messageId: string;
+  candidate: number;
+}
+
+/** Show another version of the chat from an edited user message on */
+export interface SwitchBranchMessage {
+  type: "switchBranch";
+  sessionId?: SessionId;
+  messageId: string;
+  branch: number;
+}
+
+/** The user withdrew a message waiting for the connection */
+export interface CancelQueuedMessage {
+  type: "cancelQueued";
+  sessionId?: SessionId;
+  messageId: string;
+}
+
+/** The user picked a model; it applies to every session */
+export interface SelectModelMessage {
+  type: "selectModel";
+  model: string;
+}
+
+/** The user's choice for a message held back by a budgetWarning */
+export interface ResolveBudgetMessage {
+  type: "resolveBudget";
+  sessionId?: SessionId;
+  action: "dropFile" | "summarizeFile" | "sendAnyway" | "cancel";
+  /** For dropFile and summarizeFile */
+  filePath?: string;
+}
+
+export interface ConfirmToolMessage {
+  type: "confirmTool";
+  sessionId?: SessionId;
+  toolCallId: string;
+  approved: boolean;
+}
+
+export interface CancelAgentMessage {
+  type: "cancelAgent";
+  sessionId?: SessionId;
+}
+
+export interface AddFileMessage {
+  type: "addFile";
+  filePath: string;
+}
+
+export interface RemoveFileMessage {
+  type: "removeFile";
+  sessionId?: SessionId;
+  filePath: string;
+}
+
+/** Older form of applyUpdate; applied as an edit */
+export interface ApplyCodeMessage {
+  type: "applyCode";
+  code: string;
+  language?: string;
+}
+
+export interface ApplyUpdateMessage {
+  type: "applyUpdate";
+  payload: ApplyPayload | ApplyPayload[];
+}
+
+export interface AcceptChangeMessage {
+  type: "acceptChange";
+  changeId: string;
+}
+
+export interface RejectChangeMessage {
+  type: "rejectChange";
+  changeId: string;
+}
+
+export interface CopyCodeMessage {
+  type: "copyCode";
+  code: string;
+}
+
+export interface OpenSettingsMessage {
+  type: "openSettings";
+}
+
+/** The sessions that exist and which one is active */
+export interface SessionsMessage {
+  type: "sessions";
+  sessions: SessionInfo[];
+  activeSessionId: string;
+}
+
+/** The mistral.generation.* settings, shown as placeholders for per-message overrides */
+export interface GenerationDefaultsMessage {
+  type: "generationDefaults";
+  params: GenerationParams;
+}
+
+export interface ConnectedMessage {
+  type: "connected";
+  sessionId: string;
+}
+
+export interface ConnectionStateMessage {
+  type: "connectionState";
+  sessionId: string;
+  state: ConnectionState;
+}
+
+export interface ConnectionErrorMessage {
+  type: "connectionError";
+  sessionId: string;
+  error: string;
+}
+
+export interface ReconnectingMessage {
+  type: "reconnecting";
+  sessionId: string;
+  attempt: number;
+  /** Milliseconds until the attempt */
+  delay: number;
+}
+
+export interface ReconnectedMessage {
+  type: "reconnected";
+  sessionId: string;
+}
+
+export interface ReconnectFailedMessage {
+  type: "reconnectFailed";
+  sessionId: string;
+}
+
+export interface CapabilitiesMessage {
+  type: "capabilities";
+  sessionId: string;
+  capabilities: ServerCapabilities;
+  serverVersion: string;
+  protocolVersion: string;
+}
+
+export interface ConfigChangedMessage {
+  type: "configChanged";
+  sessionId: string;
+  model: string;
+}
+
+/** The model in use, its context window and the models to choose from */
+export interface ModelInfoMessage {
+  type: "modelInfo";
+  sessionId: string;
+  model: string;
+  contextWindow: number;
+  models: ModelInfo[];
+}
+
+export interface ContentDeltaMessage {
+  type: "contentDelta";
+  sessionId: string;
+  text: string;
+  requestId?: RequestId;
+}
+
+export interface ContentDoneMessage {
+  type: "contentDone";
+  sessionId: string;
+  fullText: string;
+  requestId?: RequestId;
+}
+
+export interface ThinkingUpdateMessage {
+  type: "thinkingUpdate";
+  sessionId: string;
+  thought: string;
+  requestId?: RequestId;
+}
+
+export interface ToolPendingMessage {
+  type: "toolPending";
+  sessionId: string;
+  toolCallId: string;
+  tool: string;
+  arguments: ToolArguments;
+  requestId?: RequestId;
+}
+
+export interface ToolResultMessage {
+  type: "toolResult";
+  sessionId: string;
+  toolCallId: string;
+  success: boolean;
+  output: string;
+  requestId?: RequestId;
+}
+
+export interface TokenUsageMessage {
+  type: "tokenUsage";
+  sessionId: string;
+  prompt: number;
+  completion: number;
+  total: number;
+  requestId?: RequestId;
+}
+
+export interface ContextUpdatedMessage {
+  type: "contextUpdated";
+  sessionId: string;
+  files: ContextFile[];
+  totalTokens: number;
+}
+
+/** A context file changed on disk */
+export interface FileChangedMessage {
+  type: "fileChanged";
+  sessionId: string;
+  filePath: string;
+}
+
+/** A user message was queued until the CLI reconnects, sent from the queue, or dropped */
+export interface MessageStatusMessage {
+  type: "messageStatus";
+  sessionId: string;
+  messageId: string;
+  status: "queued" | "sent" | "failed";
+}
+
+/** A user message would not fit the model's context window and is held until resolveBudget */
+export interface BudgetWarningMessage {
+  type: "budgetWarning";
+  sessionId: string;
+  messageId?: string;
+  model: string;
+  /** Context window less the tokens kept for the reply */
+  limit: number;
+  total: number;
+  message: number;
+  history: number;
+  context: number;
+  /** Whether counts come from the server's tokenizer rather than an estimate */
+  exact: boolean;
+  files: ContextFile[];
+}
+
+/** The held message was sent or dropped */
+export interface BudgetClearedMessage {
+  type: "budgetCleared";
+  sessionId: string;
+}
+
+/** The session's saved conversations, most recently updated first */
+export interface ConversationsMessage {
+  type: "conversations";
+  sessionId: string;
+  conversations: ConversationSummary[];
+  /** The conversation shown in the chat, once it has been saved */
+  activeConversationId?: string;
+}
+
+/** Replace the chat with a saved conversation */
+export interface ConversationOpenedMessage {
+  type: "conversationOpened";
+  sessionId: string;
+  conversationId: string;
+  messages: ConversationMessage[];
+}
+
+export interface ConversationSearchResultsMessage {
+  type: "conversationSearchResults";
+  sessionId: string;
+  query: string;
+  conversationIds: string[];
+}
+
+export interface ClearChatMessage {
+  type: "clearChat";
+  sessionId: string;
+}
+
+export interface ErrorMessage {
+  type: "error";
+  sessionId: string;
+  message: string;
+  code?: string;
+  requestId?: RequestId;
+}
+
+export interface ApplyResultMessage {
+  type: "applyResult";
+  success: boolean;
+  action: "created" | "edited" | "sent_to_terminal" | "preview_shown" | "cancelled" | "error";
+  message?: string;
+  changeId?: string;
+}
+
+/** Any message the webview posts to the extension */
+export type WebviewToExtensionMessage =
+  | ReadyMessage
+  | SwitchSessionMessage
+  | NewTabMessage
+  | CloseTabMessage
+  | OpenConversationMessage
+  | RenameConversationMessage
+  | DeleteConversationMessage
+  | ExportChatMessage
+  | ImportChatMessage
+  | SearchConversationsMessage
+  | SendMessageMessage
+  | RegenerateMessage
+  | SwitchCandidateMessage
+  | SwitchBranchMessage
+  | CancelQueuedMessage
+  | SelectModelMessage
+  | ResolveBudgetMessage
+  | ConfirmToolMessage
+  | CancelAgentMessage
+  | AddFileMessage
+  | RemoveFileMessage
+  | ApplyCodeMessage
+  | ApplyUpdateMessage
+  | AcceptChangeMessage
+  | RejectChangeMessage
+  | CopyCodeMessage
+  | OpenSettingsMessage;
+
+/** Any message the extension posts to the webview */
+export type ExtensionToWebviewMessage =
+  | SessionsMessage
+  | GenerationDefaultsMessage
+  | ConnectedMessage
+  | ConnectionStateMessage
+  | ConnectionErrorMessage
+  | ReconnectingMessage
+  | ReconnectedMessage
+  | ReconnectFailedMessage
+  | CapabilitiesMessage
+  | ConfigChangedMessage
+  | ModelInfoMessage
+  | ContentDeltaMessage
+  | ContentDoneMessage
+  | ThinkingUpdateMessage
+  | ToolPendingMessage
+  | ToolResultMessage
+  | TokenUsageMessage
+  | ContextUpdatedMessage
+  | FileChangedMessage
+  | MessageStatusMessage
+  | BudgetWarningMessage
+  | BudgetClearedMessage
+  | ConversationsMessage
+  | ConversationOpenedMessage
+  | ConversationSearchResultsMessage
+  | ClearChatMessage
+  | ErrorMessage
+  | ApplyResultMessage;
@@ -0,0 +1,44 @@
+/**
+ * Types for validate.js, which stays plain JavaScript so the mock server can
+ * load it without a build step.
+ */
+
+/**
+ * What a checked payload is: a method's params or result, a notification in
+ * either direction, a server request's params or result, a webview message, or
+ * a value of a shared definition such as a chat export.
+ */
+export type PayloadKind =
+  | "params"
+  | "result"
+  | "notification"
+  | "clientNotification"
+  | "serverRequestParams"
+  | "serverRequestResult"
+  | "toExtension"
+  | "toWebview"
+  | "definition";
+
+/**
+ * Check a payload against its schema. Returns one line per problem; empty
+ * when the payload is valid or the name has no schema.
+ */
+export function check(kind: PayloadKind, name: string, value: unknown): string[];
+
+/**
+ * Check a webview message, including that its type is known.
+ */
+export function checkWebviewMessage(
+  direction: "toExtension" | "toWebview",
+  message: unknown
+): string[];
+
+/**
+ * Join problems into one error message, e.g. `Invalid params for chat: ...`.
+ */
+export function describeProblems(label: string, problems: string[]): string;
+
+/**
+ * The protocol schema.
+ */
+export const schema: Record<string, unknown>;
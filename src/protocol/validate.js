@@ -0,0 +1,211 @@
+/**
+ * Protocol Validation
+ *
+ * Checks messages against schema.json. Shared by the extension and the mock
+ * server, so it is plain CommonJS without dependencies. Only the JSON Schema
+ * keywords the protocol uses are supported: type, properties, required,
+ * additionalProperties, items, enum, const, minimum, maximum, oneOf, anyOf and
+ * local $ref. Other keywords, like description and title, are ignored.
+ */
+
+const schema = require("./schema.json");
+
+/**
+ * Where each kind of payload is described in the schema, and the name used
+ * for the payload at the start of each problem.
+ */
+const KINDS = {
+  params: { entries: schema.methods, field: "params", root: "params" },
+  result: { entries: schema.methods, field: "result", root: "result" },
+  notification: { entries: schema.notifications, root: "params" },
+  clientNotification: { entries: schema.clientNotifications, root: "params" },
+  serverRequestParams: { entries: schema.serverRequests, field: "params", root: "params" },
+  serverRequestResult: { entries: schema.serverRequests, field: "result", root: "result" },
+  toExtension: { entries: schema.webview.toExtension, root: "message" },
+  toWebview: { entries: schema.webview.toWebview, root: "message" },
+  definition: { entries: schema.definitions, root: "value" },
+};
+
+/**
+ * Check a payload against its schema.
+ * @param {keyof typeof KINDS} kind - What the payload is
+ * @param {string} name - Method, notification, server request, webview message
+ *   type or definition
+ * @param {unknown} value - The payload
+ * @returns {string[]} One line per problem, e.g. `params.file_path must be a
+ *   string, got number`. Empty when the payload is valid, or when the name has
+ *   no schema, so peers may add methods and notifications.
+ */
+function check(kind, name, value) {
+  const { entries, field, root } = KINDS[kind] || {};
+  if (!entries) {
+    throw new Error(`Unknown payload kind: ${kind}`);
+  }
+  if (!hasOwn(entries, name)) {
+    return [];
+  }
+
+  return validate(field ? entries[name][field] : entries[name], value, root);
+}
+
+/**
+ * Check a message between the webview and the extension. Unlike RPC
+ * payloads, an unknown message type is a problem, since both ends ship together.
+ * @param {"toExtension" | "toWebview"} direction
+ * @param {unknown} message
+ * @returns {string[]} One line per problem; empty when the message is valid
+ */
+function checkWebviewMessage(direction, message) {
+  if (!isObject(message) || typeof message.type !== "string") {
+    return ["message must be an object with a string type"];
+  }
+  if (!hasOwn(schema.webview[direction], message.type)) {
+    return [`message.type "${message.type}" is not a known message`];
+  }
+  return check(direction, message.type, message);
+}
+
+/**
+ * Join problems into one error message, e.g.
+ * `Invalid params for chat: params.message must be a string, got number`.
+ * @param {string} label - What was checked, e.g. "params for chat"
+ * @param {string[]} problems
+ */
+function describeProblems(label, problems) {
+  return `Invalid ${label}: ${problems.join("; ")}`;
+}
+
+/**
+ * Validate a value against a schema node.
+ * @returns {string[]} Problems, with paths starting at `path`
+ */
+function validate(node, value, path) {
+  if (node.$ref !== undefined) {
+    return validate(resolveRef(node.$ref), value, path);
+  }
+
+  if (node.type !== undefined) {
+    const types = Array.isArray(node.type) ? node.type : [node.type];
+    if (!types.some((type) => hasType(value, type))) {
+      return [`${path} must be ${types.map(withArticle).join(" or ")}, got ${typeName(value)}`];
+    }
+  }
+
+  if (node.const !== undefined && !equal(value, node.const)) {
+    return [`${path} must be ${JSON.stringify(node.const)}`];
+  }
+
+  if (node.enum !== undefined && !node.enum.some((option) => equal(value, option))) {
+    return [`${path} must be one of ${node.enum.map((option) => JSON.stringify(option)).join(", ")}`];
+  }
+
+  if (node.minimum !== undefined && typeof value === "number" && value < node.minimum) {
+    return [`${path} must be at least ${node.minimum}`];
+  }
+
+  if (node.maximum !== undefined && typeof value === "number" && value > node.maximum) {
+    return [`${path} must be at most ${node.maximum}`];
+  }
+
+  const problems = [];
+
+  if (isObject(value)) {
+    for (const key of node.required || []) {
+      if (value[key] === undefined) {
+        problems.push(`${path}.${key} is required`);
+      }
+    }
+
+    for (const [key, field] of Object.entries(value)) {
+      const fieldPath = `${path}.${key}`;
+      if (node.properties && hasOwn(node.properties, key)) {
+        problems.push(...validate(node.properties[key], field, fieldPath));
+      } else if (node.additionalProperties === false) {
+        problems.push(`${fieldPath} is not allowed`);
+      } else if (isObject(node.additionalProperties)) {
+        problems.push(...validate(node.additionalProperties, field, fieldPath));
+      }
+    }
+  }
+
+  if (Array.isArray(value) && node.items) {
+    value.forEach((item, index) => {
+      problems.push(...validate(node.items, item, `${path}[${index}]`));
+    });
+  }
+
+  for (const keyword of ["oneOf", "anyOf"]) {
+    if (node[keyword] === undefined) continue;
+
+    const branches = node[keyword].map((branch) => validate(branch, value, path));
+    const matches = branches.filter((branchProblems) => branchProblems.length === 0).length;
+    if (matches === 0) {
+      const reasons = branches.map((branchProblems) => branchProblems[0]).join(" / ");
+      problems.push(`${path} does not match any allowed form (${reasons})`);
+    } else if (keyword === "oneOf" && matches > 1) {
+      problems.push(`${path} matches more than one allowed form`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Look up a local reference such as `#/definitions/ChatTurn`.
+ */
+function resolveRef(ref) {
+  if (!ref.startsWith("#/")) {
+    throw new Error(`Only local schema references are supported: ${ref}`);
+  }
+
+  let node = schema;
+  for (const part of ref.slice(2).split("/")) {
+    node = node?.[part];
+  }
+  if (!node) {
+    throw new Error(`Unresolved schema reference: ${ref}`);
+  }
+  return node;
+}
+
+function hasType(value, type) {
+  switch (type) {
+    case "object":
+      return isObject(value);
+    case "array":
+      return Array.isArray(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "null":
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+}
+
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+function isObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function typeName(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+function withArticle(type) {
+  if (type === "null") return "null";
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+function equal(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+module.exports = { check, checkWebviewMessage, describeProblems, schema };
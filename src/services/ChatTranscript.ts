@@ -0,0 +1,330 @@
+/**
+ * Chat Transcript
+ *
+ * Exports a conversation as Markdown, to read or attach to a pull request, or
+ * as JSON (`ChatExport` in the protocol schema), and imports either back.
+ * JSON keeps everything: messages, tool calls with their results, token usage
+ * and models. Markdown imports restore the messages only.
+ *
+ * A message line the Markdown import would read as a heading, or as a line the
+ * export adds after a message, is written with a leading backslash, which
+ * Markdown renders as the plain text, and the backslash is removed on import.
+ * Lines in code blocks are left alone, since headings there are message text.
+ */
+
+import * as path from "path";
+import * as vscode from "vscode";
+import {
+  ChatExport,
+  ConversationMessage,
+  ExportChatMessage,
+  ToolCallRecord,
+} from "../protocol/types";
+import { check, describeProblems } from "../protocol/validate";
+import { fence } from "./markdown";
+
+export type ChatFormat = ExportChatMessage["format"];
+
+const ROLE_HEADINGS: Record<ConversationMessage["role"], string> = {
+  user: "User",
+  assistant: "Assistant",
+};
+
+/**
+ * Start of the lines the Markdown export adds after an assistant message.
+ */
+const TOOL_CALL_PREFIX = "<details><summary>Tool call:";
+const USAGE_PREFIX = "<sub>Tokens:";
+
+/**
+ * Message lines that would be read as the export's own, with any backslashes
+ * already escaping them.
+ */
+const ESCAPED_LINE = /^\\*(## (User|Assistant)\b|<details><summary>Tool call:|<sub>Tokens:)/;
+
+/**
+ * A conversation in the export format.
+ */
+export function toChatExport(
+  title: string,
+  messages: ConversationMessage[],
+  model?: string
+): ChatExport {
+  return {
+    format: "mistral-chat",
+    version: 1,
+    title,
+    exportedAt: new Date().toISOString(),
+    model: model || undefined,
+    messages,
+  };
+}
+
+/**
+ * Render a conversation as Markdown: a heading per message, then the tool
+ * calls and token usage of assistant messages.
+ */
+export function formatChatMarkdown(chat: ChatExport): string {
+  const usage = chat.messages.reduce(
+    (sum, message) => ({
+      prompt: sum.prompt + (message.usage?.prompt ?? 0),
+      completion: sum.completion + (message.usage?.completion ?? 0),
+    }),
+    { prompt: 0, completion: 0 }
+  );
+
+  const lines = [
+    `# ${chat.title}`,
+    "",
+    ...(chat.model ? [`- Model: ${chat.model}`] : []),
+    `- Exported: ${chat.exportedAt}`,
+    `- Messages: ${chat.messages.length}`,
+    ...(usage.prompt + usage.completion > 0
+      ? [
+          `- Tokens: ${usage.prompt + usage.completion} ` +
+            `(prompt ${usage.prompt}, completion ${usage.completion})`,
+        ]
+      : []),
+    "",
+    "---",
+  ];
+
+  for (const message of chat.messages) {
+    const model =
+      message.role === "assistant" && message.model && message.model !== chat.model
+        ? ` (${message.model})`
+        : "";
+    lines.push(
+      "",
+      `## ${ROLE_HEADINGS[message.role]}${model}`,
+      "",
+      escapeContent(message.content.trim())
+    );
+
+    for (const call of message.toolCalls ?? []) {
+      lines.push("", ...formatToolCall(call));
+    }
+    if (message.usage) {
+      lines.push(
+        "",
+        `${USAGE_PREFIX} ${message.usage.total} (prompt ${message.usage.prompt}, ` +
+          `completion ${message.usage.completion})</sub>`
+      );
+    }
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Read an exported chat. JSON is checked against the schema; anything else
+ * is read as Markdown written by formatChatMarkdown.
+ * @throws Error if the file is not an exported chat
+ */
+export function parseChatFile(text: string, fileName: string): ChatExport {
+  if (path.extname(fileName).toLowerCase() === ".json") {
+    let data: unknown;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`${path.basename(fileName)} is not valid JSON: ${error}`);
+    }
+    const problems = check("definition", "ChatExport", data);
+    if (problems.length > 0) {
+      throw new Error(describeProblems("chat export", problems));
+    }
+    return data as ChatExport;
+  }
+  return parseChatMarkdown(text, path.basename(fileName, path.extname(fileName)));
+}
+
+/**
+ * Ask where to save a chat and write it.
+ */
+export async function exportChat(chat: ChatExport, format: ChatFormat): Promise<void> {
+  const fileName = `${fileNameFor(chat.title)}.${format === "json" ? "json" : "md"}`;
+  const folder = vscode.workspace.workspaceFolders?.[0]?.uri;
+  const uri = await vscode.window.showSaveDialog({
+    title: "Export Mistral Chat",
+    defaultUri: folder ? vscode.Uri.joinPath(folder, fileName) : undefined,
+    filters: format === "json" ? { "Chat JSON": ["json"] } : { Markdown: ["md"] },
+  });
+  if (!uri) {
+    return;
+  }
+
+  const content =
+    format === "json" ? `${JSON.stringify(chat, null, 2)}\n` : formatChatMarkdown(chat);
+  await vscode.workspace.fs.writeFile(uri, Buffer.from(content, "utf8"));
+
+  const action = await vscode.window.showInformationMessage(
+    `Chat exported to ${vscode.workspace.asRelativePath(uri)}`,
+    "Open"
+  );
+  if (action === "Open") {
+    await vscode.window.showTextDocument(uri);
+  }
+}
+
+/**
+ * Ask for an exported chat and read it; undefined if none was picked.
+ * @throws Error if the file cannot be read or is not an exported chat
+ */
+export async function pickChatToImport(): Promise<ChatExport | undefined> {
+  const [uri] =
+    (await vscode.window.showOpenDialog({
+      title: "Import Mistral Chat",
+      canSelectMany: false,
+      filters: { "Exported chats": ["json", "md"] },
+    })) ?? [];
+  if (!uri) {
+    return undefined;
+  }
+
+  const data = await vscode.workspace.fs.readFile(uri);
+  return parseChatFile(Buffer.from(data).toString("utf8"), uri.path);
+}
+
+function formatToolCall(call: ToolCallRecord): string[] {
+  const outcome =
+    call.approved === false
+      ? "denied"
+      : call.success === undefined
+        ? "no result"
+        : call.success
+          ? "succeeded"
+          : "failed";
+  return [
+    `${TOOL_CALL_PREFIX} ${call.tool} (${outcome})</summary>`,
+    "",
+    fence(JSON.stringify(call.arguments, null, 2), "json"),
+    ...(call.output !== undefined ? ["", "Output:", "", fence(call.output, "text")] : []),
+    "",
+    "</details>",
+  ];
+}
+
+/**
+ * Messages from Markdown written by formatChatMarkdown. Headings inside code
+ * blocks are message text, not new messages.
+ */
+function parseChatMarkdown(text: string, fallbackTitle: string): ChatExport {
+  const lines = text.replace(/\r\n/g, "\n").split("\n");
+  let title = fallbackTitle;
+  let model: string | undefined;
+  let exportedAt = new Date().toISOString();
+
+  const sections: { role: ConversationMessage["role"]; model?: string; lines: string[] }[] = [];
+  const fences = new FenceTracker();
+  // Lines the export added after a message are skipped until the next heading
+  let skipping = false;
+
+  for (const line of lines) {
+    const current = sections[sections.length - 1];
+    const inFence = fences.inFence;
+
+    if (!inFence) {
+      const heading = /^## (User|Assistant)(?: \((.+)\))?\s*$/.exec(line);
+      if (heading) {
+        sections.push({
+          role: heading[1] === "User" ? "user" : "assistant",
+          model: heading[2],
+          lines: [],
+        });
+        skipping = false;
+        continue;
+      }
+      if (!current) {
+        title = /^# (.+)$/.exec(line)?.[1] ?? title;
+        model = /^- Model: (.+)$/.exec(line)?.[1] ?? model;
+        exportedAt = /^- Exported: (.+)$/.exec(line)?.[1] ?? exportedAt;
+        continue;
+      }
+      if (line.startsWith(TOOL_CALL_PREFIX) || line.startsWith(USAGE_PREFIX)) {
+        skipping = true;
+      }
+    }
+
+    fences.read(line);
+    if (current && !skipping) {
+      current.lines.push(!inFence && ESCAPED_LINE.test(line) ? line.slice(1) : line);
+    }
+  }
+
+  if (sections.length === 0) {
+    throw new Error("No messages found; expected a chat exported as Markdown or JSON");
+  }
+
+  const timestamp = Date.parse(exportedAt) || Date.now();
+  return {
+    format: "mistral-chat",
+    version: 1,
+    title,
+    exportedAt,
+    model,
+    messages: sections.map((section) => ({
+      role: section.role,
+      content: section.lines.join("\n").trim(),
+      timestamp,
+      ...(section.role === "assistant" && (section.model ?? model)
+        ? { model: section.model ?? model }
+        : {}),
+    })),
+  };
+}
+
+/**
+ * Whether a line is in a fenced code block, one line at a time.
+ */
+class FenceTracker {
+  /** Fence that opened the current code block */
+  marker: string | undefined;
+
+  get inFence(): boolean {
+    return this.marker !== undefined;
+  }
+
+  read(line: string): void {
+    const match = /^\s*(`{3,}|~{3,})/.exec(line);
+    if (!match) {
+      return;
+    }
+    const marker = match[1];
+    if (!this.marker) {
+      this.marker = marker;
+    } else if (marker[0] === this.marker[0] && marker.length >= this.marker.length) {
+      this.marker = undefined;
+    }
+  }
+}
+
+/**
+ * Escape message lines the import would take for the export's own. A code
+ * block left open, e.g. by a reply that was cut off, is closed, so the
+ * following messages are not read as its text.
+ */
+function escapeContent(content: string): string {
+  const fences = new FenceTracker();
+  const lines = content.split("\n").map((line) => {
+    const escaped = !fences.inFence && ESCAPED_LINE.test(line) ? `\\${line}` : line;
+    fences.read(line);
+    return escaped;
+  });
+  if (fences.marker) {
+    lines.push(fences.marker);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * A file name from a chat title, e.g. "Fix the login bug" becomes "fix-the-login-bug".
+ */
+function fileNameFor(title: string): string {
+  const name = title
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 50)
+    .replace(/-+$/, "");
+  return name || "mistral-chat";
+}
@@ -0,0 +1,133 @@
+/**
+ * CLI Settings
+ *
+ * Builds the command that starts the Mistral CLI from `mistral.cli`, falling
+ * back to the older `mistral.cliPath`, and reads `mistral.serverUrl`.
+ * Workspace settings may not choose the executable, its arguments, its
+ * environment or the server unless the workspace is trusted, since opening a
+ * folder must not run a program it names or send its code to a server it names.
+ */
+
+import * as fs from "fs";
+import * as path from "path";
+import * as vscode from "vscode";
+import { CliCommand, parseCommandLine } from "../client/command";
+
+/**
+ * Shape of the `mistral.cli` setting.
+ */
+interface CliSetting {
+  command?: string;
+  args?: string[];
+  env?: Record<string, string>;
+  cwd?: string;
+}
+
+/**
+ * The CLI command, the server to connect to instead, and any workspace
+ * settings left out of them.
+ */
+export interface ResolvedCliCommand {
+  cli: CliCommand;
+  /** `mistral.serverUrl`; empty to spawn the CLI */
+  endpoint: string;
+  /** Settings ignored because the workspace is not trusted, e.g. "mistral.cli" */
+  ignoredWorkspaceSettings: string[];
+}
+
+/**
+ * Read the CLI command and server URL from settings.
+ * @param folder - Workspace folder the session belongs to. The CLI runs there
+ *   unless `cwd` is set, and the folder's own settings apply.
+ */
+export function resolveCliCommand(folder?: vscode.WorkspaceFolder): ResolvedCliCommand {
+  const config = vscode.workspace.getConfiguration("mistral", folder);
+  const ignoredWorkspaceSettings: string[] = [];
+
+  const read = <T>(key: string): T | undefined => {
+    const info = config.inspect<T>(key);
+    if (!info) {
+      return undefined;
+    }
+
+    const workspaceValue = info.workspaceFolderValue ?? info.workspaceValue;
+    if (workspaceValue !== undefined) {
+      if (vscode.workspace.isTrusted) {
+        return workspaceValue;
+      }
+      ignoredWorkspaceSettings.push(`mistral.${key}`);
+    }
+    return info.globalValue ?? info.defaultValue;
+  };
+
+  const setting = read<CliSetting>("cli") ?? {};
+  const legacyPath = (read<string>("cliPath") ?? "").trim();
+
+  let command = setting.command?.trim() || "";
+  let legacyArgs: string[] = [];
+  if (!command && legacyPath) {
+    [command, ...legacyArgs] = splitLegacyPath(legacyPath);
+  }
+
+  return {
+    cli: {
+      command: command || "mistral",
+      args: [...legacyArgs, ...stringArray(setting.args)],
+      env: stringRecord(setting.env),
+      cwd: resolveCwd(setting.cwd, folder),
+    },
+    endpoint: (read<string>("serverUrl") ?? "").trim(),
+    ignoredWorkspaceSettings,
+  };
+}
+
+/**
+ * `mistral.cliPath` was run through a shell, so it may hold a command line
+ * such as `node /path/to/mock-server.js --capabilities=streaming`. An
+ * existing file is taken whole, so unquoted paths with spaces keep working.
+ */
+function splitLegacyPath(cliPath: string): string[] {
+  if (fs.existsSync(cliPath)) {
+    return [cliPath];
+  }
+
+  try {
+    const words = parseCommandLine(cliPath);
+    return words.length > 0 ? words : [cliPath];
+  } catch {
+    return [cliPath];
+  }
+}
+
+/**
+ * Resolve `${workspaceFolder}` and relative paths against the session's
+ * folder, which is also the default.
+ */
+function resolveCwd(
+  cwd: string | undefined,
+  workspaceFolder: vscode.WorkspaceFolder | undefined
+): string | undefined {
+  const folder = (workspaceFolder ?? vscode.workspace.workspaceFolders?.[0])?.uri.fsPath;
+  if (!cwd?.trim()) {
+    return workspaceFolder?.uri.fsPath;
+  }
+
+  const expanded = cwd.trim().replace(/\$\{workspaceFolder\}/g, folder ?? "");
+  return folder && !path.isAbsolute(expanded) ? path.join(folder, expanded) : expanded;
+}
+
+function stringArray(value: unknown): string[] {
+  return Array.isArray(value) ? value.map(String) : [];
+}
+
+function stringRecord(value: unknown): Record<string, string> {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return {};
+  }
+
+  const record: Record<string, string> = {};
+  for (const [key, field] of Object.entries(value)) {
+    record[key] = String(field);
+  }
+  return record;
+}
@@ -0,0 +1,281 @@
+/**
+ * Conversation Store
+ *
+ * Saves chat conversations per workspace, so they survive "New Chat" and
+ * window reloads and can be reopened from the chat history. The list of
+ * conversations lives in workspace state; their messages are JSON files in
+ * the workspace's extension storage, or global storage in a window without
+ * a folder.
+ */
+
+import * as vscode from "vscode";
+import { ConversationMessage, ConversationSummary } from "../protocol/types";
+
+const INDEX_KEY = "mistral.conversations";
+const ACTIVE_KEY = "mistral.activeConversations";
+
+/**
+ * Longest title derived from a conversation's first message.
+ */
+const MAX_TITLE_LENGTH = 60;
+
+/**
+ * A saved conversation and the chat session it belongs to.
+ */
+interface StoredConversation extends ConversationSummary {
+  sessionId: string;
+}
+
+/**
+ * Title for a new conversation: its first message, on one line and shortened.
+ */
+export function titleFor(text: string): string {
+  const line = text.replace(/\s+/g, " ").trim();
+  return line.length > MAX_TITLE_LENGTH ? `${line.slice(0, MAX_TITLE_LENGTH - 1)}…` : line || "New chat";
+}
+
+/**
+ * All versions of a conversation from an edited user message on, in order.
+ * Each version starts with that version of the message; the one shown is
+ * the rest of `history`.
+ */
+export function branchVersions(
+  history: ConversationMessage[],
+  index: number
+): ConversationMessage[][] {
+  const { branch = 0, branches = [], ...message } = history[index];
+  const versions = [...branches];
+  versions.splice(branch, 0, [message, ...history.slice(index + 1)]);
+  return versions;
+}
+
+/**
+ * The history with `versions[version]` shown from `index` on and the other
+ * versions kept on its first message.
+ */
+export function showVersion(
+  history: ConversationMessage[],
+  index: number,
+  versions: ConversationMessage[][],
+  version: number
+): ConversationMessage[] {
+  const [message, ...rest] = versions[version];
+  const others = versions.filter((_, i) => i !== version);
+  return [
+    ...history.slice(0, index),
+    others.length > 0 ? { ...message, branch: version, branches: others } : message,
+    ...rest,
+  ];
+}
+
+/**
+ * All replies generated for a user message, in order; the one shown is `reply`.
+ */
+export function replyCandidates(reply: ConversationMessage): ConversationMessage[] {
+  const { candidate = 0, candidates = [], ...message } = reply;
+  const all = [...candidates];
+  all.splice(candidate, 0, message);
+  return all;
+}
+
+/**
+ * `candidates[index]` with the other candidates kept on it.
+ */
+export function showCandidate(
+  candidates: ConversationMessage[],
+  index: number
+): ConversationMessage {
+  const others = candidates.filter((_, i) => i !== index);
+  return others.length > 0
+    ? { ...candidates[index], candidate: index, candidates: others }
+    : candidates[index];
+}
+
+/**
+ * ConversationStore keeps the saved conversations of every chat session in
+ * the workspace.
+ */
+export class ConversationStore implements vscode.Disposable {
+  private index: StoredConversation[];
+  private readonly directory: vscode.Uri;
+  /** Writes run one at a time, so a later save is not overtaken by an earlier one */
+  private writes: Promise<unknown> = Promise.resolve();
+
+  private readonly onDidChangeEmitter = new vscode.EventEmitter<void>();
+  /** Fired when conversations are added, updated, renamed or deleted */
+  public readonly onDidChange = this.onDidChangeEmitter.event;
+
+  constructor(private readonly context: vscode.ExtensionContext) {
+    this.index = context.workspaceState.get<StoredConversation[]>(INDEX_KEY, []);
+    this.directory = vscode.Uri.joinPath(
+      context.storageUri ?? context.globalStorageUri,
+      "conversations"
+    );
+  }
+
+  /**
+   * A session's conversations, most recently updated first.
+   */
+  public list(sessionId: string): ConversationSummary[] {
+    return this.index
+      .filter((conversation) => conversation.sessionId === sessionId)
+      .sort((a, b) => b.updatedAt - a.updatedAt)
+      .map(({ id, title, createdAt, updatedAt, messageCount }) => ({
+        id,
+        title,
+        createdAt,
+        updatedAt,
+        messageCount,
+      }));
+  }
+
+  public has(id: string): boolean {
+    return this.index.some((conversation) => conversation.id === id);
+  }
+
+  /**
+   * A conversation's messages, or undefined if it was deleted or its file is gone.
+   */
+  public async load(id: string): Promise<ConversationMessage[] | undefined> {
+    if (!this.has(id)) {
+      return undefined;
+    }
+    await this.writes;
+    try {
+      const data = await vscode.workspace.fs.readFile(this.fileFor(id));
+      return JSON.parse(Buffer.from(data).toString("utf8")).messages;
+    } catch (error) {
+      console.error(`Failed to load conversation ${id}:`, error);
+      return undefined;
+    }
+  }
+
+  /**
+   * Save a conversation's messages. A new id creates a conversation, titled
+   * `title` or after its first message.
+   */
+  public save(
+    id: string,
+    sessionId: string,
+    messages: ConversationMessage[],
+    title?: string
+  ): Promise<void> {
+    const now = Date.now();
+    const existing = this.index.find((conversation) => conversation.id === id);
+    const conversation: StoredConversation = {
+      id,
+      sessionId,
+      title:
+        existing?.title ??
+        (title?.trim() || titleFor(messages.find((m) => m.role === "user")?.content ?? "")),
+      createdAt: existing?.createdAt ?? now,
+      updatedAt: now,
+      messageCount: messages.length,
+    };
+    this.index = [conversation, ...this.index.filter((c) => c.id !== id)];
+
+    // Beyond the limit, the least recently updated conversations are dropped
+    const max = vscode.workspace
+      .getConfiguration("mistral.history")
+      .get<number>("maxConversations", 100);
+    const dropped = [...this.index]
+      .sort((a, b) => b.updatedAt - a.updatedAt)
+      .slice(Math.max(1, max));
+    this.index = this.index.filter((c) => !dropped.includes(c));
+
+    return this.write(async () => {
+      await vscode.workspace.fs.createDirectory(this.directory);
+      await vscode.workspace.fs.writeFile(
+        this.fileFor(id),
+        Buffer.from(JSON.stringify({ messages }), "utf8")
+      );
+      await Promise.all(dropped.map((c) => this.deleteFile(c.id)));
+    });
+  }
+
+  public rename(id: string, title: string): Promise<void> {
+    const trimmed = title.trim();
+    const conversation = this.index.find((c) => c.id === id);
+    if (!conversation || !trimmed) {
+      return Promise.resolve();
+    }
+    this.index = this.index.map((c) => (c.id === id ? { ...c, title: trimmed } : c));
+    return this.write(async () => undefined);
+  }
+
+  public delete(id: string): Promise<void> {
+    if (!this.has(id)) {
+      return Promise.resolve();
+    }
+    this.index = this.index.filter((c) => c.id !== id);
+    return this.write(() => this.deleteFile(id));
+  }
+
+  /**
+   * Ids of a session's conversations whose title or messages contain the
+   * query, ignoring case.
+   */
+  public async search(sessionId: string, query: string): Promise<string[]> {
+    const needle = query.trim().toLowerCase();
+    const matches: string[] = [];
+    for (const conversation of this.list(sessionId)) {
+      if (conversation.title.toLowerCase().includes(needle)) {
+        matches.push(conversation.id);
+        continue;
+      }
+      const messages = await this.load(conversation.id);
+      if (messages?.some((message) => message.content.toLowerCase().includes(needle))) {
+        matches.push(conversation.id);
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * The conversation a session showed last, to reopen it after a reload.
+   */
+  public getActive(sessionId: string): string | undefined {
+    const id = this.context.workspaceState.get<Record<string, string>>(ACTIVE_KEY, {})[sessionId];
+    return id !== undefined && this.has(id) ? id : undefined;
+  }
+
+  public setActive(sessionId: string, id: string | undefined): Thenable<void> {
+    const active = { ...this.context.workspaceState.get<Record<string, string>>(ACTIVE_KEY, {}) };
+    if (id === undefined) {
+      delete active[sessionId];
+    } else {
+      active[sessionId] = id;
+    }
+    return this.context.workspaceState.update(ACTIVE_KEY, active);
+  }
+
+  public dispose(): void {
+    this.onDidChangeEmitter.dispose();
+  }
+
+  /**
+   * Persist the index after a change, then run the change's file work.
+   */
+  private write<T>(work: () => Promise<T>): Promise<T> {
+    const index = this.index;
+    this.onDidChangeEmitter.fire();
+    const result = this.writes.then(async () => {
+      await this.context.workspaceState.update(INDEX_KEY, index);
+      return work();
+    });
+    this.writes = result.catch((error) => console.error("Failed to save conversations:", error));
+    return result;
+  }
+
+  private async deleteFile(id: string): Promise<void> {
+    try {
+      await vscode.workspace.fs.delete(this.fileFor(id));
+    } catch {
+      // Already gone
+    }
+  }
+
+  private fileFor(id: string): vscode.Uri {
+    return vscode.Uri.joinPath(this.directory, `${id}.json`);
+  }
+}
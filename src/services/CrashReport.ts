@@ -0,0 +1,127 @@
+/**
+ * Crash Report
+ *
+ * Turns a client's diagnostics (exit codes, CLI stderr and the last protocol
+ * messages) into a Markdown report, and offers it when the CLI keeps
+ * crashing or cannot be restarted. The report can be opened in an editor or
+ * copied for a bug report.
+ */
+
+import * as vscode from "vscode";
+import { ClientDiagnostics, ExitRecord, MistralRpcClient } from "../client/rpc";
+import { fence } from "./markdown";
+import { redactMessage } from "./RpcLogService";
+
+const SHOW_DETAILS = "Show Crash Details";
+const COPY_REPORT = "Copy Diagnostic Report";
+
+/**
+ * What the report is about, beyond the client's own diagnostics.
+ */
+export interface CrashReportDetails {
+  /** Session label, e.g. the workspace folder name */
+  session: string;
+  /** Why the report was made, e.g. "Reconnecting failed after 5 attempts" */
+  summary: string;
+  extensionVersion: string;
+  /** Replace file contents and generated text in messages with their length */
+  redactContent: boolean;
+}
+
+/**
+ * Show an error with actions to open or copy a crash report.
+ * The report is taken when the error is shown, since reconnect attempts keep
+ * changing the client's buffers while the message is open.
+ */
+export async function offerCrashReport(
+  message: string,
+  client: MistralRpcClient,
+  details: Omit<CrashReportDetails, "redactContent">
+): Promise<void> {
+  const redactContent = vscode.workspace
+    .getConfiguration("mistral.rpcLog")
+    .get<boolean>("redactContent", true);
+  const report = formatCrashReport(client.getDiagnostics(), { ...details, redactContent });
+
+  const action = await vscode.window.showErrorMessage(message, SHOW_DETAILS, COPY_REPORT);
+  if (action === SHOW_DETAILS) {
+    const document = await vscode.workspace.openTextDocument({
+      language: "markdown",
+      content: report,
+    });
+    await vscode.window.showTextDocument(document, { preview: false });
+  } else if (action === COPY_REPORT) {
+    await vscode.env.clipboard.writeText(report);
+    vscode.window.showInformationMessage("Mistral diagnostic report copied to the clipboard");
+  }
+}
+
+/**
+ * Render diagnostics as Markdown. Messages use the line format of
+ * "Export RPC Log as JSONL".
+ */
+export function formatCrashReport(diagnostics: ClientDiagnostics, details: CrashReportDetails): string {
+  const server = diagnostics.lastServer;
+  const lines = [
+    "# Mistral CLI Diagnostic Report",
+    "",
+    `- Summary: ${details.summary}`,
+    `- Session: ${details.session}`,
+    `- Time: ${new Date(diagnostics.time).toISOString()}`,
+    `- Extension: ${details.extensionVersion}, VS Code ${vscode.version}, ` +
+      `${process.platform}-${process.arch}, Node ${process.version}`,
+    "",
+    "## Connection",
+    "",
+    `- State: ${diagnostics.state}`,
+    diagnostics.endpoint
+      ? `- Endpoint: ${diagnostics.endpoint}`
+      : `- Command: \`${diagnostics.command}\``,
+    `- Working directory: ${diagnostics.cwd ?? "(extension host's)"}`,
+    `- Environment: ${diagnostics.env.length > 0 ? `${diagnostics.env.join(", ")} (values omitted)` : "(none added)"}`,
+    `- Framing: ${diagnostics.framing}`,
+    `- Reconnect attempts: ${diagnostics.reconnectAttempts} of ${diagnostics.maxReconnectAttempts}`,
+    server
+      ? `- Last server: ${server.version}, protocol ${server.protocolVersion}, ${server.framing} framing`
+      : "- Last server: never connected",
+    "",
+    `## Exits (${diagnostics.exits.length})`,
+    "",
+    ...(diagnostics.exits.length > 0 ? diagnostics.exits.map(formatExit) : ["None recorded."]),
+    "",
+    `## CLI stderr (last ${diagnostics.stderr.length} lines)`,
+    "",
+    fence(diagnostics.stderr.join("\n"), "text"),
+    "",
+    `## Protocol messages (last ${diagnostics.messages.length})`,
+    "",
+    fence(
+      diagnostics.messages
+        .map((entry) =>
+          JSON.stringify({
+            time: new Date(entry.time).toISOString(),
+            direction: entry.direction,
+            message: details.redactContent ? redactMessage(entry.message) : entry.message,
+            text: entry.text,
+            duration_ms: entry.durationMs,
+          })
+        )
+        .join("\n"),
+      "jsonl"
+    ),
+    "",
+  ];
+  return lines.join("\n");
+}
+
+/**
+ * One exit as a list item, e.g. `- 2026-01-01T12:00:00.000Z: exit code 70`.
+ */
+function formatExit(exit: ExitRecord): string {
+  const parts = [
+    exit.code !== null ? `exit code ${exit.code}` : undefined,
+    exit.signal !== null ? `signal ${exit.signal}` : undefined,
+    exit.reason,
+  ].filter((part): part is string => part !== undefined);
+  return `- ${new Date(exit.time).toISOString()}: ${parts.join(", ") || "closed"}`;
+}
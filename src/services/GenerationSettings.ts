@@ -0,0 +1,40 @@
+/**
+ * Generation Settings
+ *
+ * Sampling parameters sent with chat and agent requests: the defaults from
+ * `mistral.generation.*`, overridden per message from the chat input.
+ */
+
+import * as vscode from "vscode";
+import { GenerationParams } from "../protocol/types";
+
+/**
+ * Read `mistral.generation.*`. Settings left empty are omitted, so the CLI
+ * uses its own defaults for them.
+ */
+export function readGenerationDefaults(): GenerationParams {
+  const config = vscode.workspace.getConfiguration("mistral.generation");
+  const stop = config.get<string[]>("stop", []);
+  return withoutEmpty({
+    temperature: config.get<number | null>("temperature") ?? undefined,
+    top_p: config.get<number | null>("topP") ?? undefined,
+    max_tokens: config.get<number | null>("maxTokens") ?? undefined,
+    stop: stop.length > 0 ? stop : undefined,
+  });
+}
+
+/**
+ * The parameters for one request: the settings, with the message's overrides on top.
+ */
+export function resolveGeneration(overrides?: GenerationParams): GenerationParams {
+  return { ...readGenerationDefaults(), ...withoutEmpty(overrides ?? {}) };
+}
+
+/**
+ * Drop fields that are unset, so they do not replace a default when merged.
+ */
+function withoutEmpty(params: GenerationParams): GenerationParams {
+  return Object.fromEntries(
+    Object.entries(params).filter(([, value]) => value !== undefined && value !== null)
+  ) as GenerationParams;
+}
@@ -0,0 +1,77 @@
+/**
+ * Model Catalog
+ *
+ * The models a CLI offers, from `model.list` when it advertises `model_list`,
+ * and a built-in list of the Mistral API models otherwise.
+ */
+
+import { CallOptions, MistralRpcClient } from "../client/rpc";
+import { ModelInfo } from "../protocol/types";
+
+/**
+ * Context window assumed for models the CLI does not describe.
+ */
+export const DEFAULT_CONTEXT_WINDOW = 32000;
+
+/**
+ * Models offered when the CLI cannot list its own.
+ */
+export const FALLBACK_MODELS: ModelInfo[] = [
+  { id: "mistral-tiny", name: "Mistral Tiny", context_window: 32000 },
+  { id: "mistral-small", name: "Mistral Small", context_window: 32000 },
+  { id: "mistral-medium", name: "Mistral Medium", context_window: 32000 },
+  { id: "mistral-large", name: "Mistral Large", context_window: 128000 },
+  { id: "codestral-latest", name: "Codestral", context_window: 256000 },
+];
+
+/**
+ * Models the CLI offers. Falls back to FALLBACK_MODELS when it cannot list
+ * them or the listing fails.
+ */
+export async function loadModels(
+  client: MistralRpcClient,
+  options?: CallOptions
+): Promise<ModelInfo[]> {
+  if (!client.supports("model_list")) {
+    return FALLBACK_MODELS;
+  }
+  try {
+    const { models } = await client.listModels(options);
+    return models.length > 0 ? models : FALLBACK_MODELS;
+  } catch (error) {
+    console.error("Failed to list models:", error);
+    return FALLBACK_MODELS;
+  }
+}
+
+/**
+ * Context window of a model: as reported by the CLI, else from the catalog.
+ */
+export function contextWindowFor(
+  model: string,
+  reported?: number,
+  catalog: ModelInfo[] = FALLBACK_MODELS
+): number {
+  return (
+    reported ??
+    catalog.find((info) => info.id === model)?.context_window ??
+    DEFAULT_CONTEXT_WINDOW
+  );
+}
+
+/**
+ * One-line summary of a model, e.g. "32K context · tools · $0.2 / $0.6 per 1M tokens".
+ */
+export function describeModel(info: ModelInfo): string {
+  const parts: string[] = [];
+  if (info.context_window !== undefined) {
+    parts.push(`${Math.round(info.context_window / 1000)}K context`);
+  }
+  if (info.supports_tools !== undefined) {
+    parts.push(info.supports_tools ? "tools" : "no tools");
+  }
+  if (info.cost) {
+    parts.push(`$${info.cost.input} / $${info.cost.output} per 1M tokens`);
+  }
+  return parts.join(" · ");
+}
@@ -0,0 +1,221 @@
+/**
+ * RPC Log Service
+ *
+ * Records JSON-RPC traffic between the extension and the Mistral CLI into a
+ * "Mistral RPC" output channel, and exports it as JSONL for replay by the
+ * mock server test suite (`node src/mock/tests/index.js --replay=FILE`).
+ * With several chat sessions, only the one shown in the sidebar is recorded.
+ */
+
+import * as vscode from "vscode";
+import { MistralRpcClient, RpcTraceEntry } from "../client/rpc";
+
+/**
+ * Fields that carry file contents or generated text.
+ */
+const REDACTED_KEYS = new Set(["content", "output", "full_text", "text"]);
+
+/**
+ * Entries kept in memory for export; older entries are dropped.
+ */
+const MAX_ENTRIES = 5000;
+
+/**
+ * Longest message shown on one output channel line.
+ */
+const MAX_LINE_LENGTH = 500;
+
+/**
+ * Replace string values of redacted keys with their length, at any depth.
+ */
+export function redactMessage(value: unknown): unknown {
+  if (Array.isArray(value)) {
+    return value.map(redactMessage);
+  }
+  if (value === null || typeof value !== "object") {
+    return value;
+  }
+
+  const redacted: Record<string, unknown> = {};
+  for (const [key, field] of Object.entries(value)) {
+    redacted[key] =
+      REDACTED_KEYS.has(key) && typeof field === "string"
+        ? `<redacted ${field.length} chars>`
+        : redactMessage(field);
+  }
+  return redacted;
+}
+
+/**
+ * RpcLogService keeps an opt-in log of RPC traffic.
+ */
+export class RpcLogService implements vscode.Disposable {
+  private channel?: vscode.OutputChannel;
+  private entries: RpcTraceEntry[] = [];
+  private client?: MistralRpcClient;
+  private listening = false;
+
+  private readonly onTrace = (entry: RpcTraceEntry) => this.record(entry);
+
+  /**
+   * Start recording the client's traffic if logging is enabled.
+   */
+  public attach(client: MistralRpcClient): void {
+    this.detach();
+    this.client = client;
+    this.applyConfig();
+  }
+
+  /**
+   * Re-read `mistral.rpcLog.*` settings.
+   */
+  public applyConfig(): void {
+    const enabled = this.isEnabled();
+
+    if (enabled && !this.listening && this.client) {
+      this.client.on("trace", this.onTrace);
+      this.listening = true;
+      this.getChannel().appendLine(`[${timestamp(Date.now())}] RPC logging started`);
+    } else if (!enabled && this.listening) {
+      this.detach();
+    }
+  }
+
+  /**
+   * Reveal the output channel, offering to enable logging if it is off.
+   */
+  public async show(): Promise<void> {
+    if (!this.isEnabled()) {
+      const action = await vscode.window.showInformationMessage(
+        "RPC logging is off. Enable it to record traffic with the Mistral CLI?",
+        "Enable"
+      );
+      if (action !== "Enable") {
+        return;
+      }
+      await vscode.workspace
+        .getConfiguration("mistral.rpcLog")
+        .update("enabled", true, vscode.ConfigurationTarget.Global);
+      this.applyConfig();
+    }
+
+    this.getChannel().show(true);
+  }
+
+  /**
+   * Save recorded entries as JSONL, one trace entry per line.
+   */
+  public async exportJsonl(): Promise<void> {
+    if (this.entries.length === 0) {
+      vscode.window.showInformationMessage(
+        "No RPC traffic recorded yet. Enable mistral.rpcLog.enabled and reproduce the problem first."
+      );
+      return;
+    }
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    const target = await vscode.window.showSaveDialog({
+      defaultUri: vscode.Uri.joinPath(
+        vscode.workspace.workspaceFolders?.[0]?.uri ?? vscode.Uri.file(process.cwd()),
+        `mistral-rpc-${stamp}.jsonl`
+      ),
+      filters: { "JSON Lines": ["jsonl"] },
+    });
+    if (!target) {
+      return;
+    }
+
+    const lines = this.entries.map((entry) =>
+      JSON.stringify({
+        time: new Date(entry.time).toISOString(),
+        direction: entry.direction,
+        message: entry.message,
+        text: entry.text,
+        duration_ms: entry.durationMs,
+      })
+    );
+    await vscode.workspace.fs.writeFile(target, Buffer.from(lines.join("\n") + "\n", "utf8"));
+    vscode.window.showInformationMessage(`Exported ${lines.length} RPC log entries`);
+  }
+
+  public dispose(): void {
+    this.detach();
+    this.client = undefined;
+    this.channel?.dispose();
+    this.channel = undefined;
+  }
+
+  private detach(): void {
+    if (this.listening) {
+      this.client?.off("trace", this.onTrace);
+      this.listening = false;
+    }
+  }
+
+  private isEnabled(): boolean {
+    return vscode.workspace.getConfiguration("mistral.rpcLog").get<boolean>("enabled", false);
+  }
+
+  private getChannel(): vscode.OutputChannel {
+    if (!this.channel) {
+      this.channel = vscode.window.createOutputChannel("Mistral RPC");
+    }
+    return this.channel;
+  }
+
+  private record(entry: RpcTraceEntry): void {
+    const redact = vscode.workspace
+      .getConfiguration("mistral.rpcLog")
+      .get<boolean>("redactContent", true);
+    const stored = redact ? { ...entry, message: redactMessage(entry.message) } : entry;
+
+    this.entries.push(stored);
+    if (this.entries.length > MAX_ENTRIES) {
+      this.entries.splice(0, this.entries.length - MAX_ENTRIES);
+    }
+
+    this.getChannel().appendLine(formatEntry(stored));
+  }
+}
+
+/**
+ * One output channel line, e.g. `[12:00:01.234] → request #3 chat {...}`.
+ */
+function formatEntry(entry: RpcTraceEntry): string {
+  const time = `[${timestamp(entry.time)}]`;
+
+  if (entry.direction === "stderr") {
+    return `${time} ! stderr ${entry.text?.trimEnd() ?? ""}`;
+  }
+
+  const arrow = entry.direction === "send" ? "→" : "←";
+  if (entry.message === undefined) {
+    return `${time} ${arrow} unparsable ${truncate(entry.text ?? "")}`;
+  }
+
+  const message = entry.message as {
+    id?: number | string | null;
+    method?: string;
+    error?: { code: number };
+  };
+  let label: string;
+  if (message.method !== undefined && message.id !== undefined) {
+    label = `request #${message.id} ${message.method}`;
+  } else if (message.method !== undefined) {
+    label = `notification ${message.method}`;
+  } else {
+    const outcome = message.error ? `error ${message.error.code}` : "ok";
+    const duration = entry.durationMs !== undefined ? ` (${entry.durationMs} ms)` : "";
+    label = `response #${message.id} ${outcome}${duration}`;
+  }
+
+  return `${time} ${arrow} ${label} ${truncate(JSON.stringify(entry.message))}`;
+}
+
+function truncate(text: string): string {
+  return text.length > MAX_LINE_LENGTH ? `${text.slice(0, MAX_LINE_LENGTH)}…` : text;
+}
+
+function timestamp(time: number): string {
+  return new Date(time).toISOString().slice(11, 23);
+}
@@ -10,17 +10,12 @@ import * as path from "path";
 import { IntentDetector, DetectedIntent } from "./IntentDetector";
 import { SymbolResolver, ResolvedPosition } from "./SymbolResolver";
 import { DiffPreviewService, PreviewResult } from "./DiffPreviewService";
+import { ApplyPayload } from "../protocol/types";
 
 /**
- * Payload for applying code from the webview.
+ * Payload for applying code from the webview, as defined by the protocol schema.
  */
-export interface ApplyPayload {
-  code: string;
-  language: string;
-  intent: "create" | "edit" | "command";
-  target?: string; // Filename or path hint
-  anchor?: string; // Function/class name or context line
-}
+export type { ApplyPayload };
 
 /**
  * Result of applying code.
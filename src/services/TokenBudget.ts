@@ -0,0 +1,79 @@
+/**
+ * Token Budget
+ *
+ * Checks whether a message fits the model's context window together with the
+ * chat history and context files, before it is sent. Counts come from the
+ * CLI's tokenizer (`tokens.count`) when it advertises `token_count`, and are
+ * estimated at about four characters per token otherwise.
+ */
+
+import { CallOptions, ChatTurn, MistralRpcClient } from "../client/rpc";
+import { ContextFile } from "../protocol/types";
+
+/**
+ * Token counts of a message about to be sent, and what it may use.
+ */
+export interface TokenBudget {
+  /** Tokens the prompt may use: the context window less the reply reserve */
+  limit: number;
+  message: number;
+  history: number;
+  context: number;
+  total: number;
+  /** Whether the counts come from the CLI's tokenizer rather than an estimate */
+  exact: boolean;
+}
+
+/**
+ * Rough token count of text, at about four characters per token.
+ */
+export function estimateTokens(text: string): number {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Count the tokens a chat with this message would send.
+ * @param history - Completed turns the message follows
+ * @param serverHistory - Whether `history` is the CLI's own history. The CLI
+ *   counts only that, so other turns, e.g. those before an edited message,
+ *   are estimated.
+ * @param contextFiles - Files sent with the message, with their counts from `context.list`
+ * @param limit - Tokens the prompt may use
+ */
+export async function measureBudget(
+  client: MistralRpcClient,
+  message: string,
+  history: ChatTurn[],
+  serverHistory: boolean,
+  contextFiles: ContextFile[],
+  limit: number,
+  options?: CallOptions
+): Promise<TokenBudget> {
+  if (serverHistory && client.supports("token_count")) {
+    const counts = await client.countTokens(
+      message,
+      contextFiles.map((file) => file.path),
+      options
+    );
+    return {
+      limit,
+      message: counts.message,
+      history: counts.history,
+      context: counts.context,
+      total: counts.total,
+      exact: true,
+    };
+  }
+
+  const counts = {
+    message: estimateTokens(message),
+    history: history.reduce((sum, turn) => sum + estimateTokens(turn.content), 0),
+    context: contextFiles.reduce((sum, file) => sum + file.tokens, 0),
+  };
+  return {
+    limit,
+    ...counts,
+    total: counts.message + counts.history + counts.context,
+    exact: false,
+  };
+}
@@ -13,3 +13,30 @@ export {
   ApplyResult,
   SmartApplyConfig,
 } from "./SmartApplyService";
+export { RpcLogService, redactMessage } from "./RpcLogService";
+export { resolveCliCommand, ResolvedCliCommand } from "./CliSettings";
+export { offerCrashReport, formatCrashReport, CrashReportDetails } from "./CrashReport";
+export { measureBudget, estimateTokens, TokenBudget } from "./TokenBudget";
+export { readGenerationDefaults, resolveGeneration } from "./GenerationSettings";
+export {
+  ConversationStore,
+  titleFor,
+  branchVersions,
+  showVersion,
+  replyCandidates,
+  showCandidate,
+} from "./ConversationStore";
+export {
+  loadModels,
+  contextWindowFor,
+  describeModel,
+  FALLBACK_MODELS,
+  DEFAULT_CONTEXT_WINDOW,
+} from "./ModelCatalog";
+export {
+  exportChat,
+  pickChatToImport,
+  toChatExport,
+  parseChatFile,
+  ChatFormat,
+} from "./ChatTranscript";
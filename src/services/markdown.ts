@@ -0,0 +1,12 @@
+/**
+ * Markdown helpers shared by the reports and exports the extension writes.
+ */
+
+/**
+ * A code block whose fence is longer than any backtick run in the text.
+ */
+export function fence(text: string, language: string): string {
+  const longest = Math.max(2, ...(text.match(/`+/g) ?? []).map((run) => run.length));
+  const marker = "`".repeat(longest + 1);
+  return `${marker}${language}\n${text || "(empty)"}\n${marker}`;
+}
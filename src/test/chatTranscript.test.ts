@@ -0,0 +1,100 @@
+import * as assert from "assert";
+import { ChatExport, ConversationMessage } from "../protocol/types";
+import { formatChatMarkdown, parseChatFile } from "../services/ChatTranscript";
+
+describe("Markdown chat export", () => {
+  const exportedAt = "2026-10-19T12:00:00.000Z";
+  const timestamp = Date.parse(exportedAt);
+
+  function chatOf(messages: ConversationMessage[]): ChatExport {
+    return {
+      format: "mistral-chat",
+      version: 1,
+      title: "Layout",
+      exportedAt,
+      model: "mistral-large",
+      messages,
+    };
+  }
+
+  /**
+   * Export as Markdown and import the file back.
+   */
+  function roundTrip(chat: ChatExport): ChatExport {
+    return parseChatFile(formatChatMarkdown(chat), "layout.md");
+  }
+
+  it("reads back the title, model and messages", () => {
+    const chat = chatOf([
+      { role: "user", content: "Hello", timestamp: 0 },
+      {
+        role: "assistant",
+        content: "Hi.",
+        timestamp: 0,
+        toolCalls: [
+          { id: "1", tool: "read_file", arguments: { path: "a.ts" }, success: true, output: "x" },
+        ],
+        usage: { prompt: 5, completion: 7, total: 12 },
+      },
+    ]);
+
+    assert.deepStrictEqual(roundTrip(chat), {
+      ...chat,
+      messages: [
+        { role: "user", content: "Hello", timestamp },
+        { role: "assistant", content: "Hi.", timestamp, model: "mistral-large" },
+      ],
+    });
+  });
+
+  it("round-trips message lines that look like the export's own", () => {
+    const content = [
+      "Each message starts with a heading:",
+      "",
+      "## Assistant",
+      "\\## User (escaped already)",
+      "<details><summary>Tool call: read_file</summary>",
+      "<sub>Tokens: 12</sub>",
+      "```markdown",
+      "## User",
+      "```",
+    ].join("\n");
+    const chat = chatOf([
+      { role: "user", content: "How is an export laid out?", timestamp: 0 },
+      { role: "assistant", content, timestamp: 0, usage: { prompt: 5, completion: 7, total: 12 } },
+    ]);
+
+    const markdown = formatChatMarkdown(chat);
+    const imported = parseChatFile(markdown, "layout.md");
+
+    assert.match(markdown, /^\\## Assistant$/m);
+    assert.match(markdown, /^\\\\## User \(escaped already\)$/m);
+    assert.deepStrictEqual(
+      imported.messages.map((message) => message.content),
+      ["How is an export laid out?", content]
+    );
+  });
+
+  it("closes a code block a message left open", () => {
+    const chat = chatOf([
+      { role: "user", content: "And this?\n```js\nconst x = 1;", timestamp: 0 },
+      { role: "assistant", content: "Done.", timestamp: 0 },
+    ]);
+
+    assert.deepStrictEqual(
+      roundTrip(chat).messages.map((message) => message.content),
+      ["And this?\n```js\nconst x = 1;\n```", "Done."]
+    );
+  });
+
+  it("takes the title from the file name when there is none", () => {
+    const imported = parseChatFile("## User\n\nHello\n", "notes.md");
+
+    assert.strictEqual(imported.title, "notes");
+    assert.deepStrictEqual(imported.messages.map((message) => message.content), ["Hello"]);
+  });
+
+  it("rejects Markdown without messages", () => {
+    assert.throws(() => parseChatFile("# Just a title\n", "notes.md"), /No messages found/);
+  });
+});
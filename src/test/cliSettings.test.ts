@@ -0,0 +1,101 @@
+import * as assert from "assert";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import type * as vscode from "vscode";
+import { resolveCliCommand } from "../services/CliSettings";
+import { addWorkspaceFolder, resetWorkspace, setSetting, workspace } from "./vscode";
+
+describe("resolveCliCommand", () => {
+  const root = path.resolve("/work");
+  let folder: vscode.WorkspaceFolder;
+
+  beforeEach(() => {
+    addWorkspaceFolder(path.join(root, "first"));
+    folder = addWorkspaceFolder(path.join(root, "second")) as unknown as vscode.WorkspaceFolder;
+  });
+
+  afterEach(() => {
+    resetWorkspace();
+  });
+
+  it("runs mistral in the session's folder by default", () => {
+    assert.deepStrictEqual(resolveCliCommand(folder), {
+      cli: { command: "mistral", args: [], env: {}, cwd: path.join(root, "second") },
+      endpoint: "",
+      ignoredWorkspaceSettings: [],
+    });
+  });
+
+  it("resolves cwd against the session's folder, not the first one", () => {
+    setSetting("mistral.cli", { globalValue: { cwd: "tools" } });
+    assert.strictEqual(resolveCliCommand(folder).cli.cwd, path.join(root, "second", "tools"));
+
+    setSetting("mistral.cli", { globalValue: { cwd: "${workspaceFolder}/bin" } });
+    assert.strictEqual(resolveCliCommand(folder).cli.cwd, path.join(root, "second", "bin"));
+  });
+
+  it("prefers the folder's value over the workspace's in a trusted workspace", () => {
+    setSetting("mistral.cli", {
+      globalValue: { command: "user-cli" },
+      workspaceValue: { command: "workspace-cli" },
+      workspaceFolderValue: { command: "folder-cli", args: ["--verbose"], env: { A: "1" } },
+    });
+    setSetting("mistral.serverUrl", { workspaceValue: " tcp://localhost:7777 " });
+
+    const resolved = resolveCliCommand(folder);
+
+    assert.strictEqual(resolved.cli.command, "folder-cli");
+    assert.deepStrictEqual(resolved.cli.args, ["--verbose"]);
+    assert.deepStrictEqual(resolved.cli.env, { A: "1" });
+    assert.strictEqual(resolved.endpoint, "tcp://localhost:7777");
+    assert.deepStrictEqual(resolved.ignoredWorkspaceSettings, []);
+  });
+
+  it("ignores workspace and folder values in an untrusted workspace", () => {
+    workspace.isTrusted = false;
+    setSetting("mistral.cli", {
+      globalValue: { command: "user-cli" },
+      workspaceFolderValue: { command: "/tmp/evil" },
+    });
+    setSetting("mistral.cliPath", { workspaceValue: "/tmp/evil" });
+    setSetting("mistral.serverUrl", { workspaceValue: "ws://attacker.example" });
+
+    const resolved = resolveCliCommand(folder);
+
+    assert.strictEqual(resolved.cli.command, "user-cli");
+    assert.strictEqual(resolved.endpoint, "");
+    assert.deepStrictEqual(resolved.ignoredWorkspaceSettings, [
+      "mistral.cli",
+      "mistral.cliPath",
+      "mistral.serverUrl",
+    ]);
+  });
+
+  it("splits a legacy cliPath command line, and cli.command wins over it", () => {
+    setSetting("mistral.cliPath", { globalValue: `node "/opt/mock server.js" --framing=newline` });
+    assert.deepStrictEqual(resolveCliCommand(folder).cli, {
+      command: "node",
+      args: ["/opt/mock server.js", "--framing=newline"],
+      env: {},
+      cwd: path.join(root, "second"),
+    });
+
+    setSetting("mistral.cli", { globalValue: { command: "mistral-dev" } });
+    assert.strictEqual(resolveCliCommand(folder).cli.command, "mistral-dev");
+  });
+
+  it("takes a legacy cliPath that names an existing file whole", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "mistral cli "));
+    const executable = path.join(dir, "mistral");
+    fs.writeFileSync(executable, "");
+    try {
+      setSetting("mistral.cliPath", { globalValue: executable });
+
+      assert.strictEqual(resolveCliCommand(folder).cli.command, executable);
+      assert.deepStrictEqual(resolveCliCommand(folder).cli.args, []);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,47 @@
+import * as assert from "assert";
+import { describeCommand, parseCommandLine } from "../client/command";
+
+describe("parseCommandLine", () => {
+  it("splits on runs of whitespace", () => {
+    assert.deepStrictEqual(parseCommandLine("  node  mock-server.js\t--framing=newline "), [
+      "node",
+      "mock-server.js",
+      "--framing=newline",
+    ]);
+  });
+
+  it("groups words in either kind of quotes, also in the middle of a word", () => {
+    assert.deepStrictEqual(parseCommandLine(`"my cli" --name='a "b"' --dir="x y"z`), [
+      "my cli",
+      '--name=a "b"',
+      "--dir=x yz",
+    ]);
+  });
+
+  it("keeps empty quoted words", () => {
+    assert.deepStrictEqual(parseCommandLine(`mistral "" ''`), ["mistral", "", ""]);
+  });
+
+  it("keeps backslashes, as in Windows paths", () => {
+    assert.deepStrictEqual(parseCommandLine(`"C:\\Program Files\\mistral.exe" C:\\tmp\\`), [
+      "C:\\Program Files\\mistral.exe",
+      "C:\\tmp\\",
+    ]);
+  });
+
+  it("throws on an unterminated quote", () => {
+    assert.throws(() => parseCommandLine(`mistral "server`), /Unterminated " quote/);
+  });
+
+  it("reads back what describeCommand writes", () => {
+    const cli = { command: "/opt/my cli/mistral", args: ["--name", "a b", ""], env: {} };
+
+    assert.deepStrictEqual(parseCommandLine(describeCommand(cli, ["server"])), [
+      "/opt/my cli/mistral",
+      "--name",
+      "a b",
+      "",
+      "server",
+    ]);
+  });
+});
@@ -0,0 +1,117 @@
+import * as assert from "assert";
+import { ConversationMessage } from "../protocol/types";
+import {
+  branchVersions,
+  replyCandidates,
+  showCandidate,
+  showVersion,
+} from "../services/ConversationStore";
+
+function user(content: string): ConversationMessage {
+  return { role: "user", content, timestamp: 0 };
+}
+
+function assistant(content: string): ConversationMessage {
+  return { role: "assistant", content, timestamp: 0 };
+}
+
+/**
+ * Edit the message at `index` the way ChatSession does: keep the conversation
+ * from there on as a version and show a new one starting with `content`.
+ */
+function edit(history: ConversationMessage[], index: number, content: string) {
+  const versions = branchVersions(history, index);
+  versions.push([user(content)]);
+  return showVersion(history, index, versions, versions.length - 1);
+}
+
+describe("conversation branches", () => {
+  const original = [user("one"), assistant("1"), user("two"), assistant("2")];
+
+  it("has a single version for a message that was never edited", () => {
+    assert.deepStrictEqual(branchVersions(original, 2), [[user("two"), assistant("2")]]);
+  });
+
+  it("keeps the conversation from an edited message on as an earlier version", () => {
+    const edited = edit(original, 2, "deux");
+
+    assert.deepStrictEqual(edited, [
+      user("one"),
+      assistant("1"),
+      { ...user("deux"), branch: 1, branches: [[user("two"), assistant("2")]] },
+    ]);
+  });
+
+  it("switches between versions and back without losing any", () => {
+    const edited = [...edit(original, 2, "deux"), assistant("2'")];
+    const versions = branchVersions(edited, 2);
+    assert.deepStrictEqual(versions, [
+      [user("two"), assistant("2")],
+      [user("deux"), assistant("2'")],
+    ]);
+
+    const first = showVersion(edited, 2, versions, 0);
+    assert.deepStrictEqual(first, [
+      user("one"),
+      assistant("1"),
+      { ...user("two"), branch: 0, branches: [[user("deux"), assistant("2'")]] },
+      assistant("2"),
+    ]);
+    assert.deepStrictEqual(showVersion(first, 2, branchVersions(first, 2), 1), edited);
+  });
+
+  it("keeps the branches of later messages inside each version", () => {
+    const rewritten = [...edit(original, 0, "uno"), assistant("1'"), user("two"), assistant("2")];
+    const nested = edit(rewritten, 2, "dos");
+
+    const versions = branchVersions(nested, 0);
+    assert.strictEqual(versions.length, 2);
+    assert.deepStrictEqual(versions[1][2].branches, [[user("two"), assistant("2")]]);
+
+    const first = showVersion(nested, 0, versions, 0);
+    assert.deepStrictEqual(showVersion(first, 0, branchVersions(first, 0), 1), nested);
+  });
+});
+
+describe("reply candidates", () => {
+  /**
+   * Regenerate a reply the way ChatSession does: show `content` as the newest candidate.
+   */
+  function regenerate(reply: ConversationMessage, content: string): ConversationMessage {
+    const candidates = [...replyCandidates(reply), assistant(content)];
+    return showCandidate(candidates, candidates.length - 1);
+  }
+
+  it("has a single candidate for a reply that was never regenerated", () => {
+    assert.deepStrictEqual(replyCandidates(assistant("a")), [assistant("a")]);
+    assert.deepStrictEqual(showCandidate([assistant("a")], 0), assistant("a"));
+  });
+
+  it("keeps earlier replies as candidates when regenerating", () => {
+    const reply = regenerate(regenerate(assistant("a"), "b"), "c");
+
+    assert.deepStrictEqual(reply, {
+      ...assistant("c"),
+      candidate: 2,
+      candidates: [assistant("a"), assistant("b")],
+    });
+    assert.deepStrictEqual(replyCandidates(reply), [
+      assistant("a"),
+      assistant("b"),
+      assistant("c"),
+    ]);
+  });
+
+  it("switches to an earlier candidate and keeps the order", () => {
+    const reply = regenerate(regenerate(assistant("a"), "b"), "c");
+
+    const switched = showCandidate(replyCandidates(reply), 1);
+
+    assert.deepStrictEqual(switched, {
+      ...assistant("b"),
+      candidate: 1,
+      candidates: [assistant("a"), assistant("c")],
+    });
+    assert.deepStrictEqual(replyCandidates(switched), replyCandidates(reply));
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Fake Server
+ *
+ * A scripted JSON-RPC server on a local TCP port, for unit tests of the RPC
+ * client. It answers initialize and ping by itself; tests answer other
+ * requests with handlers, or by hand, and send notifications when they like.
+ */
+
+import * as net from "net";
+
+/**
+ * A JSON-RPC message the server received or sends.
+ */
+export interface WireMessage {
+  jsonrpc: "2.0";
+  id?: number | string | null;
+  method?: string;
+  params?: Record<string, unknown>;
+  result?: unknown;
+  error?: { code: number; message: string; data?: unknown };
+}
+
+/**
+ * Returns the result of a request, or undefined to leave it unanswered.
+ */
+type Handler = (request: WireMessage) => unknown;
+
+const INITIALIZE_RESULT = {
+  version: "fake",
+  protocol_version: "1.0",
+  capabilities: { streaming: true, tools: true, context: true },
+};
+
+export class FakeServer {
+  /** Every message received, in order, with batches taken apart */
+  readonly received: WireMessage[] = [];
+  /** Every line received, parsed: a message, or an array for a batch */
+  readonly payloads: unknown[] = [];
+
+  private readonly server = net.createServer((socket) => this.accept(socket));
+  private socket: net.Socket | null = null;
+  private buffer = "";
+  private handlers = new Map<string, Handler>([
+    ["initialize", () => INITIALIZE_RESULT],
+    ["ping", () => ({})],
+  ]);
+  private waiters: { predicate: (message: WireMessage) => boolean; resolve: () => void }[] = [];
+
+  /**
+   * Listen on a free port.
+   * @returns The endpoint to give the client, e.g. `tcp://127.0.0.1:50123`
+   */
+  async start(): Promise<string> {
+    await new Promise<void>((resolve) => this.server.listen(0, "127.0.0.1", resolve));
+    const { port } = this.server.address() as net.AddressInfo;
+    return `tcp://127.0.0.1:${port}`;
+  }
+
+  /**
+   * Answer requests for a method from now on.
+   */
+  handle(method: string, handler: Handler): void {
+    this.handlers.set(method, handler);
+  }
+
+  send(message: object | object[]): void {
+    this.socket?.write(JSON.stringify(message) + "\n");
+  }
+
+  respond(id: number | string | null | undefined, result: unknown): void {
+    this.send({ jsonrpc: "2.0", id, result });
+  }
+
+  notify(method: string, params: object): void {
+    this.send({ jsonrpc: "2.0", method, params });
+  }
+
+  /**
+   * The first received message that matches, waiting for it if needed.
+   */
+  async waitFor(
+    predicate: (message: WireMessage) => boolean,
+    timeoutMs = 1000
+  ): Promise<WireMessage> {
+    const find = () => this.received.find(predicate);
+    if (!find()) {
+      await new Promise<void>((resolve, reject) => {
+        const timer = setTimeout(
+          () => reject(new Error("Timed out waiting for a message")),
+          timeoutMs
+        );
+        this.waiters.push({
+          predicate,
+          resolve: () => {
+            clearTimeout(timer);
+            resolve();
+          },
+        });
+      });
+    }
+    return find()!;
+  }
+
+  /**
+   * The first request for a method, waiting for it if needed.
+   */
+  async request(method: string): Promise<WireMessage> {
+    return this.waitFor((message) => message.method === method && message.id !== undefined);
+  }
+
+  async close(): Promise<void> {
+    this.socket?.destroy();
+    await new Promise<void>((resolve) => this.server.close(() => resolve()));
+  }
+
+  private accept(socket: net.Socket): void {
+    this.socket = socket;
+    socket.on("error", () => undefined);
+    socket.on("data", (chunk) => {
+      this.buffer += chunk.toString();
+      let newline: number;
+      while ((newline = this.buffer.indexOf("\n")) !== -1) {
+        const line = this.buffer.slice(0, newline).trim();
+        this.buffer = this.buffer.slice(newline + 1);
+        if (line) {
+          this.receive(JSON.parse(line));
+        }
+      }
+    });
+  }
+
+  private receive(payload: WireMessage | WireMessage[]): void {
+    this.payloads.push(payload);
+    const messages = Array.isArray(payload) ? payload : [payload];
+    this.received.push(...messages);
+
+    for (const message of messages) {
+      const handler = message.method !== undefined ? this.handlers.get(message.method) : undefined;
+      const result = handler?.(message);
+      if (message.id !== undefined && result !== undefined) {
+        this.respond(message.id, result);
+      }
+    }
+
+    for (const waiter of [...this.waiters]) {
+      if (messages.some(waiter.predicate)) {
+        this.waiters.splice(this.waiters.indexOf(waiter), 1);
+        waiter.resolve();
+      }
+    }
+  }
+}
@@ -0,0 +1,88 @@
+import * as assert from "assert";
+import { encodeMessage, MessageReader } from "../client/framing";
+
+describe("MessageReader", () => {
+  const message = JSON.stringify({ jsonrpc: "2.0", id: 1, result: { content: "héllo\nworld" } });
+
+  /**
+   * Feed bytes to a new reader in chunks of the given size.
+   */
+  function readInChunks(bytes: Buffer, size: number): string[] {
+    const reader = new MessageReader();
+    const messages: string[] = [];
+    for (let start = 0; start < bytes.length; start += size) {
+      messages.push(...reader.push(bytes.subarray(start, start + size)));
+    }
+    return messages;
+  }
+
+  it("reads newline-delimited messages", () => {
+    const reader = new MessageReader();
+
+    assert.deepStrictEqual(reader.push(Buffer.from(`${message}\n${message}\r\n`)), [
+      message,
+      message,
+    ]);
+  });
+
+  it("reads Content-Length messages, whose body may hold newlines", () => {
+    const pretty = JSON.stringify(JSON.parse(message), null, 2);
+    const reader = new MessageReader();
+
+    assert.deepStrictEqual(reader.push(Buffer.from(encodeMessage(pretty, "content-length"))), [
+      pretty,
+    ]);
+  });
+
+  it("counts the Content-Length in bytes, not characters", () => {
+    const bytes = Buffer.from(
+      encodeMessage(message, "content-length") + encodeMessage(message, "newline")
+    );
+
+    assert.deepStrictEqual(new MessageReader().push(bytes), [message, message]);
+  });
+
+  it("reassembles messages split across chunks, even inside a character or header", () => {
+    const bytes = Buffer.from(
+      encodeMessage(message, "content-length") +
+        encodeMessage(message, "newline") +
+        encodeMessage(message, "content-length")
+    );
+
+    for (const size of [1, 2, 3, 7, 16]) {
+      assert.deepStrictEqual(
+        readInChunks(bytes, size),
+        [message, message, message],
+        `chunks of ${size} bytes`
+      );
+    }
+  });
+
+  it("accepts the header in any case and with other headers", () => {
+    const bytes = Buffer.from(
+      `content-length: ${Buffer.byteLength(message)}\r\n` +
+        "Content-Type: application/vscode-jsonrpc; charset=utf-8\r\n\r\n" +
+        message
+    );
+
+    assert.deepStrictEqual(new MessageReader().push(bytes), [message]);
+  });
+
+  it("hands back stray output and an unusable header block as text", () => {
+    const reader = new MessageReader();
+
+    assert.deepStrictEqual(
+      reader.push(Buffer.from(`Loading model...\n\nContent-Length: many\r\n\r\n${message}\n`)),
+      ["Loading model...", "Content-Length: many", message]
+    );
+  });
+
+  it("drops a partial message on reset", () => {
+    const reader = new MessageReader();
+    reader.push(Buffer.from(encodeMessage(message, "content-length").slice(0, 30)));
+
+    reader.reset();
+
+    assert.deepStrictEqual(reader.push(Buffer.from(encodeMessage(message, "newline"))), [message]);
+  });
+});
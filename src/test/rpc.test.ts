@@ -0,0 +1,223 @@
+import * as assert from "assert";
+import { MistralRpcClient, RpcClientConfig } from "../client/rpc";
+import { FakeServer } from "./fakeServer";
+
+describe("MistralRpcClient", () => {
+  let server: FakeServer;
+  let client: MistralRpcClient;
+
+  async function connect(config: Partial<RpcClientConfig> = {}): Promise<void> {
+    client = new MistralRpcClient({
+      cli: { command: "mistral", args: [], env: {} },
+      endpoint: await server.start(),
+      healthCheckInterval: 0,
+      maxReconnectAttempts: 0,
+      ...config,
+    });
+    await client.connect();
+  }
+
+  /**
+   * Resolves once the client has handled everything the server sent before.
+   */
+  function roundTrip(): Promise<unknown> {
+    return client.call("ping", {});
+  }
+
+  beforeEach(() => {
+    server = new FakeServer();
+  });
+
+  afterEach(async () => {
+    client?.disconnect();
+    await server.close();
+  });
+
+  describe("cancellation", () => {
+    it("rejects an aborted call and asks the server to stop", async () => {
+      await connect();
+      const controller = new AbortController();
+      const reply = client.chat("hello", [], undefined, { signal: controller.signal });
+      const request = await server.request("chat");
+
+      controller.abort();
+
+      await assert.rejects(reply, /Request cancelled: chat/);
+      const cancel = await server.waitFor((message) => message.method === "$/cancelRequest");
+      assert.deepStrictEqual(cancel.params, { id: request.id });
+    });
+
+    it("does not send a call whose signal is already aborted", async () => {
+      await connect();
+      const controller = new AbortController();
+      controller.abort();
+
+      await assert.rejects(
+        client.chat("hello", [], undefined, { signal: controller.signal }),
+        /Request cancelled: chat/
+      );
+      assert.ok(!server.received.some((message) => message.method === "chat"));
+    });
+
+    it("drops what the server still sends for a cancelled request", async () => {
+      await connect();
+      const controller = new AbortController();
+      const events: string[] = [];
+      client.on("content.delta", () => events.push("listener"));
+      const reply = client.chat("hello", [], undefined, {
+        signal: controller.signal,
+        onEvent: (event) => events.push(event.method),
+      });
+      const request = await server.request("chat");
+
+      controller.abort();
+      await assert.rejects(reply);
+      server.notify("content.delta", { text: "late", request_id: request.id });
+      server.respond(request.id, { content: "late" });
+      await roundTrip();
+
+      assert.deepStrictEqual(events, []);
+    });
+
+    it("forgets the oldest cancelled requests first", async () => {
+      await connect();
+      for (let i = 0; i < 257; i++) {
+        const controller = new AbortController();
+        const reply = client.call("model.get", {}, { signal: controller.signal });
+        controller.abort();
+        await assert.rejects(reply);
+      }
+      await roundTrip();
+      const ids = server.received
+        .filter((message) => message.method === "$/cancelRequest")
+        .map((message) => message.params?.id);
+      assert.strictEqual(ids.length, 257);
+
+      const delivered: unknown[] = [];
+      client.on("content.delta", (params: { request_id?: number }) =>
+        delivered.push(params.request_id)
+      );
+      server.notify("content.delta", { text: "", request_id: ids[0] });
+      server.notify("content.delta", { text: "", request_id: ids[1] });
+      await roundTrip();
+
+      assert.deepStrictEqual(delivered, [ids[0]]);
+    });
+  });
+
+  describe("idle timeouts", () => {
+    /**
+     * Send a content.delta every 50ms, five times.
+     */
+    async function trickle(params: object): Promise<void> {
+      for (let i = 0; i < 5; i++) {
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        server.notify("content.delta", { text: ".", ...params });
+      }
+    }
+
+    it("rejects a call that hears nothing within its method's budget", async () => {
+      await connect({ methodTimeouts: { "model.get": 100 } });
+
+      await assert.rejects(
+        client.getModel(),
+        /Request timeout: model\.get \(no activity for 100ms\)/
+      );
+    });
+
+    it("keeps a chat alive while its own notifications arrive", async () => {
+      await connect({ methodTimeouts: { chat: 120 } });
+      const reply = client.chat("hello");
+      const request = await server.request("chat");
+
+      await trickle({ request_id: request.id });
+      server.respond(request.id, { content: "....." });
+
+      assert.deepStrictEqual(await reply, { content: "....." });
+    });
+
+    it("keeps streaming calls alive on notifications without a request id", async () => {
+      await connect({ methodTimeouts: { chat: 120 } });
+      const reply = client.chat("hello");
+      const request = await server.request("chat");
+
+      await trickle({});
+      server.respond(request.id, { content: "....." });
+
+      assert.deepStrictEqual(await reply, { content: "....." });
+    });
+
+    it("does not count another request's notifications as activity", async () => {
+      await connect({ methodTimeouts: { chat: 120 } });
+      const reply = client.chat("hello");
+      const request = await server.request("chat");
+
+      const trickling = trickle({ request_id: Number(request.id) + 1000 });
+
+      await assert.rejects(reply, /Request timeout: chat/);
+      await trickling;
+    });
+  });
+
+  describe("batches", () => {
+    it("sends the calls as one batch and settles each on its own", async () => {
+      await connect();
+      server.handle("test.echo", (request) => request.params);
+
+      const settled = client.batch([
+        { method: "test.echo", params: { text: "one" } },
+        { method: "test.fail", params: {} },
+        { method: "test.echo", params: { text: "two" } },
+      ]);
+      const failing = await server.request("test.fail");
+      server.send({
+        jsonrpc: "2.0",
+        id: failing.id,
+        error: { code: -32601, message: "Method not found" },
+      });
+
+      const results = await settled;
+      assert.ok(Array.isArray(server.payloads[server.payloads.length - 1]));
+      assert.deepStrictEqual(results[0], { status: "fulfilled", value: { text: "one" } });
+      assert.strictEqual(results[1].status, "rejected");
+      assert.match(String((results[1] as PromiseRejectedResult).reason), /-32601/);
+      assert.deepStrictEqual(results[2], { status: "fulfilled", value: { text: "two" } });
+    });
+
+    it("answers the server's batched requests with one batch", async () => {
+      await connect();
+      client.onRequest("editor.readBuffer", ({ file_path }) => ({
+        content: `text of ${file_path}`,
+        is_dirty: false,
+        language_id: "plaintext",
+      }));
+
+      server.send([
+        { jsonrpc: "2.0", id: "a", method: "editor.readBuffer", params: { file_path: "a.txt" } },
+        { jsonrpc: "2.0", id: "b", method: "editor.unknown", params: {} },
+        { jsonrpc: "2.0", id: "c", method: "editor.readBuffer", params: { path: "c.txt" } },
+      ]);
+      await server.waitFor((message) => message.id === "c");
+
+      const reply = server.payloads[server.payloads.length - 1] as { id: string }[];
+      assert.ok(Array.isArray(reply), "Replies should come back as one batch");
+      const byId = new Map(server.received.filter((m) => !m.method).map((m) => [m.id, m]));
+      assert.deepStrictEqual(byId.get("a")?.result, {
+        content: "text of a.txt",
+        is_dirty: false,
+        language_id: "plaintext",
+      });
+      assert.strictEqual(byId.get("b")?.error?.code, -32601);
+      assert.strictEqual(byId.get("c")?.error?.code, -32602);
+    });
+
+    it("answers an empty batch with an error", async () => {
+      await connect();
+
+      server.send([]);
+      const reply = await server.waitFor((message) => message.id === null);
+
+      assert.strictEqual(reply.error?.code, -32600);
+    });
+  });
+});
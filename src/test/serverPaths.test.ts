@@ -0,0 +1,38 @@
+import * as assert from "assert";
+import * as path from "path";
+import { resolveServerPath } from "../panels/serverPaths";
+
+describe("resolveServerPath", () => {
+  const folder = path.resolve("/work/project");
+  const openFile = path.resolve("/tmp/notes.md");
+
+  it("resolves paths relative to the session's folder", () => {
+    assert.strictEqual(
+      resolveServerPath("src/main.ts", folder, []),
+      path.join(folder, "src", "main.ts")
+    );
+    assert.strictEqual(
+      resolveServerPath(path.join(folder, "a.ts"), folder, []),
+      path.join(folder, "a.ts")
+    );
+  });
+
+  it("refuses paths that leave the folder", () => {
+    assert.strictEqual(resolveServerPath("../../.ssh/id_rsa", folder, []), undefined);
+    assert.strictEqual(resolveServerPath("src/../../other/a.ts", folder, []), undefined);
+    assert.strictEqual(resolveServerPath(path.resolve("/etc/passwd"), folder, []), undefined);
+  });
+
+  it("does not take a sibling folder with the same prefix for the folder", () => {
+    assert.strictEqual(resolveServerPath(`${folder}-other/a.ts`, folder, []), undefined);
+  });
+
+  it("allows files outside the folder that are open in the editor", () => {
+    assert.strictEqual(resolveServerPath(openFile, folder, [openFile]), openFile);
+    assert.strictEqual(resolveServerPath(openFile, undefined, [openFile]), openFile);
+  });
+
+  it("refuses relative paths without a folder", () => {
+    assert.strictEqual(resolveServerPath("notes.md", undefined, [openFile]), undefined);
+  });
+});
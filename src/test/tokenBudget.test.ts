@@ -0,0 +1,72 @@
+import * as assert from "assert";
+import { CallOptions, ChatTurn, MistralRpcClient } from "../client/rpc";
+import { measureBudget } from "../services/TokenBudget";
+
+describe("measureBudget", () => {
+  const history: ChatTurn[] = [
+    { role: "user", content: "12345678" },
+    { role: "assistant", content: "123" },
+  ];
+  const contextFiles = [
+    { path: "a.ts", tokens: 100 },
+    { path: "b.ts", tokens: 20 },
+  ];
+
+  /**
+   * Enough of a client for measureBudget; `calls` records each tokens.count call.
+   */
+  function stubClient(capabilities: string[]) {
+    const calls: unknown[][] = [];
+    const client = {
+      supports: (capability: string) => capabilities.includes(capability),
+      countTokens: async (...args: [string, string[]?, CallOptions?]) => {
+        calls.push(args);
+        return { message: 7, history: 40, context: 300, total: 400 };
+      },
+    };
+    return { client: client as unknown as MistralRpcClient, calls };
+  }
+
+  it("asks the CLI for exact counts when it supports token_count", async () => {
+    const { client, calls } = stubClient(["token_count"]);
+    const options = { signal: new AbortController().signal };
+
+    const budget = await measureBudget(client, "hello", history, true, contextFiles, 1000, options);
+
+    assert.deepStrictEqual(budget, {
+      limit: 1000,
+      message: 7,
+      history: 40,
+      context: 300,
+      total: 400,
+      exact: true,
+    });
+    assert.deepStrictEqual(calls, [["hello", ["a.ts", "b.ts"], options]]);
+  });
+
+  it("estimates at four characters per token without token_count", async () => {
+    const { client, calls } = stubClient([]);
+
+    const budget = await measureBudget(client, "hello", history, true, contextFiles, 1000);
+
+    assert.deepStrictEqual(budget, {
+      limit: 1000,
+      message: 2,
+      history: 3,
+      context: 120,
+      total: 125,
+      exact: false,
+    });
+    assert.deepStrictEqual(calls, []);
+  });
+
+  it("estimates a history the CLI does not hold, even with token_count", async () => {
+    const { client, calls } = stubClient(["token_count"]);
+
+    const budget = await measureBudget(client, "hello", history, false, contextFiles, 1000);
+
+    assert.strictEqual(budget.exact, false);
+    assert.strictEqual(budget.history, 3);
+    assert.deepStrictEqual(calls, []);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Stand-in for the `vscode` module, which only exists in the extension host.
+ * `npm run test:unit` bundles it in its place. It has just what the tested
+ * modules use; tests change settings and workspace trust with the helpers at
+ * the end and call `resetWorkspace` after each test.
+ */
+
+import * as path from "path";
+
+/**
+ * A setting's value at each level, as `WorkspaceConfiguration.inspect` reports it.
+ */
+export interface Inspection {
+  defaultValue?: unknown;
+  globalValue?: unknown;
+  workspaceValue?: unknown;
+  workspaceFolderValue?: unknown;
+}
+
+interface WorkspaceFolder {
+  uri: { fsPath: string };
+  name: string;
+  index: number;
+}
+
+const settings = new Map<string, Inspection>();
+
+export const workspace = {
+  isTrusted: true,
+  workspaceFolders: undefined as WorkspaceFolder[] | undefined,
+
+  getConfiguration(section: string) {
+    const inspect = (key: string): Inspection & { key: string } => ({
+      key: `${section}.${key}`,
+      ...settings.get(`${section}.${key}`),
+    });
+    return {
+      inspect,
+      get<T>(key: string, defaultValue?: T): T | undefined {
+        const info = inspect(key);
+        return (info.workspaceFolderValue ??
+          info.workspaceValue ??
+          info.globalValue ??
+          info.defaultValue ??
+          defaultValue) as T | undefined;
+      },
+    };
+  },
+};
+
+/**
+ * Set a setting, e.g. `setSetting("mistral.cli", { workspaceValue: {...} })`.
+ */
+export function setSetting(key: string, inspection: Inspection): void {
+  settings.set(key, inspection);
+}
+
+/**
+ * A workspace folder at a path, added to `workspace.workspaceFolders`.
+ */
+export function addWorkspaceFolder(fsPath: string): WorkspaceFolder {
+  const folders = (workspace.workspaceFolders ??= []);
+  const folder = { uri: { fsPath }, name: path.basename(fsPath), index: folders.length };
+  folders.push(folder);
+  return folder;
+}
+
+/**
+ * Back to no settings, no folders and a trusted workspace.
+ */
+export function resetWorkspace(): void {
+  settings.clear();
+  workspace.isTrusted = true;
+  workspace.workspaceFolders = undefined;
+}
@@ -3,11 +3,31 @@ import ChatMessage from "./components/ChatMessage";
 import InputArea from "./components/InputArea";
 import ContextPanel from "./components/ContextPanel";
 import ToolConfirmation from "./components/ToolConfirmation";
+import BudgetWarning from "./components/BudgetWarning";
 import ConnectionStatus from "./components/ConnectionStatus";
+import SessionSelector, { SessionInfo } from "./components/SessionSelector";
+import ChatTabs from "./components/ChatTabs";
+import ModelPicker from "./components/ModelPicker";
+import ChatMenu, { ChatFormat } from "./components/ChatMenu";
+import HistoryPanel, { SearchResults } from "./components/HistoryPanel";
+import type {
+  ApplyIntent,
+  ApplyPayload,
+  BudgetWarningMessage,
+  ConnectionState,
+  ContextFile as ProtocolContextFile,
+  ConversationSummary,
+  ExtensionToWebviewMessage,
+  GenerationParams,
+  ModelInfo,
+  ResolveBudgetMessage,
+  ServerCapabilities,
+  WebviewToExtensionMessage,
+} from "../../protocol/types";
 
 // VS Code API interface
 declare const vscode: {
-  postMessage: (message: unknown) => void;
+  postMessage: (message: WebviewToExtensionMessage) => void;
   getState: () => unknown;
   setState: (state: unknown) => void;
 };
@@ -18,11 +38,17 @@ interface Message {
   role: "user" | "assistant" | "system";
   content: string;
   timestamp: number;
+  // User messages waiting for the CLI to reconnect, or given up on
+  status?: "queued" | "failed";
+  // Written by the extension, e.g. to summarize a context file
+  generated?: boolean;
+  // Version shown of an edited user message or a regenerated reply, and how
+  // many there are
+  version?: number;
+  versionCount?: number;
 }
 
-interface ContextFile {
-  path: string;
-  tokens: number;
+interface ContextFile extends ProtocolContextFile {
   changed?: boolean;
 }
 
@@ -32,15 +58,10 @@ interface PendingTool {
   arguments: Record<string, unknown>;
 }
 
-// Smart Apply types
-type ApplyIntent = "create" | "edit" | "command";
-
-interface ApplyPayload {
-  code: string;
-  language: string;
-  intent: ApplyIntent;
-  target?: string;
-  anchor?: string;
+// A message held back for not fitting the context window
+interface PendingBudget extends Omit<BudgetWarningMessage, "type" | "sessionId"> {
+  // Changes with every warning, so the panel resets
+  id: string;
 }
 
 interface PendingChange {
@@ -48,137 +69,326 @@ interface PendingChange {
   code: string;
 }
 
-type ConnectionState = "connected" | "disconnected" | "connecting" | "reconnecting" | "error";
+// Everything shown for one chat session
+interface SessionView {
+  messages: Message[];
+  contextFiles: ContextFile[];
+  totalTokens: number;
+  // Model in use and the models the CLI offers
+  model: string;
+  models: ModelInfo[];
+  contextWindow: number;
+  pendingBudget: PendingBudget | null;
+  // Saved chats, and the one shown once it has been saved
+  conversations: ConversationSummary[];
+  conversationId: string | null;
+  searchResults: SearchResults | null;
+  isStreaming: boolean;
+  streamingContent: string;
+  pendingTool: PendingTool | null;
+  thinkingStep: string | null;
+  connectionState: ConnectionState;
+  // Assume full support until the server says otherwise, to avoid UI flicker
+  capabilities: ServerCapabilities;
+}
+
+const EMPTY_SESSION: SessionView = {
+  messages: [],
+  contextFiles: [],
+  totalTokens: 0,
+  model: "",
+  models: [],
+  // Until the extension reports the model's window
+  contextWindow: 32000,
+  pendingBudget: null,
+  conversations: [],
+  conversationId: null,
+  searchResults: null,
+  isStreaming: false,
+  streamingContent: "",
+  pendingTool: null,
+  thinkingStep: null,
+  connectionState: "connecting",
+  capabilities: { streaming: true, tools: true, context: true },
+};
 
 function App() {
-  const [messages, setMessages] = useState<Message[]>([]);
-  const [contextFiles, setContextFiles] = useState<ContextFile[]>([]);
-  const [totalTokens, setTotalTokens] = useState(0);
-  const [isStreaming, setIsStreaming] = useState(false);
-  const [streamingContent, setStreamingContent] = useState("");
-  const [pendingTool, setPendingTool] = useState<PendingTool | null>(null);
+  const [sessions, setSessions] = useState<SessionInfo[]>([]);
+  const [activeSessionId, setActiveSessionId] = useState<string | null>(null);
+  const [views, setViews] = useState<Record<string, SessionView>>({});
   const [pendingChange, setPendingChange] = useState<PendingChange | null>(null);
-  const [thinkingStep, setThinkingStep] = useState<string | null>(null);
-  const [connectionState, setConnectionState] = useState<ConnectionState>("connecting");
   const [useAgent, setUseAgent] = useState(false);
+  const [generationDefaults, setGenerationDefaults] = useState<GenerationParams>({});
+
+  const activeSessionRef = useRef<string | null>(null);
+  activeSessionRef.current = activeSessionId;
+
+  const view = (activeSessionId && views[activeSessionId]) || EMPTY_SESSION;
+  const {
+    messages,
+    contextFiles,
+    totalTokens,
+    model,
+    models,
+    contextWindow,
+    pendingBudget,
+    conversations,
+    conversationId,
+    searchResults,
+    isStreaming,
+    streamingContent,
+    pendingTool,
+    thinkingStep,
+    connectionState,
+    capabilities,
+  } = view;
+
+  // Agent runs need tools from both the server and the model
+  const agentAvailable =
+    capabilities.tools && models.find((info) => info.id === model)?.supports_tools !== false;
+
+  useEffect(() => {
+    if (!agentAvailable) {
+      setUseAgent(false);
+    }
+  }, [agentAvailable]);
+
+  /**
+   * Update one session's view; messages for sessions not listed yet are kept
+   * until the session list arrives.
+   */
+  const updateView = useCallback(
+    (sessionId: string | null | undefined, update: (view: SessionView) => Partial<SessionView>) => {
+      const id = sessionId ?? activeSessionRef.current;
+      if (!id) {
+        return;
+      }
+      setViews((prev) => {
+        const current = prev[id] ?? EMPTY_SESSION;
+        return { ...prev, [id]: { ...current, ...update(current) } };
+      });
+    },
+    []
+  );
 
   const messagesEndRef = useRef<HTMLDivElement>(null);
 
   // Scroll to bottom when messages change
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
-  }, [messages, streamingContent]);
+  }, [messages, streamingContent, activeSessionId]);
 
   // Handle messages from extension
   useEffect(() => {
     const handleMessage = (event: MessageEvent) => {
-      const message = event.data;
+      const message = event.data as ExtensionToWebviewMessage;
+      const sessionId = "sessionId" in message ? message.sessionId : undefined;
 
       switch (message.type) {
+        case "sessions": {
+          const listed = message.sessions;
+          setSessions(listed);
+          setActiveSessionId(message.activeSessionId);
+          // Forget closed tabs and folders that were removed from the workspace
+          setViews((prev) =>
+            Object.fromEntries(
+              Object.entries(prev).filter(([id]) => listed.some((s) => s.id === id))
+            )
+          );
+          break;
+        }
+
+        case "generationDefaults":
+          setGenerationDefaults(message.params);
+          break;
+
         case "connected":
-          setConnectionState("connected");
+          updateView(sessionId, () => ({ connectionState: "connected" }));
           break;
 
         case "connectionState":
-          setConnectionState(message.state as ConnectionState);
+          updateView(sessionId, () => ({ connectionState: message.state }));
           break;
 
         case "connectionError":
-          setConnectionState("error");
+          updateView(sessionId, () => ({ connectionState: "error" }));
           break;
 
         case "reconnecting":
-          setConnectionState("reconnecting");
+          updateView(sessionId, () => ({ connectionState: "reconnecting" }));
           break;
 
         case "reconnected":
-          setConnectionState("connected");
+          updateView(sessionId, () => ({ connectionState: "connected" }));
           break;
 
         case "reconnectFailed":
-          setConnectionState("error");
+          updateView(sessionId, () => ({ connectionState: "error" }));
+          break;
+
+        case "capabilities":
+          updateView(sessionId, () => ({
+            capabilities: message.capabilities,
+          }));
+          break;
+
+        case "modelInfo":
+          updateView(sessionId, () => ({
+            model: message.model,
+            models: message.models,
+            contextWindow: message.contextWindow,
+          }));
           break;
 
         case "contentDelta":
-          setIsStreaming(true);
-          setStreamingContent((prev) => prev + message.text);
+          updateView(sessionId, (v) => ({
+            isStreaming: true,
+            streamingContent: v.streamingContent + message.text,
+          }));
           break;
 
         case "contentDone":
-          setIsStreaming(false);
-          if (message.fullText) {
-            setMessages((prev) => [
-              ...prev,
-              {
-                id: crypto.randomUUID(),
-                role: "assistant",
-                content: message.fullText,
-                timestamp: Date.now(),
-              },
-            ]);
-          }
-          setStreamingContent("");
-          setThinkingStep(null);
+          updateView(sessionId, (v) => ({
+            isStreaming: false,
+            messages: message.fullText
+              ? [
+                  ...v.messages,
+                  {
+                    id: crypto.randomUUID(),
+                    role: "assistant",
+                    content: message.fullText,
+                    timestamp: Date.now(),
+                  },
+                ]
+              : v.messages,
+            streamingContent: "",
+            thinkingStep: null,
+          }));
           break;
 
         case "thinkingUpdate":
-          setThinkingStep(message.thought);
+          updateView(sessionId, () => ({ thinkingStep: message.thought }));
           break;
 
         case "toolPending":
-          setPendingTool({
-            toolCallId: message.toolCallId,
-            tool: message.tool,
-            arguments: message.arguments,
-          });
+          updateView(sessionId, () => ({
+            pendingTool: {
+              toolCallId: message.toolCallId,
+              tool: message.tool,
+              arguments: message.arguments,
+            },
+          }));
           break;
 
         case "toolResult":
-          setPendingTool(null);
+          updateView(sessionId, () => ({ pendingTool: null }));
           break;
 
         case "tokenUsage":
-          setTotalTokens(message.total);
+          updateView(sessionId, () => ({ totalTokens: message.total }));
           break;
 
         case "contextUpdated":
-          setContextFiles(message.files);
-          setTotalTokens(message.totalTokens);
+          updateView(sessionId, () => ({
+            contextFiles: message.files,
+            totalTokens: message.totalTokens,
+          }));
           break;
 
         case "fileChanged":
-          setContextFiles((prev) =>
-            prev.map((f) =>
+          updateView(sessionId, (v) => ({
+            contextFiles: v.contextFiles.map((f) =>
               f.path === message.filePath ? { ...f, changed: true } : f
-            )
-          );
+            ),
+          }));
+          break;
+
+        case "messageStatus":
+          updateView(sessionId, (v) => ({
+            messages: v.messages.map((m) =>
+              m.id === message.messageId
+                ? { ...m, status: message.status === "sent" ? undefined : message.status }
+                : m
+            ),
+          }));
+          break;
+
+        case "budgetWarning": {
+          const { type: _type, sessionId: _sessionId, ...warning } = message;
+          updateView(sessionId, () => ({
+            pendingBudget: { ...warning, id: crypto.randomUUID() },
+          }));
+          break;
+        }
+
+        case "budgetCleared":
+          updateView(sessionId, () => ({ pendingBudget: null }));
+          break;
+
+        case "conversations":
+          updateView(sessionId, () => ({
+            conversations: message.conversations,
+            conversationId: message.activeConversationId ?? null,
+          }));
+          break;
+
+        case "conversationOpened":
+          updateView(sessionId, () => ({
+            messages: message.messages.map((m, index) => ({
+              id: m.id ?? `${message.conversationId}-${index}`,
+              role: m.role,
+              content: m.content,
+              timestamp: m.timestamp,
+              generated: m.generated,
+              version: m.role === "user" ? m.branch : m.candidate,
+              versionCount:
+                ((m.role === "user" ? m.branches?.length : m.candidates?.length) ?? 0) + 1,
+            })),
+            conversationId: message.conversationId,
+            pendingBudget: null,
+            streamingContent: "",
+            thinkingStep: null,
+            pendingTool: null,
+          }));
+          break;
+
+        case "conversationSearchResults":
+          updateView(sessionId, () => ({
+            searchResults: { query: message.query, conversationIds: message.conversationIds },
+          }));
           break;
 
         case "clearChat":
-          setMessages([]);
-          setStreamingContent("");
-          setThinkingStep(null);
-          setPendingTool(null);
+          updateView(sessionId, () => ({
+            messages: [],
+            pendingBudget: null,
+            isStreaming: false,
+            streamingContent: "",
+            thinkingStep: null,
+            pendingTool: null,
+          }));
           break;
 
         case "error":
-          setMessages((prev) => [
-            ...prev,
-            {
-              id: crypto.randomUUID(),
-              role: "system",
-              content: `Error: ${message.message}`,
-              timestamp: Date.now(),
-            },
-          ]);
-          setIsStreaming(false);
-          setStreamingContent("");
+          updateView(sessionId, (v) => ({
+            messages: [
+              ...v.messages,
+              {
+                id: crypto.randomUUID(),
+                role: "system",
+                content: `Error: ${message.message}`,
+                timestamp: Date.now(),
+              },
+            ],
+            isStreaming: false,
+            streamingContent: "",
+          }));
           break;
 
         case "applyResult":
           if (message.action === "preview_shown" && message.changeId) {
             setPendingChange({
-              changeId: message.changeId as string,
+              changeId: message.changeId,
               code: "", // Code is already in the preview
             });
           } else {
@@ -196,51 +406,192 @@ function App() {
     return () => {
       window.removeEventListener("message", handleMessage);
     };
-  }, []);
+  }, [updateView]);
 
   const handleSendMessage = useCallback(
-    (text: string) => {
+    (text: string, generation?: GenerationParams) => {
       if (!text.trim() || isStreaming) {
         return;
       }
 
       // Add user message
-      setMessages((prev) => [
-        ...prev,
-        {
-          id: crypto.randomUUID(),
-          role: "user",
-          content: text,
-          timestamp: Date.now(),
-        },
-      ]);
+      const messageId = crypto.randomUUID();
+      updateView(activeSessionId, (v) => ({
+        messages: [
+          ...v.messages,
+          {
+            id: messageId,
+            role: "user",
+            content: text,
+            timestamp: Date.now(),
+          },
+        ],
+      }));
 
       // Send to extension
       vscode.postMessage({
         type: "sendMessage",
+        sessionId: activeSessionId,
         text,
         useAgent,
+        messageId,
+        ...(generation && { generation }),
       });
     },
-    [isStreaming, useAgent]
+    [activeSessionId, isStreaming, useAgent, updateView]
   );
 
+  // Replace a sent message; the chat continues from the turns before it
+  const handleEditMessage = useCallback(
+    (editOf: string, text: string) => {
+      if (isStreaming) {
+        return;
+      }
+
+      const messageId = crypto.randomUUID();
+      updateView(activeSessionId, (v) => ({
+        messages: [
+          ...v.messages.slice(0, v.messages.findIndex((m) => m.id === editOf)),
+          { id: messageId, role: "user", content: text, timestamp: Date.now() },
+        ],
+      }));
+
+      vscode.postMessage({
+        type: "sendMessage",
+        sessionId: activeSessionId,
+        text,
+        useAgent,
+        messageId,
+        editOf,
+      });
+    },
+    [activeSessionId, isStreaming, useAgent, updateView]
+  );
+
+  // The new reply streams in place of the last one
+  const handleRegenerate = useCallback(() => {
+    if (isStreaming) {
+      return;
+    }
+    updateView(activeSessionId, (v) => ({ messages: v.messages.slice(0, -1) }));
+    vscode.postMessage({ type: "regenerate", sessionId: activeSessionId });
+  }, [activeSessionId, isStreaming, updateView]);
+
+  // Versions of a user message are branches of the chat; of a reply, candidates
+  const handleSwitchVersion = useCallback(
+    (message: Message, version: number) => {
+      vscode.postMessage(
+        message.role === "user"
+          ? {
+              type: "switchBranch",
+              sessionId: activeSessionId,
+              messageId: message.id,
+              branch: version,
+            }
+          : {
+              type: "switchCandidate",
+              sessionId: activeSessionId,
+              messageId: message.id,
+              candidate: version,
+            }
+      );
+    },
+    [activeSessionId]
+  );
+
+  const handleCancelQueued = useCallback((messageId: string) => {
+    updateView(activeSessionId, (v) => ({
+      messages: v.messages.filter((m) => m.id !== messageId),
+    }));
+    vscode.postMessage({ type: "cancelQueued", sessionId: activeSessionId, messageId });
+  }, [activeSessionId, updateView]);
+
+  const handleResolveBudget = useCallback(
+    (action: ResolveBudgetMessage["action"], filePath?: string) => {
+      vscode.postMessage({ type: "resolveBudget", sessionId: activeSessionId, action, filePath });
+    },
+    [activeSessionId]
+  );
+
+  const handleSwitchSession = useCallback((sessionId: string) => {
+    setActiveSessionId(sessionId);
+    vscode.postMessage({ type: "switchSession", sessionId });
+  }, []);
+
+  const handleNewTab = useCallback(() => {
+    vscode.postMessage({ type: "newTab", sessionId: activeSessionId });
+  }, [activeSessionId]);
+
+  const handleCloseTab = useCallback((sessionId: string) => {
+    vscode.postMessage({ type: "closeTab", sessionId });
+  }, []);
+
+  const handleSelectModel = useCallback((model: string) => {
+    vscode.postMessage({ type: "selectModel", model });
+  }, []);
+
+  const handleExportChat = useCallback(
+    (format: ChatFormat) => {
+      vscode.postMessage({ type: "exportChat", sessionId: activeSessionId, format });
+    },
+    [activeSessionId]
+  );
+
+  const handleImportChat = useCallback(() => {
+    vscode.postMessage({ type: "importChat", sessionId: activeSessionId });
+  }, [activeSessionId]);
+
   const handleConfirmTool = useCallback((approved: boolean) => {
     if (pendingTool) {
       vscode.postMessage({
         type: "confirmTool",
+        sessionId: activeSessionId,
         toolCallId: pendingTool.toolCallId,
         approved,
       });
     }
-  }, [pendingTool]);
+  }, [activeSessionId, pendingTool]);
+
+  const handleOpenConversation = useCallback(
+    (conversationId: string) => {
+      vscode.postMessage({ type: "openConversation", sessionId: activeSessionId, conversationId });
+    },
+    [activeSessionId]
+  );
+
+  const handleRenameConversation = useCallback(
+    (conversationId: string, title: string) => {
+      vscode.postMessage({
+        type: "renameConversation",
+        sessionId: activeSessionId,
+        conversationId,
+        title,
+      });
+    },
+    [activeSessionId]
+  );
+
+  const handleDeleteConversation = useCallback(
+    (conversationId: string) => {
+      vscode.postMessage({ type: "deleteConversation", sessionId: activeSessionId, conversationId });
+    },
+    [activeSessionId]
+  );
+
+  const handleSearchConversations = useCallback(
+    (query: string) => {
+      vscode.postMessage({ type: "searchConversations", sessionId: activeSessionId, query });
+    },
+    [activeSessionId]
+  );
 
   const handleRemoveFile = useCallback((filePath: string) => {
     vscode.postMessage({
       type: "removeFile",
+      sessionId: activeSessionId,
       filePath,
     });
-  }, []);
+  }, [activeSessionId]);
 
   const handleApplyCode = useCallback((
     code: string,
@@ -291,21 +642,59 @@ function App() {
   }, []);
 
   const handleCancelAgent = useCallback(() => {
-    vscode.postMessage({ type: "cancelAgent" });
-    setIsStreaming(false);
-    setStreamingContent("");
-    setThinkingStep(null);
-    setPendingTool(null);
-  }, []);
+    vscode.postMessage({ type: "cancelAgent", sessionId: activeSessionId });
+    updateView(activeSessionId, () => ({
+      isStreaming: false,
+      streamingContent: "",
+      thinkingStep: null,
+      pendingTool: null,
+    }));
+  }, [activeSessionId, updateView]);
 
   return (
     <div className="chat-container">
+      <SessionSelector
+        sessions={sessions}
+        activeSessionId={activeSessionId}
+        onSwitch={handleSwitchSession}
+      />
+
+      <ChatTabs
+        sessions={sessions}
+        activeSessionId={activeSessionId}
+        onSwitch={handleSwitchSession}
+        onNew={handleNewTab}
+        onClose={handleCloseTab}
+      />
+
       <ConnectionStatus state={connectionState} />
 
-      {contextFiles.length > 0 && (
+      <div className="chat-toolbar">
+        <ModelPicker model={model} models={models} onSelect={handleSelectModel} />
+        <ChatMenu
+          canExport={messages.length > 0}
+          onExport={handleExportChat}
+          onImport={handleImportChat}
+        />
+      </div>
+
+      <HistoryPanel
+        // A fresh panel per session, so a search does not carry over
+        key={activeSessionId ?? ""}
+        conversations={conversations}
+        activeConversationId={conversationId}
+        searchResults={searchResults}
+        onOpen={handleOpenConversation}
+        onRename={handleRenameConversation}
+        onDelete={handleDeleteConversation}
+        onSearch={handleSearchConversations}
+      />
+
+      {capabilities.context && contextFiles.length > 0 && (
         <ContextPanel
           files={contextFiles}
           totalTokens={totalTokens}
+          maxTokens={contextWindow}
           onRemoveFile={handleRemoveFile}
         />
       )}
@@ -321,11 +710,29 @@ function App() {
           </div>
         )}
 
-        {messages.map((msg) => (
+        {messages.map((msg, index) => (
           <ChatMessage
             key={msg.id}
             role={msg.role}
             content={msg.content}
+            status={msg.status}
+            generated={msg.generated}
+            onCancelQueued={() => handleCancelQueued(msg.id)}
+            onEdit={
+              msg.role === "user" && !msg.status && !msg.generated && !isStreaming
+                ? (text) => handleEditMessage(msg.id, text)
+                : undefined
+            }
+            onRegenerate={
+              msg.role === "assistant" && index === messages.length - 1 && !isStreaming
+                ? handleRegenerate
+                : undefined
+            }
+            version={msg.version}
+            versionCount={msg.versionCount}
+            onSwitchVersion={
+              isStreaming ? undefined : (version) => handleSwitchVersion(msg, version)
+            }
             onApplyCode={handleApplyCode}
             onCopyCode={handleCopyCode}
           />
@@ -351,6 +758,24 @@ function App() {
           />
         )}
 
+        {pendingBudget && (
+          <BudgetWarning
+            key={pendingBudget.id}
+            model={pendingBudget.model}
+            limit={pendingBudget.limit}
+            total={pendingBudget.total}
+            message={pendingBudget.message}
+            history={pendingBudget.history}
+            context={pendingBudget.context}
+            exact={pendingBudget.exact}
+            files={pendingBudget.files}
+            onDropFile={(path) => handleResolveBudget("dropFile", path)}
+            onSummarizeFile={(path) => handleResolveBudget("summarizeFile", path)}
+            onSendAnyway={() => handleResolveBudget("sendAnyway")}
+            onCancel={() => handleResolveBudget("cancel")}
+          />
+        )}
+
         {pendingChange && (
           <div className="pending-change">
             <div className="pending-change-header">
@@ -383,10 +808,13 @@ function App() {
       <InputArea
         onSend={handleSendMessage}
         onCancel={handleCancelAgent}
-        disabled={connectionState !== "connected"}
+        // Messages sent while connecting wait in the extension's queue
+        disabled={connectionState === "disconnected" || connectionState === "error"}
         isStreaming={isStreaming}
         useAgent={useAgent}
+        agentAvailable={agentAvailable}
         onToggleAgent={setUseAgent}
+        generationDefaults={generationDefaults}
       />
     </div>
   );
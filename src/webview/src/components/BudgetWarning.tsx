@@ -0,0 +1,107 @@
+import { useState } from "react";
+import type { ContextFile } from "../../../protocol/types";
+
+interface BudgetWarningProps {
+  model: string;
+  limit: number;
+  total: number;
+  message: number;
+  history: number;
+  context: number;
+  exact: boolean;
+  files: ContextFile[];
+  onDropFile: (path: string) => void;
+  onSummarizeFile: (path: string) => void;
+  onSendAnyway: () => void;
+  onCancel: () => void;
+}
+
+function BudgetWarning({
+  model,
+  limit,
+  total,
+  message,
+  history,
+  context,
+  exact,
+  files,
+  onDropFile,
+  onSummarizeFile,
+  onSendAnyway,
+  onCancel,
+}: BudgetWarningProps) {
+  // Actions wait for the extension; a new warning or none replaces this one.
+  // Cancel stays available to stop a summary that is being written.
+  const [busy, setBusy] = useState(false);
+
+  const act = (action: () => void) => () => {
+    setBusy(true);
+    action();
+  };
+
+  const getFileName = (path: string) => {
+    const parts = path.split(/[/\\]/);
+    return parts[parts.length - 1];
+  };
+
+  const largestFirst = [...files].sort((a, b) => b.tokens - a.tokens);
+
+  return (
+    <div className="budget-warning">
+      <div className="budget-warning-header">
+        <span className="tool-confirmation-icon">⚠️</span>
+        <span>Message too long for {model || "the model"}</span>
+      </div>
+
+      <div className="budget-warning-summary">
+        {exact ? "" : "About "}
+        {total.toLocaleString()} tokens with the chat so far, but there is room for{" "}
+        {limit.toLocaleString()}.
+        <div className="budget-warning-breakdown">
+          Message {message.toLocaleString()} · History {history.toLocaleString()} · Context files{" "}
+          {context.toLocaleString()}
+        </div>
+      </div>
+
+      {largestFirst.length > 0 && (
+        <div className="budget-warning-files">
+          {largestFirst.map((file) => (
+            <div key={file.path} className="context-file">
+              <span className="context-file-name" title={file.path}>
+                {getFileName(file.path)}
+              </span>
+              <span className="budget-warning-file-actions">
+                <span className="context-file-tokens">{file.tokens.toLocaleString()}</span>
+                <button
+                  disabled={busy}
+                  onClick={act(() => onSummarizeFile(file.path))}
+                  title="Replace the file with a summary in the chat"
+                >
+                  Summarize
+                </button>
+                <button
+                  disabled={busy}
+                  onClick={act(() => onDropFile(file.path))}
+                  title="Remove from context"
+                >
+                  Drop
+                </button>
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="tool-confirmation-actions">
+        <button className="tool-confirm-allow" disabled={busy} onClick={act(onSendAnyway)}>
+          Send Anyway
+        </button>
+        <button className="tool-confirm-deny" onClick={act(onCancel)}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default BudgetWarning;
@@ -0,0 +1,65 @@
+import { useEffect, useRef, useState } from "react";
+import type { ExportChatMessage } from "../../../protocol/types";
+
+export type ChatFormat = ExportChatMessage["format"];
+
+interface ChatMenuProps {
+  // Export needs messages; import is always offered
+  canExport: boolean;
+  onExport: (format: ChatFormat) => void;
+  onImport: () => void;
+}
+
+// Actions on the whole chat, behind a "⋯" button
+function ChatMenu({ canExport, onExport, onImport }: ChatMenuProps) {
+  const [isOpen, setIsOpen] = useState(false);
+  const menuRef = useRef<HTMLDivElement>(null);
+
+  useEffect(() => {
+    if (!isOpen) {
+      return;
+    }
+    const close = (e: MouseEvent) => {
+      if (!menuRef.current?.contains(e.target as Node)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener("mousedown", close);
+    return () => document.removeEventListener("mousedown", close);
+  }, [isOpen]);
+
+  const choose = (action: () => void) => () => {
+    setIsOpen(false);
+    action();
+  };
+
+  return (
+    <div className="chat-menu" ref={menuRef}>
+      <button
+        className="chat-menu-toggle"
+        onClick={() => setIsOpen(!isOpen)}
+        title="Chat actions"
+        aria-haspopup="menu"
+        aria-expanded={isOpen}
+      >
+        ⋯
+      </button>
+
+      {isOpen && (
+        <div className="chat-menu-items" role="menu">
+          <button role="menuitem" disabled={!canExport} onClick={choose(() => onExport("markdown"))}>
+            Export as Markdown
+          </button>
+          <button role="menuitem" disabled={!canExport} onClick={choose(() => onExport("json"))}>
+            Export as JSON
+          </button>
+          <button role="menuitem" onClick={choose(onImport)}>
+            Import Chat…
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ChatMenu;
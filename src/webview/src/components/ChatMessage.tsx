@@ -1,3 +1,4 @@
+import { useState } from "react";
 import ReactMarkdown from "react-markdown";
 import remarkGfm from "remark-gfm";
 import CodeBlock from "./CodeBlock";
@@ -15,6 +16,19 @@ interface ChatMessageProps {
   role: "user" | "assistant" | "system";
   content: string;
   isStreaming?: boolean;
+  status?: "queued" | "failed";
+  // Written by the extension rather than typed by the user
+  generated?: boolean;
+  onCancelQueued?: () => void;
+  // Resend a user message with new text; the old version stays selectable
+  onEdit?: (text: string) => void;
+  // Ask for another reply; the old one stays selectable
+  onRegenerate?: () => void;
+  // Version shown of an edited user message or a regenerated reply, from 0,
+  // and how many there are
+  version?: number;
+  versionCount?: number;
+  onSwitchVersion?: (version: number) => void;
   onApplyCode: (
     code: string,
     language?: string,
@@ -141,11 +155,57 @@ function ChatMessage({
   role,
   content,
   isStreaming,
+  status,
+  generated,
+  onCancelQueued,
+  onEdit,
+  onRegenerate,
+  version = 0,
+  versionCount = 1,
+  onSwitchVersion,
   onApplyCode,
   onCopyCode,
 }: ChatMessageProps) {
+  const [draft, setDraft] = useState<string | null>(null);
+
+  const submitEdit = () => {
+    if (draft?.trim() && onEdit) {
+      onEdit(draft.trim());
+    }
+    setDraft(null);
+  };
+
+  if (draft !== null) {
+    return (
+      <div className={`message ${role} editing`}>
+        <textarea
+          className="message-edit"
+          autoFocus
+          value={draft}
+          rows={Math.min(10, draft.split("\n").length + 1)}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Enter" && !e.shiftKey) {
+              e.preventDefault();
+              submitEdit();
+            } else if (e.key === "Escape") {
+              setDraft(null);
+            }
+          }}
+        />
+        <div className="message-actions">
+          <button onClick={() => setDraft(null)}>Cancel</button>
+          <button onClick={submitEdit} disabled={!draft.trim() || draft.trim() === content}>
+            Send
+          </button>
+        </div>
+      </div>
+    );
+  }
+
   return (
-    <div className={`message ${role}`}>
+    <div className={`message ${role}${status ? ` ${status}` : ""}${generated ? " generated" : ""}`}>
+      {generated && <div className="message-generated">Sent by the extension to make room</div>}
       <div className="message-content">
         <ReactMarkdown
           remarkPlugins={[remarkGfm]}
@@ -191,6 +251,50 @@ function ChatMessage({
         </ReactMarkdown>
         {isStreaming && <span className="cursor">▋</span>}
       </div>
+      {status === "queued" && (
+        <div className="message-status">
+          <span>Queued until Mistral reconnects</span>
+          {onCancelQueued && (
+            <button className="message-status-cancel" onClick={onCancelQueued}>
+              Cancel
+            </button>
+          )}
+        </div>
+      )}
+      {status === "failed" && <div className="message-status">Not sent</div>}
+      {((versionCount > 1 && onSwitchVersion) || onEdit || onRegenerate) && (
+        <div className="message-actions">
+          {versionCount > 1 && onSwitchVersion && (
+            <span className="message-versions">
+              <button
+                onClick={() => onSwitchVersion(version - 1)}
+                disabled={version === 0}
+                title="Previous version"
+              >
+                ‹
+              </button>
+              {version + 1}/{versionCount}
+              <button
+                onClick={() => onSwitchVersion(version + 1)}
+                disabled={version === versionCount - 1}
+                title="Next version"
+              >
+                ›
+              </button>
+            </span>
+          )}
+          {onEdit && (
+            <button onClick={() => setDraft(content)} title="Edit and resend">
+              ✎ Edit
+            </button>
+          )}
+          {onRegenerate && (
+            <button onClick={onRegenerate} title="Ask for another reply">
+              ↻ Regenerate
+            </button>
+          )}
+        </div>
+      )}
     </div>
   );
 }
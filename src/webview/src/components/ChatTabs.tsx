@@ -0,0 +1,53 @@
+import type { SessionInfo } from "./SessionSelector";
+
+interface ChatTabsProps {
+  sessions: SessionInfo[];
+  activeSessionId: string | null;
+  onSwitch: (sessionId: string) => void;
+  onNew: () => void;
+  onClose: (sessionId: string) => void;
+}
+
+// The chat tabs of the active session's folder; its first tab cannot be closed
+function ChatTabs({ sessions, activeSessionId, onSwitch, onNew, onClose }: ChatTabsProps) {
+  const active = sessions.find((session) => session.id === activeSessionId);
+  if (!active) {
+    return null;
+  }
+  const tabs = sessions.filter((session) => session.folderId === active.folderId);
+
+  return (
+    <div className="chat-tabs" role="tablist">
+      {tabs.map((tab) => (
+        <div
+          key={tab.id}
+          className={`chat-tab ${tab.id === activeSessionId ? "active" : ""}`}
+          role="tab"
+          aria-selected={tab.id === activeSessionId}
+          title={tab.title}
+          onClick={() => onSwitch(tab.id)}
+        >
+          <span className="chat-tab-title">{tab.title}</span>
+          {tab.id !== tab.folderId && (
+            <button
+              className="chat-tab-close"
+              onClick={(e) => {
+                e.stopPropagation();
+                onClose(tab.id);
+              }}
+              title="Close tab"
+              aria-label={`Close ${tab.title}`}
+            >
+              ×
+            </button>
+          )}
+        </div>
+      ))}
+      <button className="chat-tab-new" onClick={onNew} title="New chat tab" aria-label="New chat tab">
+        +
+      </button>
+    </div>
+  );
+}
+
+export default ChatTabs;
@@ -1,4 +1,10 @@
-type ConnectionState = "connected" | "disconnected" | "connecting" | "reconnecting" | "error";
+type ConnectionState =
+  | "connected"
+  | "degraded"
+  | "disconnected"
+  | "connecting"
+  | "reconnecting"
+  | "error";
 
 interface ConnectionStatusProps {
   state: ConnectionState;
@@ -9,6 +15,8 @@ function ConnectionStatus({ state }: ConnectionStatusProps) {
     switch (state) {
       case "connected":
         return "Connected";
+      case "degraded":
+        return "Mistral CLI not responding...";
       case "disconnected":
         return "Disconnected";
       case "connecting":
@@ -32,6 +40,8 @@ function ConnectionStatus({ state }: ConnectionStatusProps) {
       case "connecting":
       case "reconnecting":
         return "connecting";
+      case "degraded":
+        return "degraded";
       default:
         return "";
     }
@@ -9,16 +9,15 @@ interface ContextFile {
 interface ContextPanelProps {
   files: ContextFile[];
   totalTokens: number;
+  // Context window of the model in use
+  maxTokens: number;
   onRemoveFile: (path: string) => void;
 }
 
-// Approximate max context window (adjust based on model)
-const MAX_TOKENS = 32000;
-
-function ContextPanel({ files, totalTokens, onRemoveFile }: ContextPanelProps) {
+function ContextPanel({ files, totalTokens, maxTokens, onRemoveFile }: ContextPanelProps) {
   const [isExpanded, setIsExpanded] = useState(true);
 
-  const tokenPercentage = Math.min((totalTokens / MAX_TOKENS) * 100, 100);
+  const tokenPercentage = Math.min((totalTokens / maxTokens) * 100, 100);
   const tokenBarClass =
     tokenPercentage < 50 ? "low" : tokenPercentage < 80 ? "medium" : "high";
 
@@ -35,7 +34,7 @@ function ContextPanel({ files, totalTokens, onRemoveFile }: ContextPanelProps) {
           <span>Context ({files.length} files)</span>
         </div>
         <span style={{ fontSize: "0.85em", color: "var(--vscode-descriptionForeground)" }}>
-          {totalTokens.toLocaleString()} tokens
+          {totalTokens.toLocaleString()} / {maxTokens.toLocaleString()} tokens
         </span>
       </div>
 
@@ -0,0 +1,142 @@
+import type { ChangeEvent } from "react";
+import type { GenerationParams } from "../../../protocol/types";
+
+// Field values as typed; empty fields use the mistral.generation.* settings
+export interface GenerationForm {
+  temperature: string;
+  topP: string;
+  maxTokens: string;
+  stop: string;
+}
+
+export const EMPTY_GENERATION_FORM: GenerationForm = {
+  temperature: "",
+  topP: "",
+  maxTokens: "",
+  stop: "",
+};
+
+interface GenerationPanelProps {
+  values: GenerationForm;
+  defaults: GenerationParams;
+  onChange: (values: GenerationForm) => void;
+}
+
+// Stop strings are separated by commas; "\n" stands for a line break
+const parseStop = (text: string) =>
+  text
+    .split(",")
+    .map((part) => part.trim().replace(/\\n/g, "\n"))
+    .filter(Boolean);
+
+const formatStop = (stop: string[] | undefined) =>
+  (stop ?? []).map((part) => part.replace(/\n/g, "\\n")).join(", ");
+
+const parseNumber = (text: string, min: number, max: number, integer = false) => {
+  if (!text.trim()) {
+    return undefined;
+  }
+  const value = Number(text);
+  const valid = Number.isFinite(value) && value >= min && value <= max;
+  return valid && (!integer || Number.isInteger(value)) ? value : null;
+};
+
+/**
+ * Overrides from the form, or null if a field is out of range.
+ */
+export function toGenerationParams(values: GenerationForm): GenerationParams | null {
+  const temperature = parseNumber(values.temperature, 0, 2);
+  const topP = parseNumber(values.topP, 0, 1);
+  const maxTokens = parseNumber(values.maxTokens, 1, Number.MAX_SAFE_INTEGER, true);
+  if (temperature === null || topP === null || maxTokens === null) {
+    return null;
+  }
+
+  // Unset fields are left out; the extension rejects undefined values
+  const stop = parseStop(values.stop);
+  const params: GenerationParams = {};
+  if (temperature !== undefined) {
+    params.temperature = temperature;
+  }
+  if (topP !== undefined) {
+    params.top_p = topP;
+  }
+  if (maxTokens !== undefined) {
+    params.max_tokens = maxTokens;
+  }
+  if (stop.length > 0) {
+    params.stop = stop;
+  }
+  return params;
+}
+
+function GenerationPanel({ values, defaults, onChange }: GenerationPanelProps) {
+  const invalid = toGenerationParams(values) === null;
+
+  const field = (key: keyof GenerationForm) => ({
+    value: values[key],
+    onChange: (e: ChangeEvent<HTMLInputElement>) =>
+      onChange({ ...values, [key]: e.target.value }),
+  });
+
+  const placeholder = (value: number | undefined) =>
+    value !== undefined ? String(value) : "CLI default";
+
+  return (
+    <div className="generation-panel">
+      <label>
+        Temperature
+        <input
+          type="number"
+          min={0}
+          max={2}
+          step={0.1}
+          placeholder={placeholder(defaults.temperature)}
+          {...field("temperature")}
+        />
+      </label>
+      <label>
+        Top P
+        <input
+          type="number"
+          min={0}
+          max={1}
+          step={0.05}
+          placeholder={placeholder(defaults.top_p)}
+          {...field("topP")}
+        />
+      </label>
+      <label>
+        Max tokens
+        <input
+          type="number"
+          min={1}
+          step={1}
+          placeholder={placeholder(defaults.max_tokens)}
+          {...field("maxTokens")}
+        />
+      </label>
+      <label className="generation-stop">
+        Stop
+        <input
+          type="text"
+          placeholder={formatStop(defaults.stop) || "None"}
+          title={'Comma-separated; "\\n" is a line break'}
+          {...field("stop")}
+        />
+      </label>
+      <div className="generation-footer">
+        {invalid ? (
+          <span className="generation-error">
+            Temperature is 0–2, top P 0–1 and max tokens a whole number from 1
+          </span>
+        ) : (
+          <span>Empty fields use the Mistral generation settings</span>
+        )}
+        <button onClick={() => onChange(EMPTY_GENERATION_FORM)}>Reset</button>
+      </div>
+    </div>
+  );
+}
+
+export default GenerationPanel;
@@ -0,0 +1,149 @@
+import { useEffect, useState } from "react";
+import type { ConversationSummary } from "../../../protocol/types";
+
+export interface SearchResults {
+  query: string;
+  conversationIds: string[];
+}
+
+interface HistoryPanelProps {
+  conversations: ConversationSummary[];
+  activeConversationId: string | null;
+  // Results of the last search, matched to the query typed here
+  searchResults: SearchResults | null;
+  onOpen: (conversationId: string) => void;
+  onRename: (conversationId: string, title: string) => void;
+  onDelete: (conversationId: string) => void;
+  onSearch: (query: string) => void;
+}
+
+// Wait for typing to pause before searching message contents
+const SEARCH_DELAY_MS = 300;
+
+const formatDate = (time: number) => {
+  const date = new Date(time);
+  return date.toDateString() === new Date().toDateString()
+    ? date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })
+    : date.toLocaleDateString();
+};
+
+// Saved chats of the session; collapsed by default
+function HistoryPanel({
+  conversations,
+  activeConversationId,
+  searchResults,
+  onOpen,
+  onRename,
+  onDelete,
+  onSearch,
+}: HistoryPanelProps) {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [query, setQuery] = useState("");
+  const [editing, setEditing] = useState<{ id: string; title: string } | null>(null);
+
+  useEffect(() => {
+    if (!query.trim()) {
+      return;
+    }
+    const timer = setTimeout(() => onSearch(query), SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [query, onSearch]);
+
+  if (conversations.length === 0) {
+    return null;
+  }
+
+  const searching = query.trim() !== "";
+  const pending = searching && searchResults?.query !== query;
+  const shown = searching
+    ? conversations.filter((c) => !pending && searchResults?.conversationIds.includes(c.id))
+    : conversations;
+
+  const commitRename = () => {
+    if (editing && editing.title.trim()) {
+      onRename(editing.id, editing.title);
+    }
+    setEditing(null);
+  };
+
+  return (
+    <div className="history-panel">
+      <div className="context-header" onClick={() => setIsExpanded(!isExpanded)}>
+        <div className="context-title">
+          <span className="context-toggle">{isExpanded ? "▼" : "▶"}</span>
+          <span>History ({conversations.length} chats)</span>
+        </div>
+      </div>
+
+      {isExpanded && (
+        <div className="history-body">
+          <input
+            className="history-search"
+            type="search"
+            placeholder="Search chats"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+          />
+
+          <div className="history-list">
+            {pending && <div className="history-empty">Searching…</div>}
+            {searching && !pending && shown.length === 0 && (
+              <div className="history-empty">No chats match "{query}"</div>
+            )}
+
+            {shown.map((conversation) => (
+              <div
+                key={conversation.id}
+                className={`history-item ${conversation.id === activeConversationId ? "active" : ""}`}
+              >
+                {editing?.id === conversation.id ? (
+                  <input
+                    className="history-rename"
+                    autoFocus
+                    value={editing.title}
+                    onChange={(e) => setEditing({ id: conversation.id, title: e.target.value })}
+                    onBlur={commitRename}
+                    onKeyDown={(e) => {
+                      if (e.key === "Enter") {
+                        commitRename();
+                      } else if (e.key === "Escape") {
+                        setEditing(null);
+                      }
+                    }}
+                  />
+                ) : (
+                  <button
+                    className="history-open"
+                    onClick={() => onOpen(conversation.id)}
+                    title={`${conversation.messageCount} messages, started ${new Date(
+                      conversation.createdAt
+                    ).toLocaleString()}`}
+                  >
+                    <span className="history-title">{conversation.title}</span>
+                    <span className="history-date">{formatDate(conversation.updatedAt)}</span>
+                  </button>
+                )}
+                <button
+                  className="context-file-remove"
+                  onClick={() => setEditing({ id: conversation.id, title: conversation.title })}
+                  title="Rename"
+                >
+                  ✎
+                </button>
+                <button
+                  className="context-file-remove"
+                  onClick={() => onDelete(conversation.id)}
+                  title="Delete"
+                >
+                  ×
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default HistoryPanel;
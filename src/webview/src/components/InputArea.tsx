@@ -1,12 +1,22 @@
 import { useState, useRef, useEffect, KeyboardEvent } from "react";
+import type { GenerationParams } from "../../../protocol/types";
+import GenerationPanel, {
+  EMPTY_GENERATION_FORM,
+  GenerationForm,
+  toGenerationParams,
+} from "./GenerationPanel";
 
 interface InputAreaProps {
-  onSend: (text: string) => void;
+  // Generation holds the overrides from the advanced panel, if any
+  onSend: (text: string, generation?: GenerationParams) => void;
   onCancel: () => void;
   disabled: boolean;
   isStreaming: boolean;
   useAgent: boolean;
+  agentAvailable: boolean;
   onToggleAgent: (useAgent: boolean) => void;
+  // The mistral.generation.* settings, shown as placeholders
+  generationDefaults: GenerationParams;
 }
 
 function InputArea({
@@ -15,9 +25,16 @@ function InputArea({
   disabled,
   isStreaming,
   useAgent,
+  agentAvailable,
   onToggleAgent,
+  generationDefaults,
 }: InputAreaProps) {
   const [input, setInput] = useState("");
+  // Overrides stay until reset, so a run of messages can share them
+  const [showAdvanced, setShowAdvanced] = useState(false);
+  const [generationForm, setGenerationForm] = useState<GenerationForm>(EMPTY_GENERATION_FORM);
+  const generation = toGenerationParams(generationForm);
+  const overrideCount = generation ? Object.keys(generation).length : 0;
   const textareaRef = useRef<HTMLTextAreaElement>(null);
 
   // Auto-resize textarea
@@ -30,8 +47,8 @@ function InputArea({
   }, [input]);
 
   const handleSubmit = () => {
-    if (input.trim() && !disabled && !isStreaming) {
-      onSend(input.trim());
+    if (input.trim() && !disabled && !isStreaming && generation) {
+      onSend(input.trim(), overrideCount > 0 ? generation : undefined);
       setInput("");
     }
   };
@@ -45,20 +62,22 @@ function InputArea({
 
   return (
     <div className="input-area">
-      <div className="mode-toggle">
-        <button
-          className={!useAgent ? "active" : ""}
-          onClick={() => onToggleAgent(false)}
-        >
-          Chat
-        </button>
-        <button
-          className={useAgent ? "active" : ""}
-          onClick={() => onToggleAgent(true)}
-        >
-          Agent
-        </button>
-      </div>
+      {agentAvailable && (
+        <div className="mode-toggle">
+          <button
+            className={!useAgent ? "active" : ""}
+            onClick={() => onToggleAgent(false)}
+          >
+            Chat
+          </button>
+          <button
+            className={useAgent ? "active" : ""}
+            onClick={() => onToggleAgent(true)}
+          >
+            Agent
+          </button>
+        </div>
+      )}
 
       <div className="input-wrapper">
         <textarea
@@ -84,17 +103,34 @@ function InputArea({
           <button
             className="send-button"
             onClick={handleSubmit}
-            disabled={disabled || !input.trim()}
+            disabled={disabled || !input.trim() || !generation}
           >
             Send
           </button>
         )}
       </div>
 
-      <div style={{ fontSize: "0.8em", color: "var(--vscode-descriptionForeground)", marginTop: "6px" }}>
-        {useAgent
-          ? "Agent mode: Can read/write files and run commands"
-          : "Press Enter to send, Shift+Enter for new line"}
+      {showAdvanced && (
+        <GenerationPanel
+          values={generationForm}
+          defaults={generationDefaults}
+          onChange={setGenerationForm}
+        />
+      )}
+
+      <div className="input-footer">
+        <span>
+          {useAgent
+            ? "Agent mode: Can read/write files and run commands"
+            : "Press Enter to send, Shift+Enter for new line"}
+        </span>
+        <button
+          className={`advanced-toggle ${overrideCount > 0 || !generation ? "active" : ""}`}
+          onClick={() => setShowAdvanced(!showAdvanced)}
+          title="Temperature, max tokens and stop strings for the next messages"
+        >
+          {showAdvanced ? "▼" : "▶"} Advanced{overrideCount > 0 ? ` (${overrideCount})` : ""}
+        </button>
       </div>
     </div>
   );
@@ -0,0 +1,46 @@
+import type { ModelInfo } from "../../../protocol/types";
+
+interface ModelPickerProps {
+  model: string;
+  models: ModelInfo[];
+  onSelect: (model: string) => void;
+}
+
+// Models the CLI offers; hidden until the extension reports the current one
+function ModelPicker({ model, models, onSelect }: ModelPickerProps) {
+  if (!model) {
+    return null;
+  }
+
+  // A model missing from the catalog stays selectable as the current one
+  const options = models.some((info) => info.id === model) ? models : [{ id: model }, ...models];
+
+  const describe = (info: ModelInfo) => {
+    const parts = [
+      info.context_window !== undefined ? `${Math.round(info.context_window / 1000)}K context` : "",
+      info.supports_tools === false ? "no tools" : "",
+      info.cost ? `$${info.cost.input} / $${info.cost.output} per 1M tokens` : "",
+    ];
+    return parts.filter(Boolean).join(" · ");
+  };
+
+  return (
+    <div className="model-picker">
+      <label htmlFor="model-select">Model</label>
+      <select
+        id="model-select"
+        value={model}
+        title={describe(options.find((info) => info.id === model) ?? { id: model })}
+        onChange={(e) => onSelect(e.target.value)}
+      >
+        {options.map((info) => (
+          <option key={info.id} value={info.id} title={describe(info)}>
+            {info.name ?? info.id}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+export default ModelPicker;
@@ -0,0 +1,42 @@
+export interface SessionInfo {
+  id: string;
+  label: string;
+  // The folder's first tab; all its tabs share it
+  folderId: string;
+  title: string;
+}
+
+interface SessionSelectorProps {
+  sessions: SessionInfo[];
+  activeSessionId: string | null;
+  onSwitch: (sessionId: string) => void;
+}
+
+// One workspace folder per option, switching to its first tab; hidden when there is only one
+function SessionSelector({ sessions, activeSessionId, onSwitch }: SessionSelectorProps) {
+  const folders = sessions.filter((session) => session.id === session.folderId);
+  if (folders.length < 2) {
+    return null;
+  }
+
+  const active = sessions.find((session) => session.id === activeSessionId);
+
+  return (
+    <div className="session-selector">
+      <label htmlFor="session-select">Folder</label>
+      <select
+        id="session-select"
+        value={active?.folderId ?? ""}
+        onChange={(e) => onSwitch(e.target.value)}
+      >
+        {folders.map((folder) => (
+          <option key={folder.id} value={folder.id}>
+            {folder.label}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+export default SessionSelector;